@@ -54,6 +54,9 @@ export async function getWeaponAbility(actor, itemID) {
 
         const item = actor.items.get(itemID);
         API.log('debug', `Weapon ability ITEM: ${item}`, item);
+        if (item?.type === 'power') {
+            return await getPowerCastingAbility(actor, item);
+        }
         if (!item || item.type !== 'weapon') {
             return 'none';
         }
@@ -99,6 +102,43 @@ export async function getWeaponAbility(actor, itemID) {
     }
 }
 
+/**
+ * Get the casting ability of a power
+ * Light powers use Wisdom, dark powers Charisma and universal powers the higher of both,
+ * tech powers use Intelligence
+ * @param {Object} actor - The actor object
+ * @param {Object} item - The power item
+ * @returns {Promise<string>} The casting ability (str, dex, con, int, wis, cha, none)
+ */
+export async function getPowerCastingAbility(actor, item) {
+    try {
+        // An ability set on the power overrides its school
+        const ability = item?.system?.ability;
+        if (ability && ability !== 'none') {
+            return ability;
+        }
+
+        switch (item?.system?.school) {
+            case 'lgt':
+                return 'wis';
+            case 'drk':
+                return 'cha';
+            case 'tec':
+                return 'int';
+            case 'uni': {
+                const wisValue = parseInt(await getAbilityModifier(actor, 'wis')) || 0;
+                const chaValue = parseInt(await getAbilityModifier(actor, 'cha')) || 0;
+                return wisValue >= chaValue ? 'wis' : 'cha';
+            }
+            default:
+                return 'none';
+        }
+    } catch (error) {
+        API.log('error', 'Failed to get power casting ability', error);
+        return 'none';
+    }
+}
+
 /**
  * Get proficiency bonus for the actor using data paths
  * @param {Object} actor - The actor object
@@ -127,6 +167,24 @@ export async function getProficiencyBonus(actor) {
     }
 }
 
+/**
+ * Get the save DC of a weapon's area attacks (e.g. burst fire)
+ * @param {Object} actor - The actor object
+ * @param {string} itemID - The weapon item ID
+ * @returns {Promise<number>} Save DC (8 + proficiency + the weapon's ability modifier)
+ */
+export async function getWeaponSaveDC(actor, itemID) {
+    try {
+        const ability = await getWeaponAbility(actor, itemID);
+        const abilityModifier = parseInt(await getAbilityModifier(actor, ability)) || 0;
+        const proficiencyBonus = Number(await getProficiencyBonus(actor)) || 0;
+        return 8 + proficiencyBonus + abilityModifier;
+    } catch (error) {
+        API.log('error', 'Failed to get weapon save DC', error);
+        return 8;
+    }
+}
+
 /**
  * Get actor from token ID
  * @param {string} tokenID - The token ID
@@ -4,6 +4,29 @@
 
 import { API } from '../api.js';
 import { getDataPaths, getArrayFromPath } from '../core/utils/reference/data-lookup.js';
+import { ResourceManager } from '../core/utils/resource-manager/resource-manager.js';
+import { getAbilityModifier, getWeaponAbility, getProficiencyBonus } from './actor-util.js';
+
+// Item types whose damage parts can be rolled from the dialogs
+const DAMAGE_ITEM_TYPES = ['weapon', 'power'];
+
+// Highest power level in SW5E
+export const MAX_POWER_LEVEL = 9;
+
+// Casting resource and actor attribute of each power list in data-paths.json
+// Tech powers always use Intelligence and get the bonus of an equipped casting focus
+export const POWER_CASTING = {
+    ForcePowers: {
+        resourceType: 'forcePoints',
+        attribute: 'force'
+    },
+    TechPowers: {
+        resourceType: 'techPoints',
+        attribute: 'tech',
+        ability: 'int',
+        focus: 'techFocus'
+    }
+};
 
 /**
  * Get all data paths from the ActorItem class and weapon category
@@ -153,6 +176,35 @@ export function getWeaponById(actor, itemID) {
     return weapons && weapons.length > 0 ? weapons[0] : null;
 }
 
+/**
+ * Get saving throw data for an item
+ * @param {Object} actor - The actor object
+ * @param {string} itemID - The item ID
+ * @returns {Object|null} Save data ({ ability, dc, scaling }) or null if the item has no save
+ */
+export function getItemSaveData(actor, itemID) {
+    try {
+        const item = actor?.items?.get(itemID);
+        const save = item?.system?.save;
+        if (!save?.ability) {
+            return null;
+        }
+
+        // Let the system work out scaled DCs (power, flat, ability based) when it can
+        const powerDC = save.scaling === 'power' ? getPowerSaveDC(actor, item) : null;
+        const dc = powerDC ?? (typeof item.getSaveDC === 'function' ? item.getSaveDC() : save.dc);
+
+        return {
+            ability: save.ability,
+            dc: Number(dc) || null,
+            scaling: save.scaling || 'flat'
+        };
+    } catch (error) {
+        API.log('error', 'Error getting item save data:', error);
+        return null;
+    }
+}
+
 /**
  * Get all equipped weapons
  * @param {Object} actor - The actor object
@@ -205,9 +257,10 @@ export function buildItemSelectionList(actor, itemType = 'weapon', options = {})
                 break;
             
             case 'power':
-                // Placeholder for future power implementation
-                API.log('debug', 'Power item selection not yet implemented');
-                items = null;
+                // Without a power list the dialog offers force and tech powers
+                items = options.powerType
+                    ? getPowerDetails(actor, options.powerType)
+                    : Object.keys(POWER_CASTING).flatMap(powerType => getPowerDetails(actor, powerType) || []);
                 break;
             
             default:
@@ -301,9 +354,9 @@ export function buildConsumableSelectionList(actor, options = {}) {
 }
 
 /**
- * Build power selection list (placeholder for future implementation)
+ * Build power selection list
  * @param {Object} actor - The actor object
- * @param {Object} options - Options object containing itemID and other parameters
+ * @param {Object} options - Options object containing itemID, powerType and other parameters
  * @returns {Object} Object containing dropdown options and default selection
  */
 export function buildPowerSelectionList(actor, options = {}) {
@@ -312,11 +365,13 @@ export function buildPowerSelectionList(actor, options = {}) {
 
 /**
  * Get weapon damage information for the selected item
+ * Powers are supported as well, their damage is scaled to the cast level
  * @param {Object} actor - The actor object
- * @param {string} itemID - The weapon item ID
+ * @param {string} itemID - The weapon or power item ID
+ * @param {number} [castLevel=null] - Level a power is cast at, defaults to its base level
  * @returns {Object} Weapon damage data object
  */
-export function getWeaponDamageData(actor, itemID) {
+export function getWeaponDamageData(actor, itemID, castLevel = null) {
     try {
         if (!actor || !itemID) {
             return {
@@ -327,7 +382,7 @@ export function getWeaponDamageData(actor, itemID) {
         }
 
         const item = actor.items.get(itemID);
-        if (!item || item.type !== 'weapon') {
+        if (!item || !DAMAGE_ITEM_TYPES.includes(item.type)) {
             return {
                 type: 'None',
                 modifier: '0',
@@ -358,6 +413,10 @@ export function getWeaponDamageData(actor, itemID) {
             API.log('debug', `After removing +@mod: "${damageFormula}"`);
         }
 
+        if (item.type === 'power') {
+            damageFormula = scalePowerDamageFormula(actor, item, damageFormula, castLevel);
+        }
+
         return {
             type: damageType,
             modifier: damageFormula,
@@ -375,18 +434,20 @@ export function getWeaponDamageData(actor, itemID) {
 
 /**
  * Get all weapon damage parts for the selected item
+ * Powers are supported as well, their base damage is scaled to the cast level
  * @param {Object} actor - The actor object
- * @param {string} itemID - The weapon item ID
+ * @param {string} itemID - The weapon or power item ID
+ * @param {number} [castLevel=null] - Level a power is cast at, defaults to its base level
  * @returns {Array} Array of damage part objects
  */
-export function getAllWeaponDamageParts(actor, itemID) {
+export function getAllWeaponDamageParts(actor, itemID, castLevel = null) {
     try {
         if (!actor || !itemID) {
             return [];
         }
 
         const item = actor.items.get(itemID);
-        if (!item || item.type !== 'weapon') {
+        if (!item || !DAMAGE_ITEM_TYPES.includes(item.type)) {
             return [];
         }
 
@@ -406,6 +467,11 @@ export function getAllWeaponDamageParts(actor, itemID) {
                 damageFormula = damageFormula.replace(' ', '');
             }
 
+            // Power scaling only adds to the first damage part
+            if (item.type === 'power' && index === 0) {
+                damageFormula = scalePowerDamageFormula(actor, item, damageFormula, castLevel);
+            }
+
             return {
                 index: index,
                 type: damageType,
@@ -441,10 +507,10 @@ export function isSmartWeapon(actor, itemID) {
         
         // Handle different property formats
         if (Array.isArray(properties)) {
-            return properties.includes('smart') || properties.includes('Smart');
+            return properties.includes('smart') || properties.includes('Smart') || properties.includes('smr');
         } else if (typeof properties === 'object' && properties !== null) {
-            // Properties might be an object with boolean values
-            return properties.smart === true || properties.Smart === true;
+            // Properties might be an object with boolean values, SW5E keys the property 'smr'
+            return properties.smart === true || properties.Smart === true || !!properties.smr;
         } else if (typeof properties === 'string') {
             // Properties might be a comma-separated string
             return properties.toLowerCase().includes('smart');
@@ -459,9 +525,11 @@ export function isSmartWeapon(actor, itemID) {
 
 /**
  * Get smart weapon data
+ * A smart weapon has its own Dexterity score and proficiency bonus, the wielder can attack with
+ * them instead of their own (SW5E Smart property)
  * @param {Object} actor - The actor object
  * @param {string} itemID - The weapon item ID
- * @returns {Promise<Object|null>} Smart weapon data or null
+ * @returns {Promise<Object|null>} Smart weapon data ({ dex, dexModifier, proficiency, wielderBonus, beatsWielder }) or null
  */
 export async function getSmartWeaponData(actor, itemID) {
     try {
@@ -470,22 +538,471 @@ export async function getSmartWeaponData(actor, itemID) {
         const item = actor.items.get(itemID);
         if (!item || item.type !== 'weapon') return null;
 
-        // Get smart weapon dex score (this would need to be stored somewhere)
-        // For now, we'll use a placeholder 
-        const smartWeaponDex =  0;
-        const smartWeaponDexModifier = Math.floor((smartWeaponDex - 10) / 2);
+        // The weapon's stats are stored with its properties
+        const weaponPaths = getDataPaths('ActorItem', 'weapon')?.subpaths || {};
+        const smartWeaponDex = Number(getProperty(item, (weaponPaths.smartDex || '').replace(/^\./, ''))) || 0;
+        const smartWeaponDexModifier = smartWeaponDex > 0 ? Math.floor((smartWeaponDex - 10) / 2) : 0;
+        const smartWeaponProficiency = Number(getProperty(item, (weaponPaths.smartProficiency || '').replace(/^\./, ''))) || 0;
 
-        // Get smart weapon proficiency bonus (this would need to be stored somewhere)
-        // For now, we'll use a placeholder
-        const smartWeaponProficiency = 0;
+        // The wielder's own attack bonus from the weapon's ability and their proficiency
+        const weaponAbility = await getWeaponAbility(actor, itemID);
+        const wielderModifier = parseInt(await getAbilityModifier(actor, weaponAbility)) || 0;
+        const wielderProficiency = Number(await getProficiencyBonus(actor)) || 0;
+        const wielderBonus = wielderModifier + wielderProficiency;
 
         return {
             dex: smartWeaponDex,
             dexModifier: smartWeaponDexModifier,
-            proficiency: smartWeaponProficiency
+            proficiency: smartWeaponProficiency,
+            wielderBonus: wielderBonus,
+            // Weapons without stats set never beat the wielder
+            beatsWielder: smartWeaponDex > 0 && smartWeaponDexModifier + smartWeaponProficiency > wielderBonus
         };
     } catch (error) {
         API.log('error', 'Failed to get smart weapon data', error);
         return null;
     }
-}
\ No newline at end of file
+}
+// ============================================================================
+// POWER FUNCTIONS
+// ============================================================================
+
+/**
+ * Get the powers of an actor from a power list in data-paths.json
+ * @param {Object} actor - The actor object
+ * @param {string} [powerType='ForcePowers'] - Power list (key of power in data-paths.json)
+ * @returns {Array|null} Array of power items or null if none found
+ */
+export function getPowerDetails(actor, powerType = 'ForcePowers') {
+    try {
+        if (!actor) {
+            API.log('warning', 'No actor provided to getPowerDetails');
+            return null;
+        }
+
+        const powerPaths = getDataPaths('power', powerType);
+        if (!powerPaths) {
+            API.log('warning', `Could not get power data paths for ${powerType}`);
+            return null;
+        }
+
+        const powers = getArrayFromPath(actor, powerPaths);
+        if (!powers || powers.length === 0) {
+            API.log('debug', `No ${powerType} found on actor`);
+            return null;
+        }
+
+        // Lowest level first, at-will powers at the top
+        return [...powers].sort((a, b) => getPowerLevel(a) - getPowerLevel(b) || a.name.localeCompare(b.name));
+    } catch (error) {
+        API.log('error', 'Error getting power details:', error);
+        return null;
+    }
+}
+
+/**
+ * Get the power list a power belongs to
+ * @param {Object} item - Power item
+ * @returns {string|null} Power list key (e.g. 'ForcePowers') or null if the item is not a known power
+ */
+export function getPowerType(item) {
+    if (item?.type !== 'power') return null;
+
+    return Object.keys(POWER_CASTING).find(powerType => {
+        const schools = getDataPaths('power', powerType)?.filters?.['system.school'] || [];
+        return schools.includes(item.system?.school);
+    }) || null;
+}
+
+/**
+ * Get the base level of a power
+ * @param {Object} item - Power item
+ * @returns {number} Power level, 0 for at-will powers
+ */
+export function getPowerLevel(item) {
+    return Number(item?.system?.level) || 0;
+}
+
+/**
+ * Check whether a power requires concentration
+ * @param {Object} item - Power item
+ * @returns {boolean} True if the power is a concentration power
+ */
+export function isConcentrationPower(item) {
+    const powerType = getPowerType(item);
+    if (!powerType) return false;
+
+    const concentrationPath = getDataPaths('power', powerType).subpaths.concentration.replace(/^\./, '');
+    return !!getProperty(item, concentrationPath);
+}
+
+/**
+ * Get the point cost of casting a power at a level
+ * At-will powers are free, other powers cost their level + 1
+ * @param {number} castLevel - Level the power is cast at
+ * @returns {number} Force or tech point cost
+ */
+export function getPowerPointCost(castLevel) {
+    const level = Number(castLevel) || 0;
+    return level > 0 ? level + 1 : 0;
+}
+
+/**
+ * Get the highest level an actor can cast powers of a list at without overcasting
+ * @param {Object} actor - The actor object
+ * @param {string} [powerType='ForcePowers'] - Power list
+ * @returns {number} Maximum power level
+ */
+export function getMaxPowerLevel(actor, powerType = 'ForcePowers') {
+    const attribute = POWER_CASTING[powerType]?.attribute;
+    const maxLevel = Number(attribute ? getProperty(actor, `system.attributes.${attribute}.level`) ?? NaN : NaN);
+    return Number.isFinite(maxLevel) ? maxLevel : MAX_POWER_LEVEL;
+}
+
+/**
+ * Get the casting data of a power at a level
+ * @param {Object} actor - The actor object
+ * @param {string} itemID - The power item ID
+ * @param {number} [castLevel=null] - Level the power is cast at, defaults to its base level
+ * @returns {Object|null} Cast data or null if the item is not a known power
+ */
+export function getPowerCastData(actor, itemID, castLevel = null) {
+    try {
+        const item = actor?.items?.get(itemID);
+        const powerType = getPowerType(item);
+        if (!powerType) {
+            return null;
+        }
+
+        const baseLevel = getPowerLevel(item);
+        // At-will powers are always cast at level 0
+        const level = baseLevel === 0 ? 0 : Math.min(MAX_POWER_LEVEL, Math.max(baseLevel, Number(castLevel) || baseLevel));
+        const resourceType = POWER_CASTING[powerType].resourceType;
+        const maxLevel = getMaxPowerLevel(actor, powerType);
+
+        return {
+            itemId: item.id,
+            name: item.name,
+            powerType: powerType,
+            resourceType: resourceType,
+            baseLevel: baseLevel,
+            castLevel: level,
+            maxLevel: maxLevel,
+            cost: getPowerPointCost(level),
+            pointsAvailable: Number(new ResourceManager(actor, 'resource', resourceType).getCurrentValue('value')) || 0,
+            isOvercast: level > maxLevel,
+            concentration: isConcentrationPower(item)
+        };
+    } catch (error) {
+        API.log('error', 'Error getting power cast data:', error);
+        return null;
+    }
+}
+
+/**
+ * Get the levels a power can be cast at
+ * @param {Object} actor - The actor object
+ * @param {string} itemID - The power item ID
+ * @returns {Array} Cast level options ({ level, cost, isOvercast })
+ */
+export function getPowerCastLevels(actor, itemID) {
+    const castData = getPowerCastData(actor, itemID);
+    if (!castData) {
+        return [];
+    }
+
+    // Powers without scaling can still be cast at a higher level, e.g. for their effects
+    const levels = [];
+    const highestLevel = castData.baseLevel === 0 ? 0 : MAX_POWER_LEVEL;
+    for (let level = castData.baseLevel; level <= highestLevel; level++) {
+        levels.push({
+            level: level,
+            cost: getPowerPointCost(level),
+            isOvercast: level > castData.maxLevel
+        });
+    }
+    return levels;
+}
+
+/**
+ * Get the roll the caster makes first for a power
+ * @param {Object} actor - The actor object
+ * @param {string} itemID - The power item ID
+ * @returns {string|null} 'attack', 'damage' or null if the caster does not roll
+ */
+export function getPowerRollType(actor, itemID) {
+    const item = actor?.items?.get(itemID);
+    if (item?.type !== 'power') return null;
+    if (item.hasAttack) return 'attack';
+    if (item.hasDamage) return 'damage';
+    return null;
+}
+
+/**
+ * Check whether an item adds its ability modifier to damage
+ * Weapons always do, powers only when their damage formula uses @mod
+ * @param {Object} actor - The actor object
+ * @param {string} itemID - The item ID
+ * @returns {boolean} True if the ability modifier is added to damage
+ */
+export function damageAddsAbilityModifier(actor, itemID) {
+    const item = actor?.items?.get(itemID);
+    if (item?.type !== 'power') return true;
+    return (item.system?.damage?.parts || []).some(part => String(part[0] || '').includes('@mod'));
+}
+
+/**
+ * Scale a power's damage formula to the level it is cast at
+ * Leveled powers add their scaling formula per level above their base level,
+ * at-will powers add it at character levels 5, 11 and 17
+ * @param {Object} actor - The actor object
+ * @param {Object} item - Power item
+ * @param {string} formula - Damage formula of the power's first damage part
+ * @param {number} [castLevel=null] - Level the power is cast at, defaults to its base level
+ * @returns {string} Scaled damage formula
+ */
+export function scalePowerDamageFormula(actor, item, formula, castLevel = null) {
+    try {
+        const scaling = item?.system?.scaling || {};
+        const baseLevel = getPowerLevel(item);
+        let steps = 0;
+
+        if (scaling.mode === 'power' || scaling.mode === 'level') {
+            steps = Math.max(0, (Number(castLevel) || baseLevel) - baseLevel);
+        } else if (scaling.mode === 'atwill' || scaling.mode === 'cantrip') {
+            const characterLevel = Number(actor?.system?.details?.level) || 0;
+            steps = Math.floor((characterLevel + 1) / 6);
+        }
+
+        if (steps <= 0) {
+            return formula;
+        }
+
+        // Without a scaling formula the power adds its first damage die
+        const scalingFormula = (scaling.formula || formula.match(/\d*d\d+/)?.[0] || '').replace(/\s/g, '');
+        if (!scalingFormula) {
+            return formula;
+        }
+
+        // Single dice terms are merged into matching dice, e.g. 1d8 + 2 steps of 1d8 becomes 3d8
+        const scalingDice = scalingFormula.match(/^(\d*)d(\d+)$/);
+        if (scalingDice) {
+            const addedDice = (Number(scalingDice[1]) || 1) * steps;
+            const matchingDice = new RegExp(`(^|\\+)(\\d*)d${scalingDice[2]}(?!\\d)`);
+            if (matchingDice.test(formula)) {
+                return formula.replace(matchingDice, (match, sign, count) => `${sign}${(Number(count) || 1) + addedDice}d${scalingDice[2]}`);
+            }
+            return `${formula}+${addedDice}d${scalingDice[2]}`;
+        }
+
+        return [formula, ...Array(steps).fill(scalingFormula)].join('+');
+    } catch (error) {
+        API.log('error', 'Failed to scale power damage formula', error);
+        return formula;
+    }
+}
+
+/**
+ * Get the bonus of the caster's best equipped casting focus for a power
+ * @param {Object} actor - The actor object
+ * @param {string} itemID - The power item ID
+ * @returns {Object|null} Focus data ({ name, bonus }) or null if the power uses no focus or none is equipped
+ */
+export function getCastingFocusBonus(actor, itemID) {
+    try {
+        const item = actor?.items?.get(itemID);
+        const focusType = POWER_CASTING[getPowerType(item)]?.focus;
+        if (!focusType) {
+            return null;
+        }
+
+        const focusPaths = getDataPaths('ActorItem', focusType);
+        const bonusPath = focusPaths?.subpaths?.bonus?.replace(/^\./, '');
+        if (!bonusPath) {
+            return null;
+        }
+
+        const best = getArrayFromPath(actor, focusPaths)
+            .map(focus => ({ name: focus.name, bonus: Number(getProperty(focus, bonusPath)) || 0 }))
+            .sort((a, b) => b.bonus - a.bonus)[0];
+
+        return best && best.bonus !== 0 ? best : null;
+    } catch (error) {
+        API.log('error', 'Error getting casting focus bonus:', error);
+        return null;
+    }
+}
+
+/**
+ * Get the save DC of a power from its casting ability
+ * Only power lists with a fixed casting ability are worked out here, force power DCs are left to the system
+ * @param {Object} actor - The actor object
+ * @param {Object} item - Power item
+ * @returns {number|null} Save DC (8 + proficiency + ability modifier + focus bonus) or null
+ */
+export function getPowerSaveDC(actor, item) {
+    const ability = POWER_CASTING[getPowerType(item)]?.ability;
+    if (!ability) {
+        return null;
+    }
+
+    const proficiency = Number(getProperty(actor, getDataPaths('actor', 'character')?.subpaths?.prof)) || 0;
+    const abilityModifier = Number(actor?.system?.abilities?.[ability]?.mod) || 0;
+    const focusBonus = getCastingFocusBonus(actor, item.id)?.bonus || 0;
+
+    return 8 + proficiency + abilityModifier + focusBonus;
+}
+
+// ============================================================================
+// AMMUNITION FUNCTIONS
+// ============================================================================
+
+// Weapon property holding the shots a fire mode uses, single shots use the weapon's ammo use
+export const FIRE_MODE_PROPERTIES = {
+    burst: 'bur',
+    rapid: 'rap'
+};
+
+// Localization keys of the fire mode names
+export const FIRE_MODE_LABELS = {
+    single: 'interface.singleShot',
+    burst: 'interface.burstFire',
+    rapid: 'interface.rapidFire'
+};
+
+// Shots a burst or rapid fire uses when the property has no value
+export const DEFAULT_FIRE_MODE_SHOTS = 10;
+
+// Attack rolls made against each target by rapid fire
+export const RAPID_FIRE_ATTACKS = 2;
+
+/**
+ * Get the numeric value of a weapon property (e.g. Reload 12, Burst 8)
+ * @param {Object} item - Weapon item
+ * @param {string} property - Property key
+ * @returns {number} Property value, 0 if the weapon does not have it
+ */
+export function getWeaponPropertyValue(item, property) {
+    const value = item?.system?.properties?.[property];
+    return typeof value === 'number' ? value : Number(value) || 0;
+}
+
+/**
+ * Get the ammunition state of a weapon that reloads
+ * @param {Object} actor - The actor object
+ * @param {string} itemID - The weapon item ID
+ * @returns {Object|null} Ammo data ({ itemId, name, value, max, target, types }) or null if the weapon does not use ammo
+ */
+export function getWeaponAmmoData(actor, itemID) {
+    try {
+        const item = actor?.items?.get(itemID);
+        if (item?.type !== 'weapon') {
+            return null;
+        }
+
+        // The loaded capacity comes from the weapon's Reload property when the system does not store it
+        const ammo = item.system?.ammo || {};
+        const max = Number(ammo.max) || getWeaponPropertyValue(item, 'rel');
+        if (max <= 0) {
+            return null;
+        }
+
+        return {
+            itemId: item.id,
+            name: item.name,
+            value: Number(ammo.value) || 0,
+            max: max,
+            target: ammo.target || null,
+            types: Array.isArray(ammo.types) ? ammo.types : []
+        };
+    } catch (error) {
+        API.log('error', 'Error getting weapon ammo data:', error);
+        return null;
+    }
+}
+
+/**
+ * Get the shots an attack uses
+ * @param {Object} actor - The actor object
+ * @param {string} itemID - The weapon item ID
+ * @param {string} [fireMode='single'] - Fire mode (single, burst, rapid)
+ * @returns {number} Shots used, 0 if the weapon cannot fire in that mode
+ */
+export function getAmmoCost(actor, itemID, fireMode = 'single') {
+    const item = actor?.items?.get(itemID);
+    if (!item) {
+        return 0;
+    }
+
+    const property = FIRE_MODE_PROPERTIES[fireMode];
+    if (property) {
+        if (!item.system?.properties?.[property]) {
+            return 0;
+        }
+        return getWeaponPropertyValue(item, property) || DEFAULT_FIRE_MODE_SHOTS;
+    }
+    return Number(item.system?.ammo?.use) || 1;
+}
+
+/**
+ * Get the fire modes a weapon can attack with
+ * @param {Object} actor - The actor object
+ * @param {string} itemID - The weapon item ID
+ * @returns {Array} Fire modes, single first, then burst and rapid when the weapon has the property
+ */
+export function getWeaponFireModes(actor, itemID) {
+    const item = actor?.items?.get(itemID);
+    if (item?.type !== 'weapon') {
+        return ['single'];
+    }
+
+    const fireModes = Object.entries(FIRE_MODE_PROPERTIES)
+        .filter(([, property]) => !!item.system?.properties?.[property])
+        .map(([fireMode]) => fireMode);
+    return ['single', ...fireModes];
+}
+
+/**
+ * Get the attack rolls a fire mode makes against each target
+ * @param {string} [fireMode='single'] - Fire mode (single, burst, rapid)
+ * @returns {number} Attack rolls per target, 0 for burst which has the targets save instead
+ */
+export function getFireModeAttackCount(fireMode = 'single') {
+    switch (fireMode) {
+        case 'burst':
+            return 0;
+        case 'rapid':
+            return RAPID_FIRE_ATTACKS;
+        default:
+            return 1;
+    }
+}
+
+/**
+ * Get the ammunition in an actor's inventory that can reload a weapon
+ * The currently loaded ammunition is listed first
+ * @param {Object} actor - The actor object
+ * @param {string} itemID - The weapon item ID
+ * @returns {Array} Ammunition items with at least one left
+ */
+export function getReloadAmmunition(actor, itemID) {
+    try {
+        const ammoData = getWeaponAmmoData(actor, itemID);
+        const ammunitionPaths = getDataPaths('ActorItem', 'ammunition');
+        if (!ammoData || !ammunitionPaths) {
+            return [];
+        }
+
+        const quantityPath = ammunitionPaths.subpaths.quantity.replace(/^\./, '');
+        const ammoTypePath = ammunitionPaths.subpaths.ammoType.replace(/^\./, '');
+
+        return getArrayFromPath(actor, ammunitionPaths)
+            .filter(ammunition => (Number(getProperty(ammunition, quantityPath)) || 0) > 0)
+            // Weapons without listed ammo types take any ammunition
+            .filter(ammunition => ammoData.types.length === 0 || ammoData.types.includes(getProperty(ammunition, ammoTypePath)))
+            .sort((a, b) => (b.id === ammoData.target) - (a.id === ammoData.target));
+    } catch (error) {
+        API.log('error', 'Error getting reload ammunition:', error);
+        return [];
+    }
+}
@@ -0,0 +1,225 @@
+/**
+ * Concentration Manager
+ * Tracks the power an actor concentrates on and ends it, with the effects it keeps up, when concentration breaks
+ * Location: scripts/core/actors/concentration-manager.js
+ */
+
+import { API } from '../../api.js';
+import { socketRelay, SOCKET_OPERATIONS } from '../socket/socket-relay.js';
+import { SaveAction } from '../workflow/actions/save-action.js';
+
+const logThisFile = false;
+
+// Flag of the caster's concentration effect ({ itemUuid, itemName, workflowId, castLevel, linkedEffects })
+export const CONCENTRATION_FLAG = 'concentration';
+
+// Lowest DC of a concentration save, higher damage raises it to half the damage
+export const MIN_CONCENTRATION_DC = 10;
+
+/**
+ * Concentration Manager Class
+ * The caster carries an active effect while concentrating, effects applied from the power's card are linked to it
+ */
+export class ConcentrationManager {
+    constructor() {
+        if (logThisFile) API.log('debug', 'ConcentrationManager: Constructor called');
+        this.hookId = null;
+    }
+
+    /**
+     * Register the hook that ends linked effects when a concentration effect is removed
+     */
+    register() {
+        if (this.hookId !== null) return;
+        this.hookId = Hooks.on('deleteActiveEffect', effect => this.onEffectDeleted(effect));
+        if (logThisFile) API.log('debug', 'ConcentrationManager: Hooks registered');
+    }
+
+    /**
+     * Get the effect marking an actor as concentrating
+     * @param {Actor} actor - Actor to check
+     * @returns {ActiveEffect|null} Concentration effect or null if the actor is not concentrating
+     */
+    getConcentrationEffect(actor) {
+        return actor?.effects?.find(effect => !!effect.getFlag('sw5e-qol', CONCENTRATION_FLAG)) || null;
+    }
+
+    /**
+     * Get what an actor concentrates on
+     * @param {Actor} actor - Actor to check
+     * @returns {Object|null} Concentration data ({ itemUuid, itemName, workflowId, castLevel, linkedEffects }) or null
+     */
+    getConcentration(actor) {
+        return this.getConcentrationEffect(actor)?.getFlag('sw5e-qol', CONCENTRATION_FLAG) || null;
+    }
+
+    /**
+     * Get the DC of the concentration save after taking damage
+     * @param {number} damage - Damage taken
+     * @returns {number} Save DC
+     */
+    getConcentrationSaveDC(damage) {
+        return Math.max(MIN_CONCENTRATION_DC, Math.floor((Number(damage) || 0) / 2));
+    }
+
+    /**
+     * Mark an actor as concentrating on a power
+     * Concentrating on a new power ends the previous one
+     * @param {Actor} actor - Casting actor
+     * @param {Item} item - Concentration power
+     * @param {Object} [options={}] - Concentration options
+     * @param {string} [options.workflowId] - Workflow the power was cast in, its card links effects to the concentration
+     * @param {number} [options.castLevel] - Level the power was cast at
+     * @returns {Promise<ActiveEffect>} Created concentration effect
+     */
+    async startConcentration(actor, item, options = {}) {
+        try {
+            await this.endConcentration(actor);
+
+            const [effect] = await actor.createEmbeddedDocuments('ActiveEffect', [{
+                name: API.format('concentration.effectName', { power: item.name }),
+                icon: item.img,
+                origin: item.uuid,
+                flags: {
+                    'sw5e-qol': {
+                        [CONCENTRATION_FLAG]: {
+                            itemUuid: item.uuid,
+                            itemName: item.name,
+                            workflowId: options.workflowId ?? null,
+                            castLevel: options.castLevel ?? null,
+                            linkedEffects: []
+                        }
+                    }
+                }
+            }]);
+
+            if (logThisFile) API.log('debug', `ConcentrationManager: ${actor.name} concentrates on ${item.name}`);
+            return effect;
+        } catch (error) {
+            API.log('error', 'ConcentrationManager: Failed to start concentration:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Link effects applied from a power's card to the caster's concentration on it
+     * Effects of other workflows are not linked, their power is no longer concentrated on
+     * @param {Actor} actor - Casting actor
+     * @param {string} workflowId - Workflow the effects were applied from
+     * @param {Array} effectUuids - UUIDs of the applied effects
+     * @returns {Promise<boolean>} True if the effects were linked
+     */
+    async linkEffects(actor, workflowId, effectUuids) {
+        const effect = this.getConcentrationEffect(actor);
+        const concentration = effect?.getFlag('sw5e-qol', CONCENTRATION_FLAG);
+        if (!concentration || concentration.workflowId !== workflowId || effectUuids.length === 0) {
+            return false;
+        }
+
+        await effect.setFlag('sw5e-qol', CONCENTRATION_FLAG, {
+            ...concentration,
+            linkedEffects: [...new Set([...concentration.linkedEffects, ...effectUuids])]
+        });
+        return true;
+    }
+
+    /**
+     * End an actor's concentration and the effects linked to it
+     * @param {Actor} actor - Concentrating actor
+     * @returns {Promise<Object|null>} Concentration that ended or null if the actor was not concentrating
+     */
+    async endConcentration(actor) {
+        const effect = this.getConcentrationEffect(actor);
+        if (!effect) return null;
+
+        const concentration = effect.getFlag('sw5e-qol', CONCENTRATION_FLAG);
+        await socketRelay.execute(SOCKET_OPERATIONS.END_CONCENTRATION, { effectUuid: effect.uuid });
+
+        if (logThisFile) API.log('debug', `ConcentrationManager: ${actor.name} stopped concentrating on ${concentration.itemName}`);
+        return concentration;
+    }
+
+    /**
+     * Ask whether to roll the concentration save of a token's actor that took damage, and roll it
+     * Runs on the client of the user who answers for the actor
+     * @param {string} tokenId - Token of the concentrating actor
+     * @param {number} damage - Damage taken
+     * @returns {Promise<Object|null>} Save result ({ success, saveTotal, dc, itemName }) or null if no save was rolled
+     */
+    async promptConcentrationSave(tokenId, damage) {
+        const actor = canvas.tokens.get(tokenId)?.actor;
+        const concentration = this.getConcentration(actor);
+        if (!concentration) return null;
+
+        const promptData = { name: actor.name, power: concentration.itemName, damage: damage, dc: this.getConcentrationSaveDC(damage) };
+        const roll = await Dialog.confirm({
+            title: API.localize('concentration.saveTitle'),
+            content: `<p>${API.format('concentration.savePrompt', promptData)}</p>`,
+            defaultYes: true
+        });
+        if (!roll) return null;
+
+        const result = await this.rollConcentrationSave(tokenId, damage);
+        if (!result) return null;
+
+        ui.notifications.info(API.format(result.success ? 'concentration.maintained' : 'concentration.broken', promptData));
+        // The result is sent back over the socket, so it leaves out the roll
+        return { success: result.success, saveTotal: result.saveTotal, dc: result.dc, itemName: result.itemName };
+    }
+
+    /**
+     * Roll the concentration save of a token's actor after it took damage
+     * A failed save ends the concentration
+     * @param {string} tokenId - Token of the concentrating actor
+     * @param {number} damage - Damage taken
+     * @returns {Promise<Object|null>} Save result ({ success, saveTotal, dc, roll }) or null if the actor is not concentrating
+     */
+    async rollConcentrationSave(tokenId, damage) {
+        try {
+            const actor = canvas.tokens.get(tokenId)?.actor;
+            const concentration = this.getConcentration(actor);
+            if (!concentration) return null;
+
+            const dc = this.getConcentrationSaveDC(damage);
+            const saveResult = await new SaveAction().rollSave(tokenId, { ability: 'con', dc: dc, onSave: 'none' });
+            if (!saveResult) return null;
+
+            await saveResult.roll.toMessage({
+                speaker: ChatMessage.getSpeaker({ actor: actor }),
+                flavor: API.format('concentration.saveFlavor', { power: concentration.itemName, dc: dc })
+            });
+
+            if (!saveResult.success) {
+                await this.endConcentration(actor);
+            }
+
+            return { ...saveResult, itemName: concentration.itemName };
+        } catch (error) {
+            API.log('error', 'ConcentrationManager: Failed to roll concentration save:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * End the effects linked to a concentration effect that was removed, on the active GM only
+     * @param {ActiveEffect} effect - Deleted effect
+     */
+    async onEffectDeleted(effect) {
+        if (game.users.activeGM?.id !== game.user.id) return;
+
+        const concentration = effect.getFlag('sw5e-qol', CONCENTRATION_FLAG);
+        if (!concentration) return;
+
+        try {
+            // Effects already ended with the concentration no longer resolve
+            const linkedEffects = concentration.linkedEffects.map(uuid => fromUuidSync(uuid)).filter(Boolean);
+            for (const linkedEffect of linkedEffects) {
+                await linkedEffect.delete();
+            }
+        } catch (error) {
+            API.log('error', 'ConcentrationManager: Failed to end linked effects:', error);
+        }
+    }
+}
+
+export const concentrationManager = new ConcentrationManager();
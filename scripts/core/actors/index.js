@@ -3,5 +3,5 @@
  * Location: scripts/core/actors/index.js
  */
 
-// Note: This directory is currently empty
-// Add exports here when actor-related functionality is implemented
+// Export concentration manager
+export { ConcentrationManager, concentrationManager } from './concentration-manager.js';
@@ -54,6 +54,25 @@ export class CriticalDetector {
         }
     }
 
+    /**
+     * Check if an attack is a fumble
+     * Only a natural 1 fumbles, and only when the fumble rule is used
+     * @param {Roll} attackRoll - Attack roll object
+     * @returns {Object} Fumble result ({ isFumble, naturalRoll })
+     */
+    checkFumble(attackRoll) {
+        try {
+            const naturalRoll = this.getNaturalRoll(attackRoll);
+            return {
+                isFumble: API.getSetting('fumble-rule', false) === true && naturalRoll === 1,
+                naturalRoll: naturalRoll
+            };
+        } catch (error) {
+            API.log('warning', 'CriticalDetector: Error checking fumble:', error);
+            return { isFumble: false, naturalRoll: 0 };
+        }
+    }
+
     /**
      * Check if roll meets critical threshold
      * @param {Roll} attackRoll - Attack roll object
@@ -81,7 +100,9 @@ export class CriticalDetector {
             // Find the first d20 die in the roll
             for (const die of roll.dice) {
                 if (die.faces === 20) {
-                    return die.results[0]?.result || 0;
+                    // Use the kept result, rerolled and discarded dice are inactive
+                    const result = die.results.find(dieResult => dieResult.active) ?? die.results[0];
+                    return result?.result || 0;
                 }
             }
             return 0;
@@ -0,0 +1,93 @@
+/**
+ * Critical Rules
+ * Critical damage rules a world or a single workflow can use
+ * Location: scripts/core/dice/critical-rules.js
+ */
+
+import { API } from '../../api.js';
+import { getKeptPoolRolls } from './damage-advantage.js';
+
+// Critical damage rules, the values are stored in the critical-rule setting
+export const CRITICAL_RULES = {
+    sw5e: 'sw5e',
+    doubleDice: 'double-dice',
+    maxPlusRoll: 'max-plus-roll',
+    doubleTotal: 'double-total'
+};
+
+export const DEFAULT_CRITICAL_RULE = CRITICAL_RULES.sw5e;
+
+// Value of a workflow override that keeps the world's rule
+export const WORLD_CRITICAL_RULE = 'default';
+
+/**
+ * Get the critical damage rule to use
+ * @param {string} [override] - Rule chosen for a single workflow, the world's rule is used when it is not a known rule
+ * @returns {string} Critical rule
+ */
+export function getCriticalRule(override = null) {
+    const rules = Object.values(CRITICAL_RULES);
+    if (rules.includes(override)) return override;
+
+    const worldRule = API.getSetting('critical-rule', DEFAULT_CRITICAL_RULE);
+    return rules.includes(worldRule) ? worldRule : DEFAULT_CRITICAL_RULE;
+}
+
+/**
+ * Check whether weapon properties (brutal, vicious, piercing) add to critical damage under a rule
+ * @param {string} criticalRule - Critical rule
+ * @returns {boolean} True if weapon properties apply
+ */
+export function usesWeaponProperties(criticalRule) {
+    return criticalRule !== CRITICAL_RULES.doubleDice;
+}
+
+/**
+ * Replace the dice of a formula with their maximum result
+ * @param {string} formula - Formula, e.g. 2d6[kinetic] + 1d4[energy]
+ * @returns {string} Formula with fixed values, e.g. 12[kinetic] + 4[energy]
+ */
+export function maximizeDice(formula) {
+    return String(formula).replace(/(\d*)d(\d+)(?:\s*min\s*\d+)?/gi, (_, count, faces) => `${Number(count || 1) * Number(faces)}`);
+}
+
+/**
+ * Build a formula repeating the result of an evaluated roll, each damage type keeps its share
+ * Subtracted terms keep their sign, e.g. 2d6[kinetic] - 2[kinetic] repeats as 7[kinetic] - 2[kinetic]
+ * @param {Roll} roll - Evaluated damage roll
+ * @returns {string} Formula of fixed values, e.g. 10[kinetic] + 3[energy]
+ */
+export function buildRepeatTotalFormula(roll) {
+    const values = [];
+    let typedTotal = 0;
+    let sign = 1;
+
+    // The damage types of an advantage pool are those of the roll it kept
+    const rollTerms = (roll?.terms || []).flatMap(term => term instanceof PoolTerm ? getKeptPoolRolls(term).flatMap(poolRoll => poolRoll.terms) : [term]);
+    for (const term of rollTerms) {
+        // The operator in front of a term gives its sign
+        if (term instanceof OperatorTerm) {
+            sign = term.operator === '-' ? -1 : 1;
+            continue;
+        }
+
+        const flavor = term.options?.flavor;
+        const value = sign * term.total;
+        sign = 1;
+        if (!flavor || typeof term.total !== 'number') continue;
+        values.push({ value: value, flavor: flavor });
+        typedTotal += value;
+    }
+
+    // Damage without a type (e.g. an advantage roll) is added once more as it is
+    const untypedTotal = (roll?.total || 0) - typedTotal;
+    if (untypedTotal !== 0 || values.length === 0) {
+        values.push({ value: untypedTotal, flavor: null });
+    }
+
+    return values.map(({ value, flavor }, index) => {
+        const term = flavor ? `${Math.abs(value)}[${flavor}]` : `${Math.abs(value)}`;
+        if (index === 0) return value < 0 ? `-${term}` : term;
+        return `${value < 0 ? '-' : '+'} ${term}`;
+    }).join(' ');
+}
@@ -20,19 +20,21 @@ export class D20Processor {
      * Check attack roll against target AC
      * @param {Roll} attackRoll - Attack roll object
      * @param {Object} target - Target object with AC
+     * @param {number} [acBonus=0] - AC the target gained against this attack (e.g. from a reaction)
      * @returns {Object} Attack check result
      */
-    checkAttack(attackRoll, target) {
+    checkAttack(attackRoll, target, acBonus = 0) {
         try {
             const acPath = getDataPaths('actor', 'character').subpaths.ac;
             const attackTotal = attackRoll.total;
-            const targetAC = getProperty(target, acPath+'.value');
+            const targetAC = getProperty(target, acPath+'.value') + acBonus;
             const hit = attackTotal >= targetAC;
 
             return {
                 hit: hit,
                 attackTotal: attackTotal,
                 targetAC: targetAC,
+                acBonus: acBonus,
                 margin: attackTotal - targetAC,
                 naturalRoll: this.getNaturalRoll(attackRoll)
             };
@@ -123,7 +125,9 @@ export class D20Processor {
             // Find the first d20 die in the roll
             for (const die of roll.dice) {
                 if (die.faces === 20) {
-                    return die.results[0]?.result || 0;
+                    // Use the kept result, rerolled and discarded dice are inactive
+                    const result = die.results.find(dieResult => dieResult.active) ?? die.results[0];
+                    return result?.result || 0;
                 }
             }
             return 0;
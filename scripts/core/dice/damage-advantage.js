@@ -0,0 +1,102 @@
+/**
+ * Damage Advantage
+ * How advantage and disadvantage apply to damage rolls
+ * Location: scripts/core/dice/damage-advantage.js
+ */
+
+import { API } from '../../api.js';
+import { featureManager } from '../../features/feature-manager.js';
+
+// Damage advantage modes, the values are stored in the damage-advantage-mode setting
+// Whole roll: max(2d8 + 2d6, 2d8 + 2d6) + 3, each die: 2d8kh1 + 2d8kh1 + 2d6kh1 + 2d6kh1 + 3
+export const DAMAGE_ADVANTAGE_MODES = {
+    wholeRoll: 'whole-roll',
+    perDie: 'per-die'
+};
+
+export const DEFAULT_DAMAGE_ADVANTAGE_MODE = DAMAGE_ADVANTAGE_MODES.wholeRoll;
+
+/**
+ * Get the damage advantage mode to use
+ * @param {string} [override] - Mode chosen by a feature or caller, the world's mode is used when it is not a known mode
+ * @returns {string} Damage advantage mode
+ */
+export function resolveDamageAdvantageMode(override = null) {
+    const modes = Object.values(DAMAGE_ADVANTAGE_MODES);
+    if (modes.includes(override)) return override;
+
+    const worldMode = API.getSetting('damage-advantage-mode', DEFAULT_DAMAGE_ADVANTAGE_MODE);
+    return modes.includes(worldMode) ? worldMode : DEFAULT_DAMAGE_ADVANTAGE_MODE;
+}
+
+/**
+ * Get the damage advantage mode of a workflow
+ * A feature enabled in the workflow's dialog can choose the mode instead of the world setting
+ * @param {Object} state - Workflow state
+ * @returns {string} Damage advantage mode
+ */
+export function getDamageAdvantageMode(state) {
+    const featureIds = (state?.dialogState?.enabledFeatures || []).map(feature => feature.featureId);
+    return resolveDamageAdvantageMode(featureManager.getDamageAdvantageMode(featureIds));
+}
+
+/**
+ * Apply advantage or disadvantage to a damage formula
+ * @param {string} formula - Damage formula
+ * @param {string} advantageType - normal, advantage or disadvantage, as the dialog's radios send it
+ * @param {string} mode - Damage advantage mode (whole-roll, per-die)
+ * @returns {string} Formula with advantage applied, e.g. {2d6, 2d6}kh for advantage on a whole roll
+ */
+export function applyDamageAdvantage(formula, advantageType, mode) {
+    if (advantageType !== 'advantage' && advantageType !== 'disadvantage') return formula;
+
+    const keep = advantageType === 'advantage' ? 'kh' : 'kl';
+    if (mode === DAMAGE_ADVANTAGE_MODES.perDie) {
+        return applyPerDieAdvantage(formula, keep);
+    }
+
+    // A pool keeps the rolls it discards, so both show in the roll breakdown
+    return `{${formula}, ${formula}}${keep}`;
+}
+
+/**
+ * Roll each die of a formula twice and keep one of the results
+ * Dice that already keep or drop results are left as they are
+ * @param {string} formula - Formula, e.g. (2d8+3)[kinetic]
+ * @param {string} keep - Keep modifier (kh, kl)
+ * @returns {string} Formula, e.g. (2d8kh + 2d8kh+3)[kinetic]
+ */
+export function applyPerDieAdvantage(formula, keep) {
+    // A flavor right after the dice (2d6[kinetic]) is repeated for each die
+    return String(formula).replace(/(\d*)d(\d+)((?:[a-z]+\d*)*)(\[[^\]]*\])?/gi, (expression, count, faces, modifiers, flavor = '') => {
+        if (/[kd][hl]?/i.test(modifiers)) return expression;
+        return Array(Number(count || 1)).fill(`2d${faces}${modifiers}${keep}${flavor}`).join(' + ');
+    });
+}
+
+/**
+ * Get the rolls a pool term kept
+ * @param {PoolTerm} term - Evaluated pool term
+ * @returns {Array} Kept rolls
+ */
+export function getKeptPoolRolls(term) {
+    return (term.rolls || []).filter((roll, index) => term.results?.[index]?.active !== false);
+}
+
+/**
+ * Get the dice of the rolls the pool terms of a roll discarded
+ * @param {Roll} roll - Evaluated roll
+ * @returns {Set} Discarded dice terms
+ */
+export function getDiscardedPoolDice(roll) {
+    const discarded = new Set();
+    for (const term of roll?.terms || []) {
+        if (!(term instanceof PoolTerm)) continue;
+        (term.rolls || []).forEach((poolRoll, index) => {
+            if (term.results?.[index]?.active === false) {
+                poolRoll.dice.forEach(die => discarded.add(die));
+            }
+        });
+    }
+    return discarded;
+}
@@ -8,6 +8,8 @@ import { API } from '../../api.js';
 import { getDataPaths } from '../../core/utils/reference/data-lookup.js';
 import { getActorFromTokenID } from '../../actors/actor-util.js';
 import { featureManager } from '../../features/feature-manager.js';
+import { FormulaParser } from './formula-parser.js';
+import { applyMinimumRolls, getWorkflowMinimumRolls } from './minimum-rolls.js';
 
 /**
  * Dice Builder Class
@@ -16,7 +18,7 @@ import { featureManager } from '../../features/feature-manager.js';
 export class DiceBuilder {
     constructor() {
         //this.dataPaths = getDataPaths();
-        
+        this.formulaParser = new FormulaParser();
     }
 
     /**
@@ -27,7 +29,7 @@ export class DiceBuilder {
     async buildAttackPool(state) {
         try {
             const { dialogState } = state;
-            const actor = getActorFromTokenID(dialogState.ownerID);
+            const actor = await getActorFromTokenID(dialogState.ownerID);
             //const item = actor?.items.get(dialogState.itemID);
             
             if (actor == null) {
@@ -36,14 +38,14 @@ export class DiceBuilder {
 
             // Step 1: Add base d20 and build base dice pool from modifiers array
             dialogState.modifiers.unshift({modifierName: 'Attack Die', modifier: '1d20', modifierType: 'Untyped'});
-            const basePool = this.buildBaseDicePool(dialogState.modifiers);
+            const basePool = this.buildBaseDicePool(dialogState.modifiers, actor.getRollData?.() || {});
             console.log('DiceBuilder: Base pool:', basePool);
 
             // Step 2: Apply features and options
             const modifiedPool = await this.applyFeaturesAndOptions(basePool, state, 'attack');
             
             // Step 3: Build pool formula
-            const poolFormula = this.buildPoolFormula(modifiedPool, 'attack');
+            const poolFormula = this.buildPoolFormula(modifiedPool, 'attack', getWorkflowMinimumRolls(state));
             console.log('DiceBuilder: Pool formula:', poolFormula);
             
             // Step 6: Create Roll objects
@@ -71,7 +73,7 @@ export class DiceBuilder {
     async buildDamagePool(state) {
         try {
             const { dialogState, targets } = state;
-            const actor = getActorFromTokenID(dialogState.ownerID);
+            const actor = await getActorFromTokenID(dialogState.ownerID);
             //const item = actor?.items.get(dialogState.itemID);
             
             if (actor == null) {
@@ -79,7 +81,7 @@ export class DiceBuilder {
             }
 
             // Step 1: Build base dice pool from modifiers array
-            const basePool = this.buildBaseDicePool(dialogState.modifiers);
+            const basePool = this.buildBaseDicePool(dialogState.modifiers, actor.getRollData?.() || {});
             console.log('DiceBuilder: Base pool:', basePool);
             
             // Step 2: Apply features and options
@@ -87,7 +89,7 @@ export class DiceBuilder {
             console.log('DiceBuilder: Modified pool:', modifiedPool);
 
             // Step 3: Build pool formula (grouped by type for damage)
-            const poolFormula = this.buildPoolFormula(modifiedPool, 'damage');
+            const poolFormula = this.buildPoolFormula(modifiedPool, 'damage', getWorkflowMinimumRolls(state));
             console.log('DiceBuilder: Pool formula:', poolFormula);
 
             // Step 4: Create crit pool (placeholder for now)
@@ -95,9 +97,10 @@ export class DiceBuilder {
             console.log('DiceBuilder: Crit pool:', critPool);
 
             // Step 5: Apply pool level modifiers (advantage/disadvantage)
-            const advantageType = dialogState.advantageSelection || 'Normal';
-            const advantage = advantageType === 'Advantage';
-            const disadvantage = advantageType === 'Disadvantage';
+            // The dialog's radios use lower case values
+            const advantageType = (dialogState.advantageSelection || 'Normal').toLowerCase();
+            const advantage = advantageType === 'advantage';
+            const disadvantage = advantageType === 'disadvantage';
             
             // Step 6: Create Roll objects
             const baseRoll = await this.createRollObject(poolFormula, advantage, disadvantage, 'damage');
@@ -119,44 +122,37 @@ export class DiceBuilder {
 
     /**
      * Step 1: Build base dice pool from modifiers array
+     * Each term of a modifier becomes an element, data references are replaced with the actor's values
      * @param {Array} modifiers - Array of modifier objects
+     * @param {Object} [rollData={}] - Roll data of the actor
      * @returns {Array} Parsed dice pool elements
      */
-    buildBaseDicePool(modifiers) {
+    buildBaseDicePool(modifiers, rollData = {}) {
         const dicePool = [];
-        let elementType = '';
         
         modifiers.forEach(modifier => {
-            if (!modifier.modifier || modifier.modifier.trim() === '') return;
-            
-            // Remove all spaces
-            const cleanedModifier = modifier.modifier.replace(/\s/g, '');
+            if (!modifier.modifier || String(modifier.modifier).trim() === '') return;
             
-            // Split on + symbols
-            const plusSplit = cleanedModifier.split('+');
+            let terms;
+            try {
+                terms = this.formulaParser.parse(modifier.modifier, { source: modifier.modifierName || 'Unknown' });
+                terms = this.formulaParser.flatten(this.formulaParser.resolveData(terms, rollData));
+            } catch (error) {
+                API.log('warning', `DiceBuilder: Skipping modifier ${modifier.modifierName}:`, error);
+                return;
+            }
             
-            // Process each part from plus split
-            plusSplit.forEach(part => {
-                if (part === '') return; // Skip empty elements
+            terms.forEach(term => {
+                if (term.kind === 'flat' && term.value === 0) return; // Skip zero values
                 
-                // Split on - that is not the first character
-                const minusSplit = this.splitOnMinus(part);
-                
-                minusSplit.forEach(element => {
-                    if (element === '') return; // Skip empty elements
-                    if (element === '0') return; // Skip zero values
-                    
-                    // Determine if the element is a dice or a number
-                    if (isNaN(element)) elementType = 'dice';
-                    else elementType = 'number';
-                    
-                    dicePool.push({
-                        element: element,
-                        elementType: elementType,
-                        modifierType: modifier.modifierType || '',
-                        modifierName: modifier.modifierName || 'Unknown',
-                        featureName: modifier.featureName || null
-                    });
+                dicePool.push({
+                    element: this.formulaParser.stringify([term], { flavors: false }),
+                    elementType: term.kind === 'flat' ? 'number' : 'dice',
+                    // A flavor on the term (1d4[energy]) wins over the modifier's type
+                    modifierType: term.damageType || modifier.modifierType || '',
+                    modifierName: modifier.modifierName || 'Unknown',
+                    featureName: modifier.featureName || null,
+                    minimumRoll: modifier.minimumRoll || null
                 });
             });
         });
@@ -164,36 +160,6 @@ export class DiceBuilder {
         return dicePool;
     }
 
-    /**
-     * Split string on minus that is not the first character
-     * @param {string} str - String to split
-     * @returns {Array} Array of split elements
-     */
-    splitOnMinus(str) {
-        if (str.length <= 1) return [str];
-        
-        const result = [];
-        let current = '';
-        
-        for (let i = 0; i < str.length; i++) {
-            if (str[i] === '-' && i > 0) {
-                if (current !== '') {
-                    result.push(current);
-                    current = '';
-                }
-                current += '-';
-            } else {
-                current += str[i];
-            }
-        }
-        
-        if (current !== '') {
-            result.push(current);
-        }
-        
-        return result;
-    }
-
     /**
      * Step 2: Apply features and options
      * @param {Array} dicePool - Base dice pool
@@ -219,12 +185,16 @@ export class DiceBuilder {
 
 
         if (actionType === 'attack') {
-            const advantageType = state.dialogState.advantageSelection || 'Normal';
+            // The dialog's radios use lower case values
+            const advantageType = (state.dialogState.advantageSelection || 'Normal').toLowerCase();
+            const advantage = advantageType === 'advantage';
+            // Rapid fire attacks are made with disadvantage, advantage cancels it out
+            const disadvantage = advantageType === 'disadvantage' || state.dialogState.fireMode === 'rapid';
             
-            if (advantageType === 'Advantage') {
-                dicePool[0].modifier = 'max(1d20, 1d20)';
-            } else if (advantageType === 'Disadvantage') {
-                dicePool[0].modifier = 'min(1d20, 1d20)';
+            if (advantage && !disadvantage) {
+                dicePool[0].element = 'max(1d20, 1d20)';
+            } else if (disadvantage && !advantage) {
+                dicePool[0].element = 'min(1d20, 1d20)';
             }
         }
         // For now, return the pool as-is
@@ -235,37 +205,38 @@ export class DiceBuilder {
      * Step 3: Build pool formula
      * @param {Array} dicePool - Modified dice pool
      * @param {string} actionType - Type of action (attack, damage, etc.)
+     * @param {Array} [minimumRolls=[]] - Minimum roll rules of the workflow, applied to every die of the pool
      * @returns {string} Final dice formula
      */
-    buildPoolFormula(dicePool, actionType) {
+    buildPoolFormula(dicePool, actionType, minimumRolls = []) {
         if (actionType === 'damage') {
-            return this.buildDamageFormula(dicePool);
+            return this.buildDamageFormula(dicePool, minimumRolls);
         } else {
-            return this.buildNonDamageFormula(dicePool);
+            return this.buildNonDamageFormula(dicePool, actionType, minimumRolls);
         }
     }
 
     /**
      * Build formula for damage pools (grouped by type)
      * @param {Array} dicePool - Dice pool elements
-     * @returns {string} Damage formula
+     * @param {Array} [minimumRolls=[]] - Minimum roll rules of the workflow
+     * @returns {string} Damage formula, e.g. (2d6+3)[kinetic]+(1d4)[energy]
      */
-    buildDamageFormula(dicePool) {
-        // Group by type
+    buildDamageFormula(dicePool, minimumRolls = []) {
+        // Group by type, a flavor added to an element by a feature wins over its type
         const groups = {};
-        dicePool.forEach(element => {
-            const type = element.modifierType || 'kinetic';
-            if (!groups[type]) {
-                groups[type] = [];
+        this.parsePoolElements(dicePool, 'kinetic', 'damage').forEach(term => {
+            if (!groups[term.damageType]) {
+                groups[term.damageType] = [];
             }
-            groups[type].push(element.element);
+            groups[term.damageType].push(term);
         });
         
         // Build formula for each type
         const typeFormulas = [];
         Object.keys(groups).forEach(type => {
-            const elements = groups[type];
-            const combined = this.combineElements(elements);
+            const merged = applyMinimumRolls(this.formulaParser.merge(groups[type]), minimumRolls, 'damage');
+            const combined = this.formulaParser.stringify(merged, { flavors: false });
             if (combined) {
                 typeFormulas.push(`(${combined})[${type}]`);
             }
@@ -277,88 +248,38 @@ export class DiceBuilder {
     /**
      * Build formula for non-damage pools
      * @param {Array} dicePool - Dice pool elements
+     * @param {string} [actionType] - Type of action (attack, skill, save)
+     * @param {Array} [minimumRolls=[]] - Minimum roll rules of the workflow
      * @returns {string} Non-damage formula
      */
-    buildNonDamageFormula(dicePool) {
-        const elements = dicePool.map(element => element.element);
-        return this.combineElements(elements);
+    buildNonDamageFormula(dicePool, actionType = null, minimumRolls = []) {
+        const terms = this.formulaParser.merge(this.parsePoolElements(dicePool, null, actionType), { byType: false });
+        return this.formulaParser.stringify(applyMinimumRolls(terms, minimumRolls, actionType), { flavors: false }) || '0';
     }
 
     /**
-     * Combine elements into a single formula
-     * @param {Array} elements - Array of dice elements
-     * @returns {string} Combined formula
-     */
-    combineElements(elements) {
-        if (elements.length === 0) return '';
-        
-        // Separate dice and numbers
-        const diceElements = [];
-        const numberElements = [];
-        
-        elements.forEach(element => {
-            if (element.includes('d')) {
-                diceElements.push(element);
-            } else {
-                const num = parseInt(element);
-                if (!isNaN(num)) {
-                    numberElements.push(num);
-                }
-            }
-        });
-        
-        // Combine dice elements
-        const combinedDice = this.combineDiceElements(diceElements);
-        
-        // Sum number elements
-        const numberSum = numberElements.reduce((sum, num) => sum + num, 0);
-        
-        // Build final formula
-        let formula = '';
-        
-        if (combinedDice) {
-            formula += combinedDice;
-        }
-        
-        if (numberSum !== 0) {
-            if (formula) {
-                formula += numberSum >= 0 ? `+${numberSum}` : `${numberSum}`;
-            } else {
-                formula += `${numberSum}`;
-            }
-        }
-        
-        return formula || '0';
-    }
-
-    /**
-     * Combine dice elements (e.g., ["1d6", "1d6", "1d4"] -> "2d6+1d4")
-     * @param {Array} diceElements - Array of dice strings
-     * @returns {string} Combined dice string
+     * Parse the elements of a dice pool into terms
+     * Features can change elements (e.g. add +1), so they are parsed again
+     * The minimum roll rule of an element only applies to its own dice
+     * @param {Array} dicePool - Dice pool elements
+     * @param {string} [defaultType] - Damage type of elements without one
+     * @param {string} [actionType] - Type of action, minimum roll rules can be limited to some
+     * @returns {Array} Flattened terms
      */
-    combineDiceElements(diceElements) {
-        if (diceElements.length === 0) return '';
-        
-        // Group by die type
-        const groups = {};
-        diceElements.forEach(dice => {
-            const match = dice.match(/^(\d+)d(\d+)/);
-            if (match) {
-                const quantity = parseInt(match[1]);
-                const dieType = `d${match[2]}`;
-                groups[dieType] = (groups[dieType] || 0) + quantity;
+    parsePoolElements(dicePool, defaultType = null, actionType = null) {
+        return dicePool.flatMap(element => {
+            try {
+                const terms = this.formulaParser.parse(element.element, {
+                    damageType: element.modifierType || defaultType,
+                    source: element.modifierName
+                });
+                const rules = element.minimumRoll ? [element.minimumRoll] : [];
+                return applyMinimumRolls(this.formulaParser.flatten(terms), rules, actionType);
+            } catch (error) {
+                API.log('warning', `DiceBuilder: Skipping dice pool element ${element.element}:`, error);
+                return [];
             }
         });
-        
-        // Build combined string
-        const dieTypeOrder = ['d20', 'd12', 'd10', 'd8', 'd6', 'd4'];
-        const sortedTypes = Object.keys(groups).sort((a, b) => {
-            const indexA = dieTypeOrder.indexOf(a);
-            const indexB = dieTypeOrder.indexOf(b);
-            return indexA - indexB;
-        });
-        
-        return sortedTypes.map(type => `${groups[type]}${type}`).join('+');
     }
 
     /**
@@ -2,8 +2,8 @@
  * DicePool Class - Manages dice rolling for various roll types
  * Extracted and refactored from damage_refactor_wip.js
  * Location: scripts/core/dice/dice-pool.js
- * is damage advantage this: 2d8kh1 + 3 + 2d6kh1 
-or this: max(2d8 + 2d6, 2d8 + 2d6) + 3 as there is a difference
+ * Kept for backward compatibility, workflows build their dice with DiceBuilder and roll them with DiceRoller:
+ * damage advantage modes, critical rules and minimum rolls live in damage-advantage.js, critical-rules.js and minimum-rolls.js
  */
 
 // Constants from damage refactor
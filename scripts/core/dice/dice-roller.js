@@ -5,6 +5,9 @@
  */
 
 import { API } from '../../api.js';
+import { WeaponPropertyEngine } from './weapon-property-engine.js';
+import { CRITICAL_RULES, getCriticalRule, usesWeaponProperties, maximizeDice, buildRepeatTotalFormula } from './critical-rules.js';
+import { getDamageAdvantageMode, applyDamageAdvantage } from './damage-advantage.js';
 
 /**
  * Dice Roller Class
@@ -30,12 +33,12 @@ export class DiceRoller {
             if (state.dialogState.rollSeparate && !targets[0].noTarget) {
                 // Roll separately for each target
                 for (let i = 0; i < targets.length; i++) {
-                    const roll = await this.createAttackRoll(diceConfig, targets[i].tokenID);
+                    const roll = await this.createAttackRoll(diceConfig, targets[i].tokenId);
                     rolls.push(roll);
                 }
             } else {
                 // Roll once for all targets
-                const tokenID = targets[0].noTarget ? 'noTarget' : targets[0].tokenID;
+                const tokenID = targets[0].noTarget ? 'noTarget' : targets[0].tokenId;
                 const roll = await this.createAttackRoll(diceConfig, tokenID);
                 rolls.push(roll);
             }
@@ -85,130 +88,175 @@ export class DiceRoller {
 
     /**
      * Create damage roll
+     * On a critical hit the damage is kept in separate rolls: baseRoll holds the normal damage,
+     * critRoll the extra damage of the critical rule and brutalRoll/viciousRoll the extra damage of the weapon's properties
      * @param {string} baseFormula - Dice configuration
      * @param {Object} state - Workflow state
-     * @param {number} targetIndex - Target index
-     * @returns {Roll} Roll object
+     * @returns {Object} Damage rolls ({ normalRoll, baseRoll, critRoll, brutalRoll, viciousRoll })
      */
     async createDamageRoll(baseFormula, state) {
         try {
-            const advantageType = state.dialogState.advantageSelection || 'Normal';
-            let baseRoll = null;
-            let critRoll = null;
-            let normalRoll = null;
-            let formula = baseFormula;
-            
-            if (advantageType != 'Normal') {
-                // This will need to be adapted based on how critical damage is handled
-                formula = baseFormula + ' + ' + baseFormula + '+ 1d12[ion] + 2[cold]'; //TODO: Implement brutal dice and vicous bonus including damage type and adding to state modifiers
-            }
-            
-            if (advantageType == 'Advantage') {
-                formula = `max(${formula}, ${formula})`;
-            } else if (advantageType == 'Disadvantage') {
-                formula = `min(${formula}, ${formula})`;
-            }
+            // The dialog's radios use lower case values
+            const advantageType = (state.dialogState.advantageSelection || 'Normal').toLowerCase();
+            const advantageMode = getDamageAdvantageMode(state);
+            // Critical dice are rolled when a chained attack crit any target
+            const isCritical = state.attackResults?.some(result => result.isCritical) || false;
 
-            // Create and evaluate roll
-            const roll = await new Roll(formula).evaluate({ async: true });
-            
-            if(advantageType != 'Normal') {
-                const splitResult = this.splitCritAdvantageRoll(roll, advantageType);
-                baseRoll = splitResult.baseRoll;  // Fixed destructuring
-                critRoll = splitResult.critRoll;  // Fixed destructuring
-            } else {
-                normalRoll = roll;
+            const roll = await this.evaluateDamageFormula(baseFormula, advantageType, advantageMode);
+            if (!isCritical) {
+                return {
+                    normalRoll: roll,
+                    baseRoll: null,
+                    critRoll: null
+                };
             }
 
-            return {
-                normalRoll: normalRoll,
-                baseRoll: baseRoll,
-                critRoll: critRoll
+            const criticalRule = getCriticalRule(state.dialogState.criticalRule);
+            const propertyEngine = new WeaponPropertyEngine();
+            const weapon = usesWeaponProperties(criticalRule) ? await propertyEngine.getWorkflowWeapon(state) : null;
+            const rolls = {
+                normalRoll: null,
+                baseRoll: roll,
+                critRoll: await this.createCriticalRoll(baseFormula, roll, criticalRule, { advantageType, advantageMode }, propertyEngine, weapon)
+            };
+
+            // Vicious needs the d20 to show a 20, a keen weapon's critical hit on a lower roll does not count
+            const naturalTwenty = state.attackResults?.some(result => result.isCritical && result.hitResult?.naturalRoll === 20) || false;
+            for (const [rollName, extra] of Object.entries(propertyEngine.buildCriticalExtras(weapon, baseFormula, { naturalTwenty }))) {
+                const extraRoll = await new Roll(extra.formula).evaluate({ async: true });
+                extraRoll.options = { ...extraRoll.options, weaponProperty: { property: extra.property, value: extra.value } };
+                rolls[rollName] = extraRoll;
             }
+
+            return rolls;
         } catch (error) {
             API.log('error', 'DiceRoller: Error creating damage roll:', error);
             throw error;
         }
     }
 
-    splitCritAdvantageRoll(roll, advantageType) {
-        // Calculate midpoint
-        const midpoint = Math.floor(roll.dice.length / 2);
-
-        // Get references to the dice arrays (not modifying the original roll)
-        const firstHalfDice = roll.dice.slice(0, midpoint);
-        const secondHalfDice = roll.dice.slice(midpoint);
-
-        // Calculate sums directly from the dice arrays
-        const firstHalfSum = firstHalfDice.reduce((total, die) => {
-            return total + die.results
-                .filter(result => result.active)
-                .reduce((sum, result) => sum + result.result, 0);
-        }, 0);
-
-        const secondHalfSum = secondHalfDice.reduce((total, die) => {
-            return total + die.results
-                .filter(result => result.active)
-                .reduce((sum, result) => sum + result.result, 0);
-        }, 0);
-
-        console.log('First half sum:', firstHalfSum);
-        console.log('Second half sum:', secondHalfSum);
-
-        // Determine winning dice set
-        let winningDice;
-        let winningRollReference = roll; // Keep reference to original roll for other properties
-        if (secondHalfSum > firstHalfSum && advantageType === 'Advantage') {
-            winningDice = secondHalfDice;
+    /**
+     * Create the extra damage roll of a critical hit
+     * @param {string} baseFormula - Damage formula
+     * @param {Roll} baseRoll - Evaluated normal damage roll
+     * @param {string} criticalRule - Critical rule (sw5e, double-dice, max-plus-roll, double-total)
+     * @param {Object} advantage - Advantage of the roll ({ advantageType, advantageMode })
+     * @param {WeaponPropertyEngine} propertyEngine - Weapon property engine
+     * @param {Object|null} weapon - Weapon details, null when weapon properties do not apply
+     * @returns {Roll|null} Evaluated critical roll or null if the critical hit adds no damage
+     */
+    async createCriticalRoll(baseFormula, baseRoll, criticalRule, advantage, propertyEngine, weapon) {
+        let critRoll = null;
+
+        if (criticalRule === CRITICAL_RULES.doubleTotal) {
+            // The damage dealt is doubled, modifiers included
+            critRoll = await new Roll(buildRepeatTotalFormula(baseRoll)).evaluate({ async: true });
         } else {
-            winningDice = firstHalfDice;
-        }
+            const critFormula = propertyEngine.buildCriticalFormula(baseFormula);
+            if (!critFormula) return null;
 
-        // Split the winning dice set
-        const winningMidpoint = Math.floor(winningDice.length / 2);
-        const baseRollDice = winningDice.slice(0, winningMidpoint);
-        const critRollDice = winningDice.slice(winningMidpoint);
-
-        // If you absolutely need Roll objects with the modified dice, you can create new ones:
-        // (Note: This creates NEW Roll objects, not modifying the original)
-        const baseRollFormula = baseRollDice.map(die => die.expression).join(' + ');
-        const critRollFormula = critRollDice.map(die => die.expression).join(' + ');
-
-        // Create new Roll objects if needed (they'll need to be evaluated)
-        let baseRoll, critRoll;
-        if (baseRollFormula) {
-            baseRoll = new Roll(baseRollFormula);
-            // Copy over the already-rolled dice results
-            baseRoll._dice = baseRollDice;
-            baseRoll._evaluated = true;
-            baseRoll._total = baseRollDice.reduce((total, die) => {
-                return total + die.results
-                    .filter(result => result.active)
-                    .reduce((sum, result) => sum + result.result, 0);
-            }, 0);
+            if (criticalRule === CRITICAL_RULES.maxPlusRoll) {
+                // The doubled dice deal their maximum instead of being rolled
+                critRoll = await new Roll(maximizeDice(critFormula)).evaluate({ async: true });
+            } else {
+                critRoll = await this.evaluateDamageFormula(critFormula, advantage.advantageType, advantage.advantageMode);
+                critRoll = await propertyEngine.applyPiercing(critRoll, weapon, this);
+            }
         }
 
-        if (critRollFormula) {
-            critRoll = new Roll(critRollFormula);
-            critRoll._dice = critRollDice;
-            critRoll._evaluated = true;
-            critRoll._total = critRollDice.reduce((total, die) => {
-                return total + die.results
-                    .filter(result => result.active)
-                    .reduce((sum, result) => sum + result.result, 0);
-            }, 0);
-        }
+        critRoll.options = { ...critRoll.options, criticalRule: criticalRule };
+        return critRoll;
+    }
 
-        console.log('Base roll dice:', baseRollDice);
-        console.log('Crit roll dice:', critRollDice);
-        console.log('Base roll object:', baseRoll);
-        console.log('Crit roll object:', critRoll);
+    /**
+     * Evaluate a damage formula with advantage or disadvantage
+     * @param {string} formula - Damage formula
+     * @param {string} advantageType - normal, advantage or disadvantage
+     * @param {string} advantageMode - Damage advantage mode (whole-roll, per-die)
+     * @returns {Roll} Evaluated roll
+     */
+    async evaluateDamageFormula(formula, advantageType, advantageMode) {
+        return await new Roll(applyDamageAdvantage(formula, advantageType, advantageMode)).evaluate({ async: true });
+    }
 
-        return {
-            baseRoll: baseRoll,
-            critRoll: critRoll
+    /**
+     * Reroll a whole roll with the same formula
+     * @param {Roll} roll - Evaluated roll to reroll
+     * @returns {Roll} New evaluated roll
+     */
+    async rerollRoll(roll) {
+        try {
+            const newRoll = await roll.reroll({ async: true });
+            newRoll.options = { ...roll.options, rerolled: true };
+            return newRoll;
+        } catch (error) {
+            API.log('error', 'DiceRoller: Error rerolling roll:', error);
+            throw error;
         }
+    }
+
+    /**
+     * Check whether single dice of a roll can be rerolled
+     * Dice nested in functions (max, min) or parentheses cannot be totalled again individually
+     * @param {Roll} roll - Evaluated roll
+     * @returns {boolean} True if individual dice can be rerolled
+     */
+    canRerollDice(roll) {
+        if (!roll?.terms?.length) return false;
+        return roll.terms.every(term => !(term instanceof MathTerm) && !(term instanceof ParentheticalTerm) && !(term instanceof PoolTerm));
+    }
+
+    /**
+     * Reroll a single die result (e.g. one d20 for a Lucky style feature)
+     * The old result is kept as rerolled and inactive, keep/drop modifiers are applied again
+     * and the new result is raised to the die's minimum (min modifier) like the first roll was
+     * @param {Roll} roll - Evaluated roll
+     * @param {number} dieIndex - Index of the die term in roll.dice
+     * @param {number} resultIndex - Index of the result within the die term
+     * @returns {Roll} New evaluated roll
+     */
+    async rerollDie(roll, dieIndex, resultIndex = 0) {
+        try {
+            if (!this.canRerollDice(roll)) {
+                throw new Error(`Individual dice cannot be rerolled in formula: ${roll.formula}`);
+            }
+
+            const newRoll = Roll.fromData(roll.toJSON());
+            const die = newRoll.dice[dieIndex];
+            const result = die?.results[resultIndex];
+            if (!die || !result) {
+                throw new Error(`Die result not found: ${dieIndex}.${resultIndex}`);
+            }
+
+            result.rerolled = true;
+            result.active = false;
+            const newResult = die.roll();
+
+            // A minimum roll rule (e.g. 2d6min2) also covers the new result
+            const minimum = die.modifiers.map(modifier => /^min(\d+)$/i.exec(modifier)).find(Boolean);
+            if (minimum) {
+                newResult.result = Math.max(newResult.result, Math.min(Number(minimum[1]), die.faces));
+            }
+
+            // Apply keep/drop (advantage) again over the remaining results
+            const keepModifiers = die.modifiers.filter(modifier => !/^min\d+$/i.test(modifier));
+            if (keepModifiers.length > 0 && keepModifiers.every(modifier => /^[kd][hl]?\d*$/i.test(modifier))) {
+                die.results.forEach(dieResult => {
+                    if (!dieResult.rerolled) {
+                        dieResult.active = true;
+                        delete dieResult.discarded;
+                    }
+                });
+                die._evaluateModifiers();
+            }
 
+            newRoll._total = newRoll._evaluateTotal();
+            newRoll.options = { ...roll.options, rerolled: true };
+            return newRoll;
+        } catch (error) {
+            API.log('error', 'DiceRoller: Error rerolling die:', error);
+            throw error;
+        }
     }
 
 }
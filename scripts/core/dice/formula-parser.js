@@ -0,0 +1,377 @@
+/**
+ * Formula Parser Class
+ * Parses dice formulas into term trees and writes them back as Foundry formulas
+ * Location: scripts/core/dice/formula-parser.js
+ */
+
+import { API } from '../../api.js';
+
+const logThisFile = false;
+
+// One token of a formula: dice with modifiers, number, data reference, function name, flavor or operator
+const TOKEN_RE = /\s*(?:(\d*d\d+(?:[a-z]+\d*|[<>=]+\d+)*)|(\d+(?:\.\d+)?)|(@[\w.-]+)|([a-z_]\w*)(?=\s*\()|\[([^\]]*)\]|([-+*/(),]))/iy;
+
+// Die sizes in the order merged dice are written
+const DIE_ORDER = [20, 12, 10, 8, 6, 4];
+
+/**
+ * Formula Parser Class
+ * Terms are { kind, sign, damageType, source } with by kind:
+ * dice { number, faces, modifiers }, flat { value }, data { path }, group { terms },
+ * function { name, args }, product { factors, operators }
+ * The damage type comes from a flavor ([kinetic]) or the default type of the parse
+ */
+export class FormulaParser {
+    constructor() {
+        if (logThisFile) API.log('debug', 'FormulaParser: Constructor called');
+    }
+
+    /**
+     * Parse a formula into its top level terms
+     * @param {string} formula - Formula, e.g. 2d6 + @mod + 1d4[energy]
+     * @param {Object} [options={}] - Parse options
+     * @param {string} [options.damageType] - Damage type of terms without a flavor
+     * @param {string} [options.source] - Source label of the terms (e.g. the modifier name)
+     * @returns {Array} Terms
+     */
+    parse(formula, options = {}) {
+        const tokens = this.tokenize(String(formula ?? ''));
+        if (tokens.length === 0) return [];
+
+        const state = { tokens: tokens, index: 0, formula: formula };
+        const terms = this.parseExpression(state);
+        if (state.index < tokens.length) {
+            throw new Error(`Unexpected "${tokens[state.index].value}" in formula: ${formula}`);
+        }
+
+        return terms.map(term => ({
+            ...term,
+            damageType: term.damageType || options.damageType || null,
+            source: options.source || null
+        }));
+    }
+
+    /**
+     * Check whether a formula can be parsed
+     * @param {string} formula - Formula
+     * @returns {boolean} True if the formula is valid
+     */
+    isValid(formula) {
+        try {
+            return this.parse(formula).length > 0;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Split a formula into tokens
+     * @param {string} formula - Formula
+     * @returns {Array} Tokens ({ type, value })
+     */
+    tokenize(formula) {
+        const tokens = [];
+        TOKEN_RE.lastIndex = 0;
+
+        while (TOKEN_RE.lastIndex < formula.length) {
+            if (/^\s*$/.test(formula.slice(TOKEN_RE.lastIndex))) break;
+
+            const start = TOKEN_RE.lastIndex;
+            const match = TOKEN_RE.exec(formula);
+            if (!match) {
+                throw new Error(`Cannot read "${formula.slice(start).trim()}" in formula: ${formula}`);
+            }
+
+            const [, dice, number, data, name, flavor, operator] = match;
+            if (dice) tokens.push({ type: 'dice', value: dice });
+            else if (number) tokens.push({ type: 'number', value: number });
+            else if (data) tokens.push({ type: 'data', value: data });
+            else if (name) tokens.push({ type: 'function', value: name });
+            else if (flavor !== undefined) tokens.push({ type: 'flavor', value: flavor.trim() });
+            else tokens.push({ type: 'operator', value: operator });
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Parse terms joined by + and -
+     * @param {Object} state - Parse state ({ tokens, index, formula })
+     * @returns {Array} Terms
+     */
+    parseExpression(state) {
+        const terms = [];
+        let sign = 1;
+
+        while (state.index < state.tokens.length) {
+            // Signs in front of a term, several in a row cancel out (2 - -1)
+            while (this.isOperator(state, '+') || this.isOperator(state, '-')) {
+                if (state.tokens[state.index].value === '-') sign = -sign;
+                state.index++;
+            }
+
+            terms.push({ ...this.parseProduct(state), sign: sign });
+            sign = 1;
+
+            if (!this.isOperator(state, '+') && !this.isOperator(state, '-')) break;
+        }
+
+        return terms;
+    }
+
+    /**
+     * Parse factors joined by * and /
+     * @param {Object} state - Parse state
+     * @returns {Object} Term
+     */
+    parseProduct(state) {
+        const factors = [this.parseFactor(state)];
+        const operators = [];
+
+        while (this.isOperator(state, '*') || this.isOperator(state, '/')) {
+            operators.push(state.tokens[state.index++].value);
+            factors.push(this.parseFactor(state));
+        }
+
+        return operators.length === 0 ? factors[0] : { kind: 'product', factors: factors, operators: operators, sign: 1, damageType: null };
+    }
+
+    /**
+     * Parse a single factor with its flavor
+     * @param {Object} state - Parse state
+     * @returns {Object} Term
+     */
+    parseFactor(state) {
+        const token = state.tokens[state.index++];
+        if (!token) {
+            throw new Error(`Formula ends too early: ${state.formula}`);
+        }
+
+        let term;
+        switch (token.type) {
+            case 'dice': {
+                const [, number, faces, modifiers] = /^(\d*)d(\d+)(.*)$/i.exec(token.value);
+                term = { kind: 'dice', number: Number(number || 1), faces: Number(faces), modifiers: modifiers };
+                break;
+            }
+            case 'number':
+                term = { kind: 'flat', value: Number(token.value) };
+                break;
+            case 'data':
+                term = { kind: 'data', path: token.value.slice(1) };
+                break;
+            case 'function': {
+                this.expectOperator(state, '(');
+                const args = [this.parseExpression(state)];
+                while (this.isOperator(state, ',')) {
+                    state.index++;
+                    args.push(this.parseExpression(state));
+                }
+                this.expectOperator(state, ')');
+                term = { kind: 'function', name: token.value, args: args };
+                break;
+            }
+            default:
+                if (token.value !== '(') {
+                    throw new Error(`Unexpected "${token.value}" in formula: ${state.formula}`);
+                }
+                term = { kind: 'group', terms: this.parseExpression(state) };
+                this.expectOperator(state, ')');
+        }
+
+        const flavor = state.tokens[state.index]?.type === 'flavor' ? state.tokens[state.index++].value : null;
+        return { ...term, sign: 1, damageType: flavor || null };
+    }
+
+    /**
+     * Check whether the next token is an operator
+     * @param {Object} state - Parse state
+     * @param {string} operator - Operator
+     * @returns {boolean} True if the next token is the operator
+     */
+    isOperator(state, operator) {
+        const token = state.tokens[state.index];
+        return token?.type === 'operator' && token.value === operator;
+    }
+
+    /**
+     * Consume an operator that has to come next
+     * @param {Object} state - Parse state
+     * @param {string} operator - Operator
+     */
+    expectOperator(state, operator) {
+        if (!this.isOperator(state, operator)) {
+            throw new Error(`Missing "${operator}" in formula: ${state.formula}`);
+        }
+        state.index++;
+    }
+
+    /**
+     * Expand groups into their terms, e.g. (2d6+3)[kinetic] into 2d6[kinetic] and 3[kinetic]
+     * Terms of a group take its sign, and its damage type unless they have their own
+     * @param {Array} terms - Terms
+     * @returns {Array} Terms without top level groups
+     */
+    flatten(terms) {
+        return terms.flatMap(term => {
+            if (term.kind !== 'group') return [term];
+            return this.flatten(term.terms.map(child => ({
+                ...child,
+                sign: child.sign * term.sign,
+                damageType: child.damageType || term.damageType,
+                source: child.source || term.source || null
+            })));
+        });
+    }
+
+    /**
+     * Replace data references with the values of the roll data
+     * @param {Array} terms - Terms
+     * @param {Object} data - Roll data (e.g. actor.getRollData())
+     * @returns {Array} Terms with the references replaced
+     */
+    resolveData(terms, data = {}) {
+        return terms.map(term => {
+            switch (term.kind) {
+                case 'data': {
+                    const value = getProperty(data, term.path);
+                    if (value === undefined || value === null || value === '') {
+                        API.log('warning', `FormulaParser: No roll data for @${term.path}, using 0`);
+                        return { ...term, kind: 'flat', value: 0 };
+                    }
+                    if (!isNaN(Number(value))) {
+                        const number = Number(value);
+                        return { ...term, kind: 'flat', value: Math.abs(number), sign: number < 0 ? -term.sign : term.sign };
+                    }
+                    // Data holding a formula (e.g. a scaling die) becomes a group
+                    return { ...term, kind: 'group', terms: this.resolveData(this.parse(value), data) };
+                }
+                case 'group':
+                    return { ...term, terms: this.resolveData(term.terms, data) };
+                case 'function':
+                    return { ...term, args: term.args.map(arg => this.resolveData(arg, data)) };
+                case 'product':
+                    return { ...term, factors: this.resolveData(term.factors, data) };
+                default:
+                    return term;
+            }
+        });
+    }
+
+    /**
+     * Merge like terms: dice of the same size and flat values of the same damage type
+     * Dice with modifiers (kh, min) and other terms are kept as they are
+     * @param {Array} terms - Terms
+     * @param {Object} [options={}] - Merge options
+     * @param {boolean} [options.byType=true] - Only merge terms of the same damage type
+     * @returns {Array} Merged terms, dice from the largest die, then other terms, then the flat value
+     */
+    merge(terms, options = {}) {
+        const byType = options.byType !== false;
+        const dice = new Map();
+        const flats = new Map();
+        const others = [];
+
+        for (const term of this.flatten(terms)) {
+            const typeKey = byType ? term.damageType || '' : '';
+            if (term.kind === 'dice' && !term.modifiers) {
+                const key = `${typeKey}|${term.faces}|${term.sign}`;
+                const merged = dice.get(key);
+                dice.set(key, merged
+                    ? { ...merged, number: merged.number + term.number, source: this.mergeSources(merged.source, term.source) }
+                    : { ...term, damageType: byType ? term.damageType : null });
+            } else if (term.kind === 'flat') {
+                const merged = flats.get(typeKey);
+                flats.set(typeKey, merged
+                    ? { ...merged, total: merged.total + term.sign * term.value, source: this.mergeSources(merged.source, term.source) }
+                    : { damageType: byType ? term.damageType : null, total: term.sign * term.value, source: term.source });
+            } else {
+                others.push(term);
+            }
+        }
+
+        const sortedDice = [...dice.values()].sort((a, b) => this.getDieOrder(a.faces) - this.getDieOrder(b.faces));
+        const flatTerms = [...flats.values()]
+            .filter(flat => flat.total !== 0)
+            .map(flat => ({ kind: 'flat', value: Math.abs(flat.total), sign: flat.total < 0 ? -1 : 1, damageType: flat.damageType, source: flat.source }));
+
+        return [...sortedDice, ...others, ...flatTerms];
+    }
+
+    /**
+     * Get the position of a die size in the merged formula
+     * @param {number} faces - Die size
+     * @returns {number} Sort position
+     */
+    getDieOrder(faces) {
+        const index = DIE_ORDER.indexOf(faces);
+        return index === -1 ? DIE_ORDER.length + 100 - faces : index;
+    }
+
+    /**
+     * Join the source labels of merged terms
+     * @param {string|null} first - Source label
+     * @param {string|null} second - Source label
+     * @returns {string|null} Joined source labels
+     */
+    mergeSources(first, second) {
+        if (!first || first === second) return second || first || null;
+        if (!second) return first;
+        return `${first}, ${second}`;
+    }
+
+    /**
+     * Write terms back as a Foundry formula
+     * @param {Array} terms - Terms
+     * @param {Object} [options={}] - Write options
+     * @param {boolean} [options.flavors=true] - Write the damage types of the terms as flavors
+     * @returns {string} Formula, e.g. 2d6[kinetic]+3[kinetic]
+     */
+    stringify(terms, options = {}) {
+        return terms.map((term, index) => {
+            const text = this.stringifyTerm(term, options);
+            if (index === 0) return term.sign < 0 ? `-${text}` : text;
+            return `${term.sign < 0 ? '-' : '+'}${text}`;
+        }).join('');
+    }
+
+    /**
+     * Write a single term without its sign
+     * @param {Object} term - Term
+     * @param {Object} options - Write options
+     * @returns {string} Formula of the term
+     */
+    stringifyTerm(term, options = {}) {
+        let text;
+        switch (term.kind) {
+            case 'dice':
+                text = `${term.number}d${term.faces}${term.modifiers || ''}`;
+                break;
+            case 'flat':
+                text = `${term.value}`;
+                break;
+            case 'data':
+                text = `@${term.path}`;
+                break;
+            case 'group':
+                text = `(${this.stringify(term.terms, options)})`;
+                break;
+            case 'function':
+                text = `${term.name}(${term.args.map(arg => this.stringify(arg, options)).join(', ')})`;
+                break;
+            case 'product':
+                // A factor made negative by its roll data (2*@mod with a mod of -1) is written in parentheses: 2*(-1)
+                text = term.factors.map((factor, index) => {
+                    const factorText = factor.sign < 0
+                        ? this.stringifyTerm({ kind: 'group', terms: [factor], sign: 1, damageType: null }, options)
+                        : this.stringifyTerm(factor, options);
+                    return `${index > 0 ? term.operators[index - 1] : ''}${factorText}`;
+                }).join('');
+                break;
+            default:
+                throw new Error(`Unknown formula term: ${term.kind}`);
+        }
+
+        return options.flavors !== false && term.damageType ? `${text}[${term.damageType}]` : text;
+    }
+}
@@ -6,6 +6,9 @@
 // Export dice builder
 export { DiceBuilder } from './dice-builder.js';
 
+// Export formula parser
+export { FormulaParser } from './formula-parser.js';
+
 // Export dice roller
 export { DiceRoller } from './dice-roller.js';
 
@@ -15,5 +18,17 @@ export { D20Processor } from './d20-processor.js';
 // Export critical detector
 export { CriticalDetector } from './critical-detector.js';
 
+// Export critical rules
+export { CRITICAL_RULES, DEFAULT_CRITICAL_RULE, WORLD_CRITICAL_RULE, getCriticalRule } from './critical-rules.js';
+
+// Export damage advantage modes
+export { DAMAGE_ADVANTAGE_MODES, DEFAULT_DAMAGE_ADVANTAGE_MODE, resolveDamageAdvantageMode, getDamageAdvantageMode } from './damage-advantage.js';
+
+// Export minimum roll rules
+export { MINIMUM_ROLL_TYPES, MIN_BY_FACES, getMinimumFor, applyMinimumRolls, applyMinimumToFormula, getWorkflowMinimumRolls } from './minimum-rolls.js';
+
+// Export weapon property engine
+export { WeaponPropertyEngine, WEAPON_PROPERTY_ROLLS, getDamageRollLabel } from './weapon-property-engine.js';
+
 // Export existing dice pool (for backward compatibility)
 export { DicePool } from './dice-pool.js';
@@ -0,0 +1,157 @@
+/**
+ * Minimum Rolls
+ * Rules that treat a die result below a minimum as the minimum (e.g. reliable talent)
+ * Location: scripts/core/dice/minimum-rolls.js
+ */
+
+import { API } from '../../api.js';
+import { featureManager } from '../../features/feature-manager.js';
+
+// Minimum roll rule types
+// By faces uses the minimum of each die size, fixed uses the rule's value
+export const MINIMUM_ROLL_TYPES = {
+    byFaces: 'by-faces',
+    fixed: 'fixed'
+};
+
+// Minimum result of each die size for by faces rules
+export const MIN_BY_FACES = { 4: 2, 6: 2, 8: 3, 10: 4, 12: 5, 20: 8 };
+
+// Value of the dialog's minimum roll select without a rule
+export const NO_MINIMUM_ROLL = 'none';
+
+// Dice of a formula with their modifiers, e.g. 2d6min2kh
+const DIE_RE = /(\d*)d(\d+)((?:[a-z]+\d*|[<>=]+\d+)*)/gi;
+
+/**
+ * Normalize a minimum roll rule
+ * @param {Object|string} rule - Rule ({ type, value, faces, rollTypes }) or rule type
+ * @returns {Object|null} Rule with its defaults, null if it is not a known rule
+ */
+export function normalizeMinimumRoll(rule) {
+    const config = typeof rule === 'string' ? { type: rule } : rule;
+    if (!config || !Object.values(MINIMUM_ROLL_TYPES).includes(config.type)) return null;
+
+    const value = Number(config.value ?? 0);
+    if (config.type === MINIMUM_ROLL_TYPES.fixed && !(value > 1)) return null;
+
+    return {
+        type: config.type,
+        value: value,
+        faces: config.faces || null,
+        rollTypes: config.rollTypes || null
+    };
+}
+
+/**
+ * Get the minimum result a rule gives a die
+ * @param {Object|string} rule - Minimum roll rule
+ * @param {number} faces - Die size
+ * @param {string} [rollType] - Roll type (attack, damage, skill, save), rules limited to roll types skip other rolls
+ * @returns {number|null} Minimum result, null if the rule does not change the die
+ */
+export function getMinimumFor(rule, faces, rollType = null) {
+    const normalized = normalizeMinimumRoll(rule);
+    if (!normalized) return null;
+    if (normalized.rollTypes && !normalized.rollTypes.includes(rollType)) return null;
+    if (normalized.faces && !normalized.faces.map(Number).includes(Number(faces))) return null;
+
+    const minimum = normalized.type === MINIMUM_ROLL_TYPES.byFaces ? MIN_BY_FACES[faces] : normalized.value;
+    // A minimum of 1 changes nothing, one above the die size would turn every result into it
+    if (!minimum || minimum <= 1) return null;
+    return Math.min(minimum, Number(faces));
+}
+
+/**
+ * Get the highest minimum the rules give a die
+ * @param {Array} rules - Minimum roll rules
+ * @param {number} faces - Die size
+ * @param {string} [rollType] - Roll type
+ * @returns {number|null} Minimum result, null if no rule changes the die
+ */
+export function getHighestMinimum(rules, faces, rollType = null) {
+    const minimums = (rules || []).map(rule => getMinimumFor(rule, faces, rollType)).filter(minimum => minimum !== null);
+    return minimums.length > 0 ? Math.max(...minimums) : null;
+}
+
+/**
+ * Set the minimum of dice modifiers, an existing higher minimum is kept
+ * The minimum comes first, so it is not read as part of another modifier (khmin2)
+ * @param {string} modifiers - Dice modifiers, e.g. kh or min2
+ * @param {number} minimum - Minimum result
+ * @returns {string} Modifiers with the minimum, e.g. min3kh
+ */
+export function setMinimumModifier(modifiers, minimum) {
+    const text = modifiers || '';
+    const existing = /min(\d+)/i.exec(text);
+    if (existing) {
+        return Number(existing[1]) >= minimum ? text : text.replace(existing[0], `min${minimum}`);
+    }
+    return `min${minimum}${text}`;
+}
+
+/**
+ * Apply minimum roll rules to the dice of formula parser terms
+ * Dice inside groups, functions (max(1d20, 1d20)) and products are changed too
+ * @param {Array} terms - Formula parser terms
+ * @param {Array} rules - Minimum roll rules
+ * @param {string} [rollType] - Roll type
+ * @returns {Array} Terms with the minimums applied
+ */
+export function applyMinimumRolls(terms, rules, rollType = null) {
+    if (!rules || rules.length === 0) return terms;
+
+    return terms.map(term => {
+        switch (term.kind) {
+            case 'dice': {
+                const minimum = getHighestMinimum(rules, term.faces, rollType);
+                return minimum ? { ...term, modifiers: setMinimumModifier(term.modifiers, minimum) } : term;
+            }
+            case 'group':
+                return { ...term, terms: applyMinimumRolls(term.terms, rules, rollType) };
+            case 'function':
+                return { ...term, args: term.args.map(arg => applyMinimumRolls(arg, rules, rollType)) };
+            case 'product':
+                return { ...term, factors: applyMinimumRolls(term.factors, rules, rollType) };
+            default:
+                return term;
+        }
+    });
+}
+
+/**
+ * Apply minimum roll rules to the dice of a formula
+ * @param {string} formula - Formula, e.g. (2d6+3)[kinetic]
+ * @param {Array} rules - Minimum roll rules
+ * @param {string} [rollType] - Roll type
+ * @returns {string} Formula with the minimums applied, e.g. (2d6min2+3)[kinetic]
+ */
+export function applyMinimumToFormula(formula, rules, rollType = null) {
+    if (!rules || rules.length === 0) return formula;
+
+    return String(formula).replace(DIE_RE, (expression, count, faces, modifiers) => {
+        const minimum = getHighestMinimum(rules, Number(faces), rollType);
+        return minimum ? `${count}d${faces}${setMinimumModifier(modifiers, minimum)}` : expression;
+    });
+}
+
+/**
+ * Get the minimum roll rules of a workflow
+ * Features enabled in the workflow's dialog add their rules, the dialog adds the rule the user chose
+ * @param {Object} state - Workflow state
+ * @returns {Array} Minimum roll rules
+ */
+export function getWorkflowMinimumRolls(state) {
+    const dialogState = state?.dialogState || {};
+    const featureIds = (dialogState.enabledFeatures || []).map(feature => feature.featureId);
+    const rules = [...featureManager.getMinimumRolls(featureIds)];
+
+    const dialogRule = normalizeMinimumRoll(dialogState.minimumRoll);
+    if (dialogRule) {
+        // The user chose the rule for the roll of the dialog
+        rules.push({ ...dialogRule, rollTypes: null });
+    }
+
+    if (rules.length > 0) API.log('debug', 'MinimumRolls: Workflow rules', rules);
+    return rules;
+}
@@ -0,0 +1,221 @@
+/**
+ * Weapon Property Engine Class
+ * Applies the SW5E weapon properties that change critical hits to the dice of a workflow
+ * Location: scripts/core/dice/weapon-property-engine.js
+ */
+
+import { API } from '../../api.js';
+import { getActorFromTokenID } from '../../actors/actor-util.js';
+import { getWeaponById, getWeaponPropertyValue } from '../../actors/item-util.js';
+
+const logThisFile = false;
+
+// SW5E property keys of the weapon properties handled by the engine
+export const WEAPON_PROPERTY_KEYS = {
+    keen: 'ken',
+    brutal: 'bru',
+    vicious: 'vic',
+    piercing: 'pic'
+};
+
+// Extra critical damage rolls added by weapon properties, keyed by their damage roll name
+export const WEAPON_PROPERTY_ROLLS = {
+    brutalRoll: 'brutal',
+    viciousRoll: 'vicious'
+};
+
+/**
+ * Weapon Property Engine Class
+ * Keen X lowers the critical threshold by X, Brutal X rolls X extra weapon dice on a critical hit,
+ * Vicious X adds X damage on a critical hit and Piercing X rerolls up to X of the critical dice
+ */
+export class WeaponPropertyEngine {
+    constructor() {
+        if (logThisFile) API.log('debug', 'WeaponPropertyEngine: Constructor called');
+    }
+
+    /**
+     * Get the weapon used by a workflow
+     * @param {Object} state - Workflow state
+     * @returns {Object|null} Weapon details or null if the workflow item is not a weapon
+     */
+    async getWorkflowWeapon(state) {
+        try {
+            const actor = await getActorFromTokenID(state.dialogState.ownerID);
+            return getWeaponById(actor, state.dialogState.itemID);
+        } catch (error) {
+            API.log('warning', 'WeaponPropertyEngine: Error getting workflow weapon:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the values of the weapon properties handled by the engine
+     * @param {Object} weapon - Weapon details or item
+     * @returns {Object} Property values ({ keen, brutal, vicious, piercing }), 0 if the weapon does not have it
+     */
+    getProperties(weapon) {
+        const properties = {};
+        for (const [name, key] of Object.entries(WEAPON_PROPERTY_KEYS)) {
+            properties[name] = getWeaponPropertyValue(weapon, key);
+        }
+        return properties;
+    }
+
+    /**
+     * Get the critical threshold of a weapon, lowered by its keen property
+     * @param {Object} weapon - Weapon details or item
+     * @returns {number} Lowest natural d20 result that is a critical hit
+     */
+    getCriticalThreshold(weapon) {
+        const threshold = Number(weapon?.criticalThreshold ?? weapon?.system?.critical?.threshold) || 20;
+        return Math.max(1, threshold - this.getProperties(weapon).keen);
+    }
+
+    /**
+     * Build the formula of the dice doubled by a critical hit
+     * Flat modifiers are not doubled, each damage type keeps its dice
+     * @param {string} formula - Damage formula, e.g. (2d6+3)[kinetic]+(1d4)[energy]
+     * @returns {string} Critical dice formula, e.g. 2d6[kinetic] + 1d4[energy], empty if there are no dice
+     */
+    buildCriticalFormula(formula) {
+        const terms = [];
+        const groups = [...(formula || '').matchAll(/\(([^()]*)\)\[([^\]]+)\]/g)];
+
+        if (groups.length > 0) {
+            for (const [, content, damageType] of groups) {
+                for (const dice of this.getDiceExpressions(content)) {
+                    terms.push(`${dice}[${damageType}]`);
+                }
+            }
+        } else {
+            terms.push(...this.getDiceExpressions(formula || ''));
+        }
+
+        return terms.join(' + ');
+    }
+
+    /**
+     * Get the dice expressions of a formula
+     * A minimum result (min2) stays with its dice, other modifiers are dropped
+     * @param {string} formula - Formula
+     * @returns {Array} Dice expressions, e.g. ['2d6min2', '1d4']
+     */
+    getDiceExpressions(formula) {
+        return [...formula.matchAll(/(\d*)d(\d+)((?:[a-z]+\d*|[<>=]+\d+)*)/gi)].map(([, count, faces, modifiers]) => {
+            const minimum = /min(\d+)/i.exec(modifiers || '');
+            return `${count || 1}d${faces}${minimum ? `min${minimum[1]}` : ''}`;
+        });
+    }
+
+    /**
+     * Get the damage die and damage type of a weapon
+     * @param {Object} weapon - Weapon details or item
+     * @param {string} formula - Damage formula, used when the weapon has no damage parts
+     * @returns {Object|null} Weapon die ({ faces, damageType }) or null if the damage has no dice
+     */
+    getWeaponDie(weapon, formula) {
+        const [partFormula, partType] = weapon?.system?.damage?.parts?.[0] || [];
+        const match = /d(\d+)/i.exec(partFormula || '') || /d(\d+)/i.exec(formula || '');
+        if (!match) return null;
+
+        const damageType = partType || /\)\[([^\]]+)\]/.exec(formula || '')?.[1] || 'kinetic';
+        return { faces: Number(match[1]), damageType: damageType };
+    }
+
+    /**
+     * Build the extra critical damage of a weapon's brutal and vicious properties
+     * Vicious only adds to a natural 20, not to critical hits on a lower roll (keen)
+     * @param {Object} weapon - Weapon details or item
+     * @param {string} formula - Damage formula
+     * @param {Object} [options={}] - Critical hit details
+     * @param {boolean} [options.naturalTwenty=false] - Whether the attack roll was a natural 20
+     * @returns {Object} Formulas keyed by damage roll name with their property ({ brutalRoll: { formula, property, value } })
+     */
+    buildCriticalExtras(weapon, formula, options = {}) {
+        const { brutal, vicious } = this.getProperties(weapon);
+        const weaponDie = this.getWeaponDie(weapon, formula);
+        const extras = {};
+
+        if (brutal > 0 && weaponDie) {
+            extras.brutalRoll = { formula: `${brutal}d${weaponDie.faces}[${weaponDie.damageType}]`, property: 'brutal', value: brutal };
+        }
+        if (vicious > 0 && options.naturalTwenty) {
+            extras.viciousRoll = { formula: `${vicious}[${weaponDie?.damageType || 'kinetic'}]`, property: 'vicious', value: vicious };
+        }
+
+        if (logThisFile) API.log('debug', 'WeaponPropertyEngine: Critical extras built', extras);
+        return extras;
+    }
+
+    /**
+     * Reroll the lowest critical dice of a weapon with the piercing property
+     * Only results below the average of their die are rerolled, the new result has to be used
+     * @param {Roll} critRoll - Evaluated critical dice roll
+     * @param {Object} weapon - Weapon details or item
+     * @param {DiceRoller} diceRoller - Dice roller used for the rerolls
+     * @returns {Roll} Critical dice roll after the rerolls
+     */
+    async applyPiercing(critRoll, weapon, diceRoller) {
+        try {
+            const piercing = this.getProperties(weapon).piercing;
+            if (piercing <= 0 || !diceRoller.canRerollDice(critRoll)) return critRoll;
+
+            const candidates = [];
+            critRoll.dice.forEach((die, dieIndex) => {
+                die.results.forEach((result, resultIndex) => {
+                    if (result.active && result.result < (die.faces + 1) / 2) {
+                        candidates.push({ dieIndex, resultIndex, result: result.result });
+                    }
+                });
+            });
+
+            // New results are added after the old ones, so the indexes stay valid between rerolls
+            let roll = critRoll;
+            const rerolls = candidates.sort((a, b) => a.result - b.result).slice(0, piercing);
+            for (const { dieIndex, resultIndex } of rerolls) {
+                roll = await diceRoller.rerollDie(roll, dieIndex, resultIndex);
+            }
+
+            if (rerolls.length > 0) {
+                roll.options = { ...roll.options, weaponProperty: { property: 'piercing', value: rerolls.length } };
+            }
+            return roll;
+        } catch (error) {
+            API.log('error', 'WeaponPropertyEngine: Error applying piercing:', error);
+            return critRoll;
+        }
+    }
+}
+
+/**
+ * Get the display label of a damage roll
+ * @param {string} rollName - Damage roll name (normalRoll, baseRoll, critRoll, brutalRoll, viciousRoll)
+ * @param {Roll} [roll] - Roll, its weapon property is named in the label
+ * @param {number} [hitNumber=1] - Hit the damage was rolled for, rapid fire rolls damage for each hit
+ * @returns {string} Localized label
+ */
+export function getDamageRollLabel(rollName, roll = null, hitNumber = 1) {
+    const label = getHitDamageRollLabel(rollName, roll);
+    return hitNumber > 1 ? API.format('cards.hitDamage', { label: label, number: hitNumber }) : label;
+}
+
+/**
+ * Get the label of a damage roll without its hit number
+ * @param {string} rollName - Damage roll name
+ * @param {Roll} [roll] - Roll
+ * @returns {string} Localized label
+ */
+function getHitDamageRollLabel(rollName, roll) {
+    const damage = API.localize('cards.damage');
+    const weaponProperty = roll?.options?.weaponProperty;
+    const propertyLabel = weaponProperty
+        ? API.format('cards.weaponProperty', { property: API.localize(`weaponProperties.${weaponProperty.property}`), value: weaponProperty.value })
+        : null;
+
+    if (rollName === 'critRoll') {
+        const critical = API.localize('cards.critical');
+        return propertyLabel ? `${damage} (${critical} ${propertyLabel})` : `${damage} (${critical})`;
+    }
+    return propertyLabel ? `${damage} (${propertyLabel})` : damage;
+}
@@ -15,4 +15,8 @@ export * from './dice/index.js';
 // Export target functionality
 export * from './targets/index.js';
 
-// Note: actors directory is empty, so no exports needed yet
+// Export socket functionality
+export * from './socket/index.js';
+
+// Export actor functionality
+export * from './actors/index.js';
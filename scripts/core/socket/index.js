@@ -0,0 +1,7 @@
+/**
+ * Socket module exports
+ * Location: scripts/core/socket/index.js
+ */
+
+// Export socket relay
+export { SocketRelay, socketRelay, MODULE_SOCKET, SOCKET_OPERATIONS } from './socket-relay.js';
@@ -0,0 +1,496 @@
+/**
+ * Socket Relay
+ * Lets player clients ask the active GM to perform validated operations on their behalf
+ * Location: scripts/core/socket/socket-relay.js
+ */
+
+import { API } from '../../api.js';
+import { getDataPaths } from '../utils/reference/data-lookup.js';
+import { ResourceManager } from '../utils/resource-manager/resource-manager.js';
+import { getPowerCastData, getAmmoCost } from '../../actors/item-util.js';
+
+const logThisFile = false;
+
+// Socket channel of the module
+export const MODULE_SOCKET = 'module.sw5e-qol';
+
+// Most damage a workflow result can deal: double damage against a vulnerable target
+export const MAX_DAMAGE_MULTIPLIER = 4;
+
+// Operations the relay performs
+export const SOCKET_OPERATIONS = {
+    UPDATE_MESSAGE: 'updateMessage',
+    UPDATE_HIT_POINTS: 'updateHitPoints',
+    UPDATE_RESOURCE: 'updateResource',
+    CREATE_EFFECTS: 'createEffects',
+    END_CONCENTRATION: 'endConcentration',
+    PROMPT_REACTION: 'promptReaction',
+    PROMPT_CONCENTRATION_SAVE: 'promptConcentrationSave',
+    RECORD_SAVE_RESULTS: 'recordSaveResults',
+    RECORD_DAMAGE_APPLIED: 'recordDamageApplied',
+    RECORD_EFFECTS_APPLIED: 'recordEffectsApplied'
+};
+
+/**
+ * Socket Relay Class
+ * Request/response protocol over the module socket:
+ * - a player sends { type: 'request', requestId, operation, payload, userId }
+ * - the active GM checks the operation's permission for that user, runs it and
+ *   answers with { type: 'response', requestId, userId, success, result, error }
+ * Requests can also name the user who answers them ({ targetUserId }), e.g. the owner
+ * of a target asked for a reaction
+ */
+export class SocketRelay {
+    constructor() {
+        if (logThisFile) API.log('debug', 'SocketRelay: Constructor called');
+        this.operations = new Map();
+        this.pendingRequests = new Map();
+        this.requestTimeout = 10000;
+        this.registered = false;
+
+        this.registerDefaultOperations();
+    }
+
+    /**
+     * Start listening on the module socket
+     */
+    register() {
+        if (this.registered) return;
+        game.socket.on(MODULE_SOCKET, data => this.onSocketMessage(data));
+        this.registered = true;
+        if (logThisFile) API.log('debug', 'SocketRelay: Listening on module socket');
+    }
+
+    /**
+     * Register an operation the relay can perform
+     * @param {string} name - Operation name
+     * @param {Object} handler - Operation handler
+     * @param {Function} handler.canRunLocally - (user, payload) => true if the user can do it without the GM
+     * @param {Function} handler.isPermitted - (user, payload) => true if the GM may do it for the user
+     * @param {Function} handler.execute - async (payload, user) => serializable result
+     */
+    registerOperation(name, handler) {
+        if (typeof handler?.execute !== 'function' || typeof handler?.isPermitted !== 'function') {
+            throw new Error(`Invalid socket operation handler: ${name}`);
+        }
+        this.operations.set(name, {
+            canRunLocally: () => false,
+            ...handler
+        });
+    }
+
+    /**
+     * Perform an operation, locally when the user is allowed to, otherwise through the active GM
+     * @param {string} name - Operation name
+     * @param {Object} payload - Operation data
+     * @returns {Promise<*>} Operation result
+     */
+    async execute(name, payload) {
+        const handler = this.operations.get(name);
+        if (!handler) {
+            throw new Error(`Unknown socket operation: ${name}`);
+        }
+
+        if (game.user.isGM || handler.canRunLocally(game.user, payload)) {
+            return handler.execute(payload, game.user);
+        }
+
+        return this.request(name, payload);
+    }
+
+    /**
+     * Perform an operation on a specific user's client, e.g. a prompt only that user can answer
+     * @param {string} userId - User who performs the operation
+     * @param {string} name - Operation name
+     * @param {Object} payload - Operation data
+     * @param {Object} [options={}] - Request options
+     * @param {number} [options.timeout] - Milliseconds to wait for the answer
+     * @returns {Promise<*>} Operation result
+     */
+    async executeForUser(userId, name, payload, options = {}) {
+        const handler = this.operations.get(name);
+        if (!handler) {
+            throw new Error(`Unknown socket operation: ${name}`);
+        }
+
+        if (userId === game.user.id) {
+            return handler.execute(payload, game.user);
+        }
+
+        return this.request(name, payload, { userId: userId, timeout: options.timeout });
+    }
+
+    /**
+     * Send an operation request to the active GM, or the given user, and wait for the answer
+     * @param {string} name - Operation name
+     * @param {Object} payload - Operation data
+     * @param {Object} [options={}] - Request options
+     * @param {string} [options.userId] - User who answers the request instead of the active GM
+     * @param {number} [options.timeout] - Milliseconds to wait for the answer
+     * @returns {Promise<*>} Operation result
+     */
+    request(name, payload, options = {}) {
+        if (options.userId) {
+            const user = game.users.get(options.userId);
+            if (!user?.active) {
+                return Promise.reject(new Error(API.format('socket.userNotConnected', { name: user?.name || options.userId })));
+            }
+        } else if (!game.users.activeGM) {
+            return Promise.reject(new Error(API.localize('socket.noActiveGM')));
+        }
+
+        const requestId = foundry.utils.randomID();
+
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                this.pendingRequests.delete(requestId);
+                reject(new Error(API.format('socket.timeout', { operation: name })));
+            }, options.timeout ?? this.requestTimeout);
+
+            this.pendingRequests.set(requestId, { resolve, reject, timeout });
+
+            game.socket.emit(MODULE_SOCKET, {
+                type: 'request',
+                requestId: requestId,
+                operation: name,
+                payload: payload,
+                userId: game.user.id,
+                targetUserId: options.userId ?? null
+            });
+
+            if (logThisFile) API.log('debug', `SocketRelay: Sent ${name} request ${requestId}`, payload);
+        });
+    }
+
+    /**
+     * Handle a message received on the module socket
+     * @param {Object} data - Socket message
+     */
+    async onSocketMessage(data) {
+        switch (data?.type) {
+            case 'request':
+                await this.handleRequest(data);
+                break;
+            case 'response':
+                this.handleResponse(data);
+                break;
+        }
+    }
+
+    /**
+     * Run a request, only on the client of the user it names or otherwise the active GM
+     * @param {Object} data - Request message
+     */
+    async handleRequest(data) {
+        const handlerId = data.targetUserId || game.users.activeGM?.id;
+        if (handlerId !== game.user.id) return;
+
+        const response = {
+            type: 'response',
+            requestId: data.requestId,
+            userId: data.userId,
+            success: false,
+            result: null,
+            error: null
+        };
+
+        try {
+            const handler = this.operations.get(data.operation);
+            const user = game.users.get(data.userId);
+            if (!handler || !user) {
+                throw new Error(`Invalid socket request: ${data.operation}`);
+            }
+
+            if (!handler.isPermitted(user, data.payload || {})) {
+                API.log('warning', `SocketRelay: Denied ${data.operation} for ${user.name}`, data.payload);
+                throw new Error(API.format('socket.denied', { operation: data.operation }));
+            }
+
+            response.result = await handler.execute(data.payload || {}, user) ?? null;
+            response.success = true;
+        } catch (error) {
+            API.log('error', `SocketRelay: Failed to run ${data.operation} request:`, error);
+            response.error = error.message;
+        }
+
+        game.socket.emit(MODULE_SOCKET, response);
+    }
+
+    /**
+     * Settle the pending request an answer belongs to
+     * @param {Object} data - Response message
+     */
+    handleResponse(data) {
+        if (data.userId !== game.user.id) return;
+
+        const pending = this.pendingRequests.get(data.requestId);
+        if (!pending) return;
+
+        clearTimeout(pending.timeout);
+        this.pendingRequests.delete(data.requestId);
+
+        if (data.success) {
+            pending.resolve(data.result);
+        } else {
+            pending.reject(new Error(data.error || 'Socket request failed'));
+        }
+    }
+
+    /**
+     * Register the operations used by the module
+     */
+    registerDefaultOperations() {
+        // Workflow card updates, only by the card's author or the GM
+        // Card actions of other participants go through their own operations (RECORD_*), the GM checks each
+        // before writing the workflow state and undo journal
+        this.registerOperation(SOCKET_OPERATIONS.UPDATE_MESSAGE, {
+            canRunLocally: (user, payload) => !!game.messages.get(payload.messageId)?.canUserModify(user, 'update'),
+            isPermitted: () => false,
+            execute: async payload => {
+                const message = game.messages.get(payload.messageId);
+                for (const update of payload.updates || []) {
+                    await message.update(update);
+                }
+                return true;
+            }
+        });
+
+        // Hit points of a workflow target, changed by its owner or the card's author (e.g. damage to an NPC)
+        // The change has to fit the card's damage result, the author applies each result once
+        this.registerOperation(SOCKET_OPERATIONS.UPDATE_HIT_POINTS, {
+            canRunLocally: (user, payload) => !!fromUuidSync(payload.actorUuid)?.isOwner,
+            isPermitted: (user, payload) => {
+                const actor = fromUuidSync(payload.actorUuid);
+                const message = game.messages.get(payload.messageId);
+                if (!actor || !message || !isWorkflowTarget(actor, message)) return false;
+                if (!actor.testUserPermission(user, 'OWNER')) {
+                    if (message.user?.id !== user.id || getWorkflowDamageResult(actor, message)?.applied) return false;
+                }
+                return matchesWorkflowDamage(actor, payload.hp, payload.messageId);
+            },
+            execute: async payload => {
+                const actor = fromUuidSync(payload.actorUuid);
+                const hpPath = getDataPaths('actor', 'character').subpaths.hp;
+                await actor.update({
+                    [`${hpPath}.value`]: Number(payload.hp?.value) || 0,
+                    [`${hpPath}.temp`]: Number(payload.hp?.temp) || 0
+                });
+                return true;
+            }
+        });
+
+        // Resource spends, only lowering the current value
+        // Documents the user does not own (e.g. a companion) only pay for the power or attack the workflow makes
+        this.registerOperation(SOCKET_OPERATIONS.UPDATE_RESOURCE, {
+            canRunLocally: (user, payload) => !!fromUuidSync(payload.uuid)?.isOwner,
+            isPermitted: (user, payload) => {
+                const document = fromUuidSync(payload.uuid);
+                if (!document) return false;
+
+                // Only the configured path of the resource can change
+                const resourcePath = new ResourceManager(document, payload.resourceCategory, payload.resourceType).getResourcePath();
+                if (!resourcePath || !String(payload.path).startsWith(`${resourcePath}.`)) return false;
+
+                // A spend deducts from the current value, as ResourceManager does
+                const currentValue = Number(getProperty(document, payload.path));
+                if (!Number.isFinite(payload.value) || payload.value < 0 || payload.value > currentValue) return false;
+
+                return document.testUserPermission(user, 'OWNER') || matchesWorkflowSpend(user, document, payload, currentValue - payload.value);
+            },
+            execute: async payload => {
+                const document = fromUuidSync(payload.uuid);
+                await document.update({ [payload.path]: payload.value });
+                return true;
+            }
+        });
+
+        // Effects and conditions applied from a workflow card to a target, by its owner or the card's author
+        this.registerOperation(SOCKET_OPERATIONS.CREATE_EFFECTS, {
+            canRunLocally: (user, payload) => !!fromUuidSync(payload.actorUuid)?.isOwner,
+            isPermitted: (user, payload) => {
+                const actor = fromUuidSync(payload.actorUuid);
+                const message = game.messages.get(payload.messageId);
+                if (!actor || !message || !isWorkflowTarget(actor, message)) return false;
+                if (!actor.testUserPermission(user, 'OWNER') && message.user?.id !== user.id) return false;
+                return matchesWorkflowEffects(payload.effects, payload.messageId);
+            },
+            execute: async payload => {
+                const actor = fromUuidSync(payload.actorUuid);
+                const created = await actor.createEmbeddedDocuments('ActiveEffect', payload.effects || []);
+                return created.map(effect => effect.uuid);
+            }
+        });
+
+        // Concentration that ends, with the effects on other actors it kept up
+        this.registerOperation(SOCKET_OPERATIONS.END_CONCENTRATION, {
+            canRunLocally: (user, payload) => getConcentrationEffects(payload.effectUuid).every(effect => effect.isOwner),
+            isPermitted: (user, payload) => !!fromUuidSync(payload.effectUuid)?.parent?.testUserPermission(user, 'OWNER'),
+            execute: async payload => {
+                // Linked effects end first so the concentration effect's delete hook finds none left
+                const [concentrationEffect, ...linkedEffects] = getConcentrationEffects(payload.effectUuid);
+                for (const effect of linkedEffects) {
+                    await effect.delete();
+                }
+                await concentrationEffect?.delete();
+                return linkedEffects.length;
+            }
+        });
+
+        // Reactive features offered to the owner of a workflow target, answered with the chosen feature
+        // Only the author of a workflow card that is waiting on this user's reaction can ask
+        this.registerOperation(SOCKET_OPERATIONS.PROMPT_REACTION, {
+            isPermitted: (user, payload) => {
+                const message = game.messages.get(payload.messageId);
+                if (!message || message.user?.id !== user.id) return false;
+
+                const pending = message.getFlag('sw5e-qol', 'workflowState')?.pendingReaction;
+                return pending?.tokenId === payload.tokenId && pending?.userId === game.user.id
+                    && !!canvas.tokens.get(payload.tokenId)?.actor?.isOwner;
+            },
+            execute: async payload => {
+                const { ReactionDialog } = await import('../../ui/dialogs/reaction-dialog.js');
+                return new ReactionDialog().prompt(payload);
+            }
+        });
+
+        // Concentration save offered to the owner of a workflow target that took damage, answered with the save result
+        // Only an owner of the target can ask, for the damage the workflow card shows was applied to it
+        this.registerOperation(SOCKET_OPERATIONS.PROMPT_CONCENTRATION_SAVE, {
+            isPermitted: (user, payload) => {
+                const actor = canvas.tokens.get(payload.tokenId)?.actor;
+                if (!actor?.isOwner || !actor.testUserPermission(user, 'OWNER')) return false;
+
+                const damageResults = game.messages.get(payload.messageId)?.getFlag('sw5e-qol', 'workflowState')?.damageResults || [];
+                const damageResult = damageResults.find(result => result.tokenId === payload.tokenId);
+                return !!damageResult?.applied && damageResult.applied.amount === payload.damage;
+            },
+            execute: async payload => {
+                const { concentrationManager } = await import('../actors/concentration-manager.js');
+                return concentrationManager.promptConcentrationSave(payload.tokenId, payload.damage);
+            }
+        });
+    }
+}
+
+/**
+ * Get a concentration effect followed by the effects linked to it that still exist
+ * @param {string} effectUuid - UUID of the concentration effect
+ * @returns {Array} Effects, empty if the concentration effect does not exist
+ */
+function getConcentrationEffects(effectUuid) {
+    const effect = fromUuidSync(effectUuid);
+    if (!effect) return [];
+
+    const linkedEffects = effect.getFlag('sw5e-qol', 'concentration')?.linkedEffects || [];
+    return [effect, ...linkedEffects.map(uuid => fromUuidSync(uuid)).filter(Boolean)];
+}
+
+/**
+ * Get the damage result a workflow card has for an actor
+ * @param {Actor} actor - Target actor
+ * @param {ChatMessage} message - Workflow chat message
+ * @returns {Object|null} Damage result or null if the card has none for the actor
+ */
+function getWorkflowDamageResult(actor, message) {
+    const damageResults = message?.getFlag('sw5e-qol', 'workflowState')?.damageResults || [];
+    return damageResults.find(result => canvas.tokens.get(result.tokenId)?.actor?.uuid === actor.uuid) || null;
+}
+
+/**
+ * Check whether new hit points of an actor fit the damage result a workflow card has for it
+ * @param {Actor} actor - Target actor
+ * @param {Object} hp - New hit points ({ value, temp })
+ * @param {string} messageId - Workflow chat message the change comes from
+ * @returns {boolean} True if the change fits the damage result
+ */
+function matchesWorkflowDamage(actor, hp, messageId) {
+    const damageResult = getWorkflowDamageResult(actor, game.messages.get(messageId));
+    if (!damageResult) return false;
+
+    const current = getProperty(actor, getDataPaths('actor', 'character').subpaths.hp) || {};
+    return fitsDamageResult(damageResult, current, hp);
+}
+
+/**
+ * Check whether a hit point change fits a damage result
+ * Healing raises hit points by at most the rolled total, damage lowers them by at most
+ * the rolled total at the highest multiplier
+ * @param {Object} damageResult - Damage result of a workflow card
+ * @param {Object} previous - Hit points before the change ({ value, temp })
+ * @param {Object} hp - Hit points after the change ({ value, temp })
+ * @returns {boolean} True if the change fits the damage result
+ */
+export function fitsDamageResult(damageResult, previous, hp) {
+    const value = Number(hp?.value);
+    const temp = Number(hp?.temp);
+    if (!Number.isFinite(value) || !Number.isFinite(temp) || value < 0 || temp < 0) return false;
+
+    const currentValue = Number(previous?.value) || 0;
+    const currentTemp = Number(previous?.temp) || 0;
+    const rolled = Number(damageResult?.damageTotal) || 0;
+
+    if (temp === currentTemp && value >= currentValue) {
+        return value - currentValue <= rolled;
+    }
+    return value <= currentValue && temp <= currentTemp
+        && (currentValue + currentTemp) - (value + temp) <= rolled * MAX_DAMAGE_MULTIPLIER;
+}
+
+/**
+ * Check whether effect data comes from the effects of a workflow card
+ * Conditions have to be among the card's conditions, item effects have to keep the name and changes of their source
+ * @param {Array} effects - ActiveEffect data to create
+ * @param {string} messageId - Workflow chat message the effects come from
+ * @returns {boolean} True if every effect is one of the card's
+ */
+function matchesWorkflowEffects(effects, messageId) {
+    const entries = game.messages.get(messageId)?.getFlag('sw5e-qol', 'workflowState')?.dialogState?.effects || [];
+    if (!Array.isArray(effects) || effects.length === 0) return false;
+
+    return effects.every(effect => entries.some(entry => {
+        if (entry.type === 'condition') {
+            return (effect.statuses || []).length === 1 && effect.statuses[0] === entry.statusId;
+        }
+        const source = fromUuidSync(entry.uuid);
+        return !!source && source.name === effect.name
+            && foundry.utils.objectsEqual(source.toObject().changes, effect.changes || []);
+    }));
+}
+
+/**
+ * Check whether a resource spend on a document the user does not own pays for what a workflow does
+ * Powers spend their cost at the cast level, attacks at most the shots of their fire mode
+ * @param {User} user - User spending the resource
+ * @param {Document} document - Actor or weapon the resource belongs to
+ * @param {Object} payload - Resource update ({ resourceType, source })
+ * @param {number} spent - Amount the update deducts
+ * @returns {boolean} True if the spend fits its source
+ */
+function matchesWorkflowSpend(user, document, payload, spent) {
+    const source = payload.source || {};
+    const actor = document.documentName === 'Item' ? document.parent : document;
+    // The user has to see the actor to have rolled the workflow for it
+    if (!actor?.testUserPermission(user, 'OBSERVER')) return false;
+
+    if (source.type === 'power') {
+        const castData = getPowerCastData(actor, source.itemId, source.castLevel);
+        return document === actor && !!castData && castData.resourceType === payload.resourceType && spent === castData.cost;
+    }
+    if (source.type === 'ammo') {
+        return document !== actor && spent <= getAmmoCost(actor, document.id, source.fireMode);
+    }
+    return false;
+}
+
+/**
+ * Check whether an actor is one of the targets of a workflow card
+ * @param {Actor} actor - Actor to check
+ * @param {ChatMessage} message - Workflow chat message
+ * @returns {boolean} True if the actor is a target of the card
+ */
+export function isWorkflowTarget(actor, message) {
+    const targetIDs = message?.getFlag('sw5e-qol', 'workflowState')?.dialogState?.targetIDs || [];
+    return !!actor && targetIDs.some(target => canvas.tokens.get(target.tokenId)?.actor?.uuid === actor.uuid);
+}
+
+export const socketRelay = new SocketRelay();
@@ -0,0 +1,190 @@
+/**
+ * Damage Applicator Class
+ * Calculates final damage against a target's defenses and updates its hit points
+ * Location: scripts/core/targets/damage-applicator.js
+ */
+
+import { API } from '../../api.js';
+import { TargetUtils } from './target-utils.js';
+import { getDataPaths } from '../utils/reference/data-lookup.js';
+import { socketRelay, SOCKET_OPERATIONS, isWorkflowTarget } from '../socket/socket-relay.js';
+
+const logThisFile = false;
+
+// Damage type used for damage that carries no flavor
+export const UNTYPED_DAMAGE = 'none';
+
+/**
+ * Damage Applicator Class
+ * Handles damage math (resistance, immunity, vulnerability, temp HP) and HP updates
+ */
+export class DamageApplicator {
+    constructor() {
+        if (logThisFile) API.log('debug', 'DamageApplicator: Constructor called');
+        this.targetUtils = new TargetUtils();
+    }
+
+    /**
+     * Check whether the current user may change the actor's hit points
+     * Players change tokens they own, and the targets of their own workflow cards through the GM
+     * @param {Actor} actor - Target actor
+     * @param {string} [messageId=null] - Workflow card the damage comes from
+     * @returns {boolean} True if the user owns the actor, is a GM or rolled the card targeting it
+     */
+    canApply(actor, messageId = null) {
+        if (!actor) return false;
+        if (game.user.isGM || actor.isOwner) return true;
+
+        const message = messageId ? game.messages.get(messageId) : null;
+        return !!message?.isAuthor && isWorkflowTarget(actor, message) && !!game.users.activeGM;
+    }
+
+    /**
+     * Calculate final damage by type against the target's defenses
+     * The multiplier (e.g. half on a successful save) and resistance, immunity and vulnerability
+     * are applied per damage type, the total is rounded down once after the types are added up
+     * @param {Actor} actor - Target actor
+     * @param {Object} damageByType - Rolled damage keyed by damage type
+     * @param {number} damageTotal - Rolled damage total, any part not covered by types is untyped
+     * @param {number} [multiplier=1] - Damage multiplier
+     * @returns {Object} Damage breakdown ({ total, byType })
+     */
+    calculateDamage(actor, damageByType = {}, damageTotal = 0, multiplier = 1) {
+        try {
+            const resistances = this.targetUtils.getResistances(actor);
+            const immunities = this.targetUtils.getImmunities(actor);
+            const vulnerabilities = this.targetUtils.getVulnerabilities(actor);
+
+            // Damage not attributed to a type is treated as untyped
+            const typed = { ...damageByType };
+            const typedTotal = Object.values(typed).reduce((sum, value) => sum + (Number(value) || 0), 0);
+            if (damageTotal > typedTotal) {
+                typed[UNTYPED_DAMAGE] = (typed[UNTYPED_DAMAGE] || 0) + (damageTotal - typedTotal);
+            }
+
+            const byType = {};
+            let total = 0;
+
+            for (const [type, rolled] of Object.entries(typed)) {
+                const damageType = type.toLowerCase();
+                // Kept unrounded, 3 fire + 3 cold at half is 3 damage and not 1 + 1
+                let applied = (Number(rolled) || 0) * multiplier;
+                let modifier = null;
+
+                if (damageType !== UNTYPED_DAMAGE) {
+                    if (immunities.includes(damageType)) {
+                        applied = 0;
+                        modifier = 'immune';
+                    } else if (resistances.includes(damageType)) {
+                        applied = applied / 2;
+                        modifier = 'resistant';
+                    } else if (vulnerabilities.includes(damageType)) {
+                        applied = applied * 2;
+                        modifier = 'vulnerable';
+                    }
+                }
+
+                byType[damageType] = {
+                    rolled: Number(rolled) || 0,
+                    applied: Math.floor(applied),
+                    modifier: modifier
+                };
+                total += applied;
+            }
+
+            total = Math.max(0, Math.floor(total));
+            if (logThisFile) API.log('debug', `DamageApplicator: Calculated ${total} damage for ${actor?.name}`, byType);
+            return { total: total, byType: byType };
+
+        } catch (error) {
+            API.log('error', 'DamageApplicator: Error calculating damage:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply damage to an actor, temp HP absorbs damage first
+     * @param {Actor} actor - Target actor
+     * @param {number} amount - Damage to apply
+     * @param {string} [messageId=null] - Workflow card the damage comes from
+     * @returns {Object} HP change ({ previous, updated, amount })
+     */
+    async applyDamage(actor, amount, messageId = null) {
+        try {
+            const hp = this.getHitPoints(actor);
+            const damage = Math.max(0, amount);
+
+            const tempAbsorbed = Math.min(hp.temp, damage);
+            const updated = {
+                value: Math.max(0, hp.value - (damage - tempAbsorbed)),
+                temp: hp.temp - tempAbsorbed
+            };
+
+            await this.updateHitPoints(actor, updated, messageId);
+
+            if (logThisFile) API.log('debug', `DamageApplicator: Applied ${damage} damage to ${actor.name}`, { previous: hp, updated });
+            return { previous: hp, updated: updated, amount: damage };
+
+        } catch (error) {
+            API.log('error', 'DamageApplicator: Error applying damage:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Heal an actor up to its maximum hit points
+     * @param {Actor} actor - Target actor
+     * @param {number} amount - Hit points to restore
+     * @param {string} [messageId=null] - Workflow card the healing comes from
+     * @returns {Object} HP change ({ previous, updated, amount })
+     */
+    async applyHealing(actor, amount, messageId = null) {
+        try {
+            const hp = this.getHitPoints(actor);
+            const healing = Math.max(0, amount);
+
+            const updated = {
+                value: Math.min(hp.max, hp.value + healing),
+                temp: hp.temp
+            };
+
+            await this.updateHitPoints(actor, updated, messageId);
+
+            if (logThisFile) API.log('debug', `DamageApplicator: Healed ${actor.name} for ${healing}`, { previous: hp, updated });
+            return { previous: hp, updated: updated, amount: healing };
+
+        } catch (error) {
+            API.log('error', 'DamageApplicator: Error applying healing:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Read the actor's hit points
+     * @param {Actor} actor - Target actor
+     * @returns {Object} Hit points ({ value, temp, max })
+     */
+    getHitPoints(actor) {
+        const hpPath = getDataPaths('actor', 'character').subpaths.hp;
+        const hp = getProperty(actor, hpPath) || {};
+        return {
+            value: Number(hp.value) || 0,
+            temp: Number(hp.temp) || 0,
+            max: Number(hp.max) || 0
+        };
+    }
+
+    /**
+     * Write hit points to the actor, through the GM when the user does not own it
+     * @param {Actor} actor - Target actor
+     * @param {Object} hp - Hit point values to set ({ value, temp })
+     * @param {string} [messageId=null] - Workflow card that targets the actor
+     */
+    async updateHitPoints(actor, hp, messageId = null) {
+        await socketRelay.execute(SOCKET_OPERATIONS.UPDATE_HIT_POINTS, {
+            actorUuid: actor.uuid,
+            messageId: messageId,
+            hp: { value: hp.value, temp: hp.temp }
+        });
+    }
+}
@@ -0,0 +1,235 @@
+/**
+ * Effect Applicator Class
+ * Applies an item's active effects and SW5E conditions to workflow targets
+ * Location: scripts/core/targets/effect-applicator.js
+ */
+
+import { API } from '../../api.js';
+import { socketRelay, SOCKET_OPERATIONS, isWorkflowTarget } from '../socket/socket-relay.js';
+
+const logThisFile = false;
+
+// Dynamic Active Effects applies item effects itself when it is installed
+export const DAE_MODULE_ID = 'dae';
+
+// Drag data type of effects dragged from a chat card onto a token
+export const EFFECT_DRAG_TYPE = 'SW5E-QOL.Effect';
+
+/**
+ * Effect Applicator Class
+ * Effect entries carried by a workflow are either
+ * - { type: 'item', effectId, uuid, name, icon }: an active effect of the item that was used
+ * - { type: 'condition', statusId, name, icon }: an SW5E condition
+ * Item effects go through DAE when it is active, everything else is created as a core ActiveEffect
+ */
+export class EffectApplicator {
+    constructor() {
+        if (logThisFile) API.log('debug', 'EffectApplicator: Constructor called');
+    }
+
+    /**
+     * Check whether DAE is available to apply item effects
+     * @returns {boolean} True if DAE is active
+     */
+    isDaeActive() {
+        return !!game.modules.get(DAE_MODULE_ID)?.active && typeof globalThis.DAE?.doEffects === 'function';
+    }
+
+    /**
+     * Check whether the current user may apply effects to the actor
+     * Players change tokens they own, and the targets of their own workflow cards through the GM
+     * @param {Actor} actor - Target actor
+     * @param {string} [messageId=null] - Workflow card the effects come from
+     * @returns {boolean} True if the user owns the actor, is a GM or rolled the card targeting it
+     */
+    canApply(actor, messageId = null) {
+        if (!actor) return false;
+        if (game.user.isGM || actor.isOwner) return true;
+
+        const message = messageId ? game.messages.get(messageId) : null;
+        return !!message?.isAuthor && isWorkflowTarget(actor, message) && !!game.users.activeGM;
+    }
+
+    /**
+     * Get the effects of an item that are applied to targets
+     * Effects transferred to the item's owner are left out
+     * @param {Item} item - Item that was used
+     * @returns {Array} Effect entries
+     */
+    getItemEffects(item) {
+        return (item?.effects?.contents || [])
+            .filter(effect => !effect.transfer)
+            .map(effect => ({
+                type: 'item',
+                effectId: effect.id,
+                uuid: effect.uuid,
+                name: effect.name ?? effect.label,
+                icon: effect.icon
+            }));
+    }
+
+    /**
+     * Get the SW5E conditions that can be applied
+     * @returns {Array} Condition entries
+     */
+    getConditions() {
+        const conditionTypes = CONFIG.SW5E?.conditionTypes;
+        return (CONFIG.statusEffects || [])
+            // Status effects that are not SW5E conditions (e.g. dead) are left out when the system lists them
+            .filter(status => !conditionTypes || status.id in conditionTypes)
+            .map(status => this.getConditionEntry(status.id))
+            .filter(Boolean)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Build the effect entry of a condition
+     * @param {string} statusId - Status effect ID of the condition
+     * @returns {Object|null} Condition entry or null if the status effect does not exist
+     */
+    getConditionEntry(statusId) {
+        const status = (CONFIG.statusEffects || []).find(entry => entry.id === statusId);
+        if (!status) return null;
+
+        return {
+            type: 'condition',
+            statusId: status.id,
+            name: game.i18n.localize(status.name ?? status.label),
+            icon: status.icon
+        };
+    }
+
+    /**
+     * Build the ActiveEffect data of an entry
+     * @param {Object} entry - Effect entry
+     * @param {string} [originUuid=null] - Item the effect comes from
+     * @returns {Object|null} ActiveEffect data or null if the item effect no longer exists
+     */
+    buildEffectData(entry, originUuid = null) {
+        if (entry.type === 'condition') {
+            return {
+                name: entry.name,
+                icon: entry.icon,
+                origin: originUuid,
+                statuses: [entry.statusId],
+                flags: { core: { statusId: entry.statusId } }
+            };
+        }
+
+        const effect = fromUuidSync(entry.uuid);
+        if (!effect) return null;
+
+        const effectData = effect.toObject();
+        delete effectData._id;
+        return foundry.utils.mergeObject(effectData, {
+            origin: originUuid ?? effect.parent?.uuid ?? null,
+            transfer: false,
+            disabled: false
+        });
+    }
+
+    /**
+     * Apply effect entries to a target
+     * @param {string} tokenId - Target token ID
+     * @param {Array} entries - Effect entries to apply
+     * @param {Object} [options={}] - Application options
+     * @param {string} [options.originUuid] - Item the effects come from
+     * @param {string} [options.messageId] - Workflow card the effects are applied from
+     * @param {number} [options.castLevel] - Level the power was cast at
+     * @returns {Promise<Array>} Applied effects ({ effectUuid, targetUuid, targetName, name }) for the undo journal
+     */
+    async applyEffects(tokenId, entries, options = {}) {
+        try {
+            const token = canvas.tokens.get(tokenId);
+            const actor = token?.actor;
+            if (!actor || entries.length === 0) {
+                return [];
+            }
+
+            const origin = options.originUuid ? fromUuidSync(options.originUuid) : null;
+            const itemEntries = entries.filter(entry => entry.type === 'item');
+            const coreEntries = this.isDaeActive() && origin
+                ? entries.filter(entry => entry.type !== 'item')
+                : entries;
+
+            const effectUuids = [];
+
+            if (coreEntries.length > 0) {
+                const effects = coreEntries.map(entry => this.buildEffectData(entry, options.originUuid)).filter(Boolean);
+                const created = await socketRelay.execute(SOCKET_OPERATIONS.CREATE_EFFECTS, {
+                    actorUuid: actor.uuid,
+                    messageId: options.messageId ?? null,
+                    effects: effects
+                });
+                effectUuids.push(...(created || []));
+            }
+
+            if (coreEntries.length < entries.length) {
+                effectUuids.push(...await this.applyWithDae(token, origin, itemEntries, options));
+            }
+
+            if (logThisFile) API.log('debug', `EffectApplicator: Applied ${effectUuids.length} effects to ${actor.name}`, entries);
+            return effectUuids.map(effectUuid => ({
+                effectUuid: effectUuid,
+                targetUuid: actor.uuid,
+                targetName: actor.name,
+                name: fromUuidSync(effectUuid)?.name ?? ''
+            }));
+
+        } catch (error) {
+            API.log('error', 'EffectApplicator: Error applying effects:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply item effects through DAE, which evaluates their values against the item's owner
+     * DAE applies every effect of the item it is given, so it gets a copy holding only the chosen ones
+     * @param {Token} token - Target token
+     * @param {Item} item - Item the effects come from
+     * @param {Array} entries - Item effect entries to apply
+     * @param {Object} options - Application options ({ messageId, castLevel })
+     * @returns {Promise<Array>} UUIDs of the created effects
+     */
+    async applyWithDae(token, item, entries, options) {
+        const effectIds = entries.map(entry => entry.effectId);
+        const itemData = item.toObject();
+        itemData.effects = itemData.effects.filter(effect => effectIds.includes(effect._id));
+        const effectItem = new CONFIG.Item.documentClass(itemData, { parent: item.actor });
+
+        // DAE does not return what it created, the target's new effects are looked up afterwards
+        const previousIds = new Set(token.actor.effects.map(effect => effect.id));
+        await globalThis.DAE.doEffects(effectItem, true, [token], {
+            whisper: false,
+            spellLevel: options.castLevel ?? null,
+            itemCardId: options.messageId ?? null
+        });
+
+        return token.actor.effects
+            .filter(effect => !previousIds.has(effect.id))
+            .map(effect => effect.uuid);
+    }
+}
+
+/**
+ * Get the targets a workflow's effects apply to without picking them by hand
+ * Targets that failed their save are affected, without a save the targets that were hit,
+ * without either every target
+ * @param {Object} workflowState - Workflow state
+ * @param {Object} [saveConfig=null] - Save the item calls for, when targets have not rolled it yet
+ * @returns {Array} Token IDs
+ */
+export function getAutoEffectTokenIds(workflowState, saveConfig = null) {
+    const targetIDs = (workflowState?.dialogState?.targetIDs || []).filter(target => target.tokenId && !target.noTarget);
+    const hasSave = !!saveConfig || !!workflowState?.saveConfig || !!workflowState?.dialogState?.saveObj?.ability;
+
+    return targetIDs.filter(target => {
+        const saveResult = workflowState.saveResults?.find(result => result.tokenId === target.tokenId);
+        if (saveResult) return !saveResult.success;
+        // Targets that have not rolled their save yet are not affected
+        if (hasSave) return false;
+
+        const attackResults = (workflowState.attackResults || []).filter(result => result.tokenId === target.tokenId);
+        return attackResults.length === 0 || attackResults.some(result => result.success);
+    }).map(target => target.tokenId);
+}
@@ -8,3 +8,9 @@ export { TargetProcessor } from './target-processor.js';
 
 // Export target utilities
 export { TargetUtils } from './target-utils.js';
+
+// Export damage applicator
+export { DamageApplicator } from './damage-applicator.js';
+
+// Export effect applicator
+export { EffectApplicator, getAutoEffectTokenIds } from './effect-applicator.js';
@@ -4,7 +4,7 @@
  * Location: scripts/core/targets/target-processor.js
  */
 
-import { API } from '../../../api.js';
+import { API } from '../../api.js';
 import { TargetUtils } from './target-utils.js';
 
 /**
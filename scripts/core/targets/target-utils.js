@@ -4,7 +4,8 @@
  * Location: scripts/core/targets/target-utils.js
  */
 
-import { API } from '../../../api.js';
+import { API } from '../../api.js';
+import { getDataPaths } from '../utils/reference/data-lookup.js';
 
 /**
  * Target Utilities Class
@@ -53,6 +54,7 @@ export class TargetUtils {
             const saves = this.getSavingThrows(actor);
             const resistances = this.getResistances(actor);
             const immunities = this.getImmunities(actor);
+            const vulnerabilities = this.getVulnerabilities(actor);
 
             return {
                 id: targetId,
@@ -63,6 +65,7 @@ export class TargetUtils {
                 saves: saves,
                 resistances: resistances,
                 immunities: immunities,
+                vulnerabilities: vulnerabilities,
                 // Additional target properties can be added here
                 hasResilientArmor: this.hasResilientArmor(actor),
                 hasShield: this.hasShield(actor)
@@ -100,8 +103,9 @@ export class TargetUtils {
             const abilities = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
             
             abilities.forEach(ability => {
+                // Prepared actor data holds the total save bonus as a number
                 const save = actor.system.abilities[ability]?.save;
-                saves[ability] = save?.mod || 0;
+                saves[ability] = typeof save === 'number' ? save : (save?.mod || 0);
             });
             
             return saves;
@@ -118,8 +122,7 @@ export class TargetUtils {
      */
     getResistances(actor) {
         try {
-            // This will need to be adapted based on the SW5E system structure
-            return actor.system.traits?.resistances || [];
+            return this.getDamageTraits(actor, 'resistances');
         } catch (error) {
             API.log('warning', 'TargetUtils: Error getting resistances:', error);
             return [];
@@ -133,14 +136,41 @@ export class TargetUtils {
      */
     getImmunities(actor) {
         try {
-            // This will need to be adapted based on the SW5E system structure
-            return actor.system.traits?.immunities || [];
+            return this.getDamageTraits(actor, 'immunities');
         } catch (error) {
             API.log('warning', 'TargetUtils: Error getting immunities:', error);
             return [];
         }
     }
 
+    /**
+     * Get damage vulnerabilities
+     * @param {Object} actor - Actor object
+     * @returns {Array} Array of damage types the target is vulnerable to
+     */
+    getVulnerabilities(actor) {
+        try {
+            return this.getDamageTraits(actor, 'vulnerabilities');
+        } catch (error) {
+            API.log('warning', 'TargetUtils: Error getting vulnerabilities:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Read a damage trait (dr, di, dv) from the actor
+     * The trait value is a Set on prepared actors and an array in source data
+     * @param {Object} actor - Actor object
+     * @param {string} traitKey - Data path key (resistances, immunities or vulnerabilities)
+     * @returns {Array} Array of damage types
+     */
+    getDamageTraits(actor, traitKey) {
+        const traitPath = getDataPaths('actor', 'character').subpaths[traitKey];
+        const value = getProperty(actor, `${traitPath}.value`);
+        if (!value) return [];
+        return Array.from(value).map(type => String(type).toLowerCase());
+    }
+
     /**
      * Check if target has resilient armor
      * @param {Object} actor - Actor object
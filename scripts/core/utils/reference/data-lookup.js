@@ -8,8 +8,8 @@ import dataPathsConfig from '../../../../presets/data/data-paths.json' assert {
  * Get the data paths for types stored on an object
  * Returns an object with the paths to various items related to the resource type.
  * The paths are information returned will have place holders for items that are name or array specific
- * Example category = power, type = ForcePowers: Return {basePath: "{Actor}.itemTypes.power", isArray: true, filters: {school: ["Universal", "Light", "Dark"]}, subpaths: {...}}
- * Example category = power, type = TechPowers: Return {basePath: "{Actor}.itemTypes.power", isArray: true, filters: {school: ["Tech"]}, subpaths: {...}}
+ * Example category = power, type = ForcePowers: Return {basePath: "{Actor}.itemTypes.power", isArray: true, filters: {"system.school": ["uni", "lgt", "drk"]}, subpaths: {...}}
+ * Example category = power, type = TechPowers: Return {basePath: "{Actor}.itemTypes.power", isArray: true, filters: {"system.school": ["tec"]}, subpaths: {...}}
  * 
  * @param {string} category - The category of data (power, etc.)
  * @param {string} type - The specific type within the category
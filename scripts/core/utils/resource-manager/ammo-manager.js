@@ -0,0 +1,118 @@
+/**
+ * Ammo Manager
+ * Spends shots from a weapon's loaded power cell or magazine and reloads it from inventory
+ * Location: scripts/core/utils/resource-manager/ammo-manager.js
+ */
+
+import { API } from '../../../api.js';
+import { getDataPaths } from '../reference/data-lookup.js';
+import { getWeaponAmmoData, getReloadAmmunition } from '../../../actors/item-util.js';
+import { ResourceManager } from './resource-manager.js';
+
+const logThisFile = false;
+
+/**
+ * Get the data path of an ammunition item's quantity
+ * @returns {string} Path usable with getProperty and Document#update
+ */
+export function getAmmunitionQuantityPath() {
+    return getDataPaths('ActorItem', 'ammunition').subpaths.quantity.replace(/^\./, '');
+}
+
+/**
+ * Ammo Manager Class
+ * The weapon's shots are the 'resource.ammo' data paths, reload ammunition is 'ActorItem.ammunition'
+ */
+export class AmmoManager {
+    constructor() {
+        if (logThisFile) API.log('debug', 'AmmoManager: Constructor called');
+    }
+
+    /**
+     * Spend shots from a weapon
+     * @param {Actor} actor - Actor firing the weapon
+     * @param {string} itemID - Weapon item ID
+     * @param {number} amount - Shots to spend
+     * @param {string} [fireMode='single'] - Fire mode of the attack, the GM checks the spend against it
+     * @returns {Promise<Object|null>} Spend result ({ spent, remaining, undoEntry }) or null if nothing was spent
+     */
+    async spendShots(actor, itemID, amount, fireMode = 'single') {
+        const weapon = actor?.items?.get(itemID);
+        if (!weapon || amount <= 0) {
+            return null;
+        }
+
+        const resourceManager = new ResourceManager(weapon, 'resource', 'ammo');
+        const deducted = await resourceManager.deductResource(amount, null, { source: { type: 'ammo', fireMode: fireMode } });
+        if (!deducted) {
+            return null;
+        }
+
+        if (logThisFile) API.log('debug', `AmmoManager: Spent ${amount} shots of ${weapon.name}`);
+        return {
+            spent: amount,
+            remaining: Number(resourceManager.data.new.value) || 0,
+            undoEntry: resourceManager.toUndoEntry()
+        };
+    }
+
+    /**
+     * Reload a weapon with one power cell or cartridge from the actor's inventory
+     * @param {Actor} actor - Actor owning the weapon
+     * @param {string} itemID - Weapon item ID
+     * @param {string} [ammunitionId=null] - Ammunition item to load, defaults to the loaded type
+     * @returns {Promise<Object>} Reload result ({ weaponName, ammunitionName, loaded, value, max, undoEntries })
+     */
+    async reload(actor, itemID, ammunitionId = null) {
+        const ammoData = getWeaponAmmoData(actor, itemID);
+        if (!ammoData) {
+            throw new Error(API.localize('ammo.noReload'));
+        }
+
+        const missing = ammoData.max - ammoData.value;
+        if (missing <= 0) {
+            throw new Error(API.format('ammo.alreadyLoaded', { weapon: ammoData.name }));
+        }
+
+        const ammunitionList = getReloadAmmunition(actor, itemID);
+        const ammunition = ammunitionId ? ammunitionList.find(item => item.id === ammunitionId) : ammunitionList[0];
+        if (!ammunition) {
+            throw new Error(API.format('ammo.noAmmunition', { weapon: ammoData.name }));
+        }
+
+        // One power cell or cartridge is used up per reload
+        const quantityPath = getAmmunitionQuantityPath();
+        const quantity = Number(getProperty(ammunition, quantityPath)) || 0;
+        await ammunition.update({ [quantityPath]: quantity - 1 });
+
+        const weapon = actor.items.get(itemID);
+        const resourceManager = new ResourceManager(weapon, 'resource', 'ammo');
+        resourceManager.getCurrentValue();
+        await resourceManager.refundResource(missing);
+
+        if (ammoData.target !== ammunition.id) {
+            await weapon.update({ [`${resourceManager.getResourcePath()}.target`]: ammunition.id });
+        }
+
+        if (logThisFile) API.log('debug', `AmmoManager: Reloaded ${weapon.name} with ${ammunition.name}`);
+        return {
+            weaponName: weapon.name,
+            ammunitionName: ammunition.name,
+            loaded: missing,
+            value: ammoData.max,
+            max: ammoData.max,
+            undoEntries: [
+                {
+                    actorUuid: ammunition.uuid,
+                    resourceType: 'ActorItem.ammunition',
+                    property: quantityPath,
+                    previousValue: quantity,
+                    changeAmount: -1
+                },
+                resourceManager.toUndoEntry()
+            ].filter(Boolean)
+        };
+    }
+}
+
+export const ammoManager = new AmmoManager();
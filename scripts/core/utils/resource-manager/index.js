@@ -5,3 +5,6 @@
 
 // Export ResourceManager class
 export { ResourceManager } from './resource-manager.js';
+
+// Export AmmoManager class and singleton
+export { AmmoManager, ammoManager } from './ammo-manager.js';
@@ -3,6 +3,10 @@
  * Location: scripts/core/utils/resource-manager/resource-manager.js
  */
 
+import { API } from '../../../api.js';
+import { getDataPaths, resolveDataPath } from '../reference/data-lookup.js';
+import { socketRelay, SOCKET_OPERATIONS } from '../../socket/socket-relay.js';
+
 // ============================================================================
 // RESOURCE MANAGER CLASS
 // ============================================================================
@@ -11,7 +15,7 @@
  * ResourceManager class for handling SW5E resource operations
  * Integrates with data-paths.json for flexible resource discovery and management
  */
-class ResourceManager {
+export class ResourceManager {
     /**
      * Create a new ResourceManager instance
      * @param {Object} objectToSearch - The object to manage resources for (Actor, Item, etc.)
@@ -20,11 +24,13 @@ class ResourceManager {
      */
     constructor(objectToSearch, resourceCategory, resourceType) {
         this.objectId = objectToSearch.id;
+        this.objectUuid = objectToSearch.uuid;
         this.objectType = this._determineObjectType(objectToSearch);
         this.resourceCategory = resourceCategory;
         this.resourceType = resourceType;
         this.hasDeducted = false;
         this.hasRefunded = false;
+        this.spendSource = null;
         
         // Store path configuration for efficiency
         this.pathConfig = getDataPaths(resourceCategory, resourceType);
@@ -64,6 +70,11 @@ class ResourceManager {
      */
     _getObjectFromId() {
         try {
+            // UUIDs also resolve unlinked token actors and embedded items
+            if (this.objectUuid) {
+                const object = fromUuidSync(this.objectUuid);
+                if (object) return object;
+            }
             if (this.objectType === "Actor") {
                 return game.actors.get(this.objectId);
             } else if (this.objectType === "Item") {
@@ -101,8 +112,7 @@ class ResourceManager {
 
         try {
             // For single value resources
-            const basePath = resolveDataPath(this.pathConfig.basePath, this.objectType);
-            const actualPath = basePath.replace('object', '');
+            const actualPath = this._getActualPath();
             let currentValue = getProperty(object, actualPath);
             
             // Store original values for all subpaths
@@ -130,9 +140,12 @@ class ResourceManager {
      * Deduct resources from the object
      * @param {number} amount - Amount to deduct
      * @param {string} resourceName - Specific resource name (optional)
-     * @returns {boolean} Success status
+     * @param {Object} [options={}] - Deduction options
+     * @param {Object} [options.source] - What the workflow pays for ({ type: 'power', itemId, castLevel } or
+     * { type: 'ammo', fireMode }), the GM checks it when the user does not own the object
+     * @returns {Promise<boolean>} Success status
      */
-    deductResource(amount, resourceName = null) {
+    async deductResource(amount, resourceName = null, options = {}) {
         // Check if already deducted
         if (this.hasDeducted) {
             API.log('warning', `Resource ${this.resourceCategory}.${this.resourceType} has already been deducted`);
@@ -163,9 +176,10 @@ class ResourceManager {
 
             // Store spend amount
             this.data.spend = { amount: amount, resourceName: resourceName };
+            this.spendSource = options.source ?? null;
 
             // Handle single value resources (like HP, ammo)
-            const success = this._deductSingleResource(object, this.pathConfig, amount);
+            const success = await this._deductSingleResource(object, this.pathConfig, amount);
 
             if (success) {
                 this.hasDeducted = true;
@@ -185,9 +199,9 @@ class ResourceManager {
      * Refund resources to the object
      * @param {number} amount - Amount to refund
      * @param {string} resourceName - Specific resource name (optional)
-     * @returns {boolean} Success status
+     * @returns {Promise<boolean>} Success status
      */
-    refundResource(amount, resourceName = null) {
+    async refundResource(amount, resourceName = null) {
         // Check if already refunded
         if (this.hasRefunded) {
             API.log('warning', `Resource ${this.resourceCategory}.${this.resourceType} has already been refunded`);
@@ -212,7 +226,7 @@ class ResourceManager {
             }
 
             // Handle single value resources (like HP, ammo)
-            const success = this._refundSingleResource(object, this.pathConfig, amount);
+            const success = await this._refundSingleResource(object, this.pathConfig, amount);
 
             if (success) {
                 this.hasRefunded = true;
@@ -226,13 +240,62 @@ class ResourceManager {
             API.log('error', `Error refunding resource: ${error.message}`);
             return false;
         }
-}
+    }
 
-// ============================================================================
+    /**
+     * Describe the last deduction or refund for the undo journal
+     * @param {string} [property='value'] - Subpath that was changed
+     * @returns {Object|null} Resource change entry or null if nothing changed
+     */
+    toUndoEntry(property = 'value') {
+        if (!this.hasDeducted && !this.hasRefunded) {
+            return null;
+        }
+
+        const previousValue = this.data.original[property];
+        const newValue = this.data.new[property];
+        return {
+            actorUuid: this.objectUuid,
+            resourceType: `${this.resourceCategory}.${this.resourceType}`,
+            property: this.getUndoProperty(property),
+            previousValue: previousValue,
+            changeAmount: (Number(newValue) || 0) - (Number(previousValue) || 0)
+        };
+    }
+
+    /**
+     * Get the data path undo entries of the resource change
+     * @param {string} [property='value'] - Subpath that was changed
+     * @returns {string|null} Path usable with Document#update or null without data paths
+     */
+    getUndoProperty(property = 'value') {
+        if (!this.pathConfig) return null;
+        return this._getActualPath() + (this.pathConfig.subpaths[property] || `.${property}`);
+    }
+
+    // ============================================================================
     // HELPER METHODS
-// ============================================================================
+    // ============================================================================
 
-/**
+    /**
+     * Resolve the base path of the resource relative to the object
+     * @private
+     * @returns {string} Path usable with getProperty and Document#update
+     */
+    _getActualPath() {
+        const basePath = resolveDataPath(this.pathConfig.basePath, this.objectType);
+        return basePath.startsWith('object.') ? basePath.substring(7) : basePath.replace('object', '');
+    }
+
+    /**
+     * Get the update path of the resource on its object
+     * @returns {string|null} Resource path or null if the resource has no data paths
+     */
+    getResourcePath() {
+        return this.pathConfig ? this._getActualPath() : null;
+    }
+
+    /**
      * Validate that sufficient resources exist for deduction
      * @private
      * @param {number} amount - Amount to deduct
@@ -288,14 +351,13 @@ class ResourceManager {
      * @param {number} amount - Amount to deduct
      * @returns {boolean} Success status
      */
-    _deductSingleResource(object, pathConfig, amount) {
-        const basePath = resolveDataPath(pathConfig.basePath, this.objectType);
-        const actualPath = basePath.replace('object', '');
+    async _deductSingleResource(object, pathConfig, amount) {
+        const actualPath = this._getActualPath();
         
         const currentValue = getProperty(object, actualPath + '.value');
         const newValue = Math.max(0, currentValue - amount);
         
-        return this._updateObjectValue(object, actualPath + '.value', newValue);
+        return await this._updateObjectValue(object, actualPath + '.value', newValue);
     }
 
 
@@ -308,15 +370,14 @@ class ResourceManager {
      * @param {number} amount - Amount to refund
      * @returns {boolean} Success status
      */
-    _refundSingleResource(object, pathConfig, amount) {
-        const basePath = resolveDataPath(pathConfig.basePath, this.objectType);
-        const actualPath = basePath.replace('object', '');
+    async _refundSingleResource(object, pathConfig, amount) {
+        const actualPath = this._getActualPath();
         
         const currentValue = getProperty(object, actualPath + '.value');
         const maxValue = getProperty(object, actualPath + '.max') || Infinity;
         const newValue = Math.min(maxValue, currentValue + amount);
         
-        return this._updateObjectValue(object, actualPath + '.value', newValue);
+        return await this._updateObjectValue(object, actualPath + '.value', newValue);
     }
 
 
@@ -327,12 +388,20 @@ class ResourceManager {
      * @param {Object} object - The object to modify
      * @param {string} path - The path to update
      * @param {*} newValue - The new value
-     * @returns {boolean} Success status
+     * @returns {Promise<boolean>} Success status
      */
-    _updateObjectValue(object, path, newValue) {
+    async _updateObjectValue(object, path, newValue) {
         try {
-            setProperty(object, path, newValue);
-            return true;
+            // Objects the user does not own (e.g. a companion) are updated by the GM
+            const updated = await socketRelay.execute(SOCKET_OPERATIONS.UPDATE_RESOURCE, {
+                uuid: object.uuid,
+                resourceCategory: this.resourceCategory,
+                resourceType: this.resourceType,
+                path: path,
+                value: newValue,
+                source: this.spendSource
+            });
+            return updated === true;
         } catch (error) {
             API.log('error', `Error updating object value: ${error.message}`);
             return false;
@@ -346,8 +415,7 @@ class ResourceManager {
      * @param {Object} pathConfig - Path configuration
      */
     _updateNewValues(object, pathConfig) {
-        const basePath = resolveDataPath(pathConfig.basePath, this.objectType);
-        const actualPath = basePath.replace('object', '');
+        const actualPath = this._getActualPath();
         
         this.data.new = {};
         
@@ -357,7 +425,7 @@ class ResourceManager {
         });
     }
 
-        /**
+    /**
      * Create a copy of this ResourceManager for a different object
      * @param {Object} newObject - New object to manage
      * @param {string} resourceCategory - Resource category for new manager
@@ -371,4 +439,4 @@ class ResourceManager {
             resourceType || this.resourceType
         );
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,92 @@
+/**
+ * Ammo Action
+ * Spends the shots of an attack from the weapon's loaded power cell or magazine
+ * Location: scripts/core/workflow/actions/ammo-action.js
+ */
+
+import { API } from '../../../api.js';
+import { getActorFromTokenID } from '../../../actors/actor-util.js';
+import { getWeaponAmmoData, getAmmoCost } from '../../../actors/item-util.js';
+import { ammoManager } from '../../utils/resource-manager/ammo-manager.js';
+import { addResourceChange } from '../undo-journal.js';
+
+const logThisFile = false;
+
+/**
+ * Ammo Action Class
+ * Handles ammunition with three steps:
+ * 1. Work out the shots the attack uses
+ * 2. Check the weapon has them loaded, warning or blocking per the ammo-tracking setting
+ * 3. Spend the shots and record them for undo
+ * Weapons without the Reload property and tracking set to off skip the action
+ */
+export class AmmoAction {
+    constructor() {
+        if (logThisFile) API.log('debug', 'AmmoAction: Constructor called');
+        // A blocked attack must not be rolled
+        this.endsWorkflowOnError = true;
+    }
+
+    /**
+     * Execute the ammo action
+     * @param {Object} state - Workflow state object
+     * @returns {Object} Modified workflow state
+     */
+    async execute(state) {
+        try {
+            const tracking = API.getSetting('ammo-tracking', 'warn');
+            if (tracking === 'off') {
+                return state;
+            }
+
+            const actor = await getActorFromTokenID(state.dialogState.ownerID);
+            const ammoData = getWeaponAmmoData(actor, state.dialogState.itemID);
+            if (!ammoData) {
+                if (logThisFile) API.log('debug', 'AmmoAction: Weapon does not use ammunition');
+                return state;
+            }
+
+            // Step 1: Work out the shots the attack uses
+            const fireMode = state.dialogState.fireMode || 'single';
+            const cost = getAmmoCost(actor, ammoData.itemId, fireMode);
+            if (logThisFile) API.log('debug', `AmmoAction: Step 1 - ${fireMode} attack uses ${cost} shots`, ammoData);
+
+            // Step 2: Check the weapon has them loaded
+            if (ammoData.value < cost) {
+                const message = API.format(ammoData.value === 0 ? 'ammo.empty' : 'ammo.notEnough', {
+                    weapon: ammoData.name,
+                    cost: cost,
+                    value: ammoData.value
+                });
+                if (tracking === 'block') {
+                    throw new Error(message);
+                }
+                ui.notifications.warn(message);
+            }
+
+            // Step 3: Spend what is loaded, an empty weapon spends nothing
+            const spend = await ammoManager.spendShots(actor, ammoData.itemId, Math.min(cost, ammoData.value), fireMode);
+            if (spend) {
+                addResourceChange(state.undoState, spend.undoEntry);
+            }
+
+            state.ammoUsage = {
+                itemId: ammoData.itemId,
+                name: ammoData.name,
+                fireMode: fireMode,
+                cost: cost,
+                spent: spend?.spent || 0,
+                remaining: spend ? spend.remaining : ammoData.value,
+                max: ammoData.max
+            };
+
+            if (logThisFile) API.log('debug', 'AmmoAction: Execution completed', state.ammoUsage);
+            return state;
+
+        } catch (error) {
+            API.log('error', 'AmmoAction: Failed to execute:', error);
+            ui.notifications.warn(error.message);
+            throw error;
+        }
+    }
+}
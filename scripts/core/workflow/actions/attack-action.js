@@ -5,9 +5,10 @@
  */
 
 import { API } from '../../../api.js';
-import { DiceBuilder, DiceRoller, D20Processor, CriticalDetector } from '../../dice/index.js';
+import { DiceBuilder, DiceRoller, D20Processor, CriticalDetector, WeaponPropertyEngine } from '../../dice/index.js';
 import { getActorFromTokenID } from '../../../actors/actor-util.js';
-import { getWeaponById } from '../../../actors/item-util.js';
+import { getWeaponById, getFireModeAttackCount } from '../../../actors/item-util.js';
+import { getReactionResponse } from './reaction-action.js';
 
 const logThisFile = false;
 
@@ -17,6 +18,7 @@ const logThisFile = false;
  * 1. Build dice pool
  * 2. Roll dice
  * 3. Check results
+ * Rapid fire rolls the attack several times, each attack is checked separately
  */
 export class AttackAction {
     constructor() {
@@ -25,6 +27,7 @@ export class AttackAction {
         this.diceRoller = new DiceRoller();
         this.d20Processor = new D20Processor();
         this.criticalDetector = new CriticalDetector();
+        this.propertyEngine = new WeaponPropertyEngine();
     }
 
     /**
@@ -44,22 +47,24 @@ export class AttackAction {
             const diceConfig = await this.buildDicePool(state);
             if (logThisFile) API.log('debug', 'AttackAction: Step 1 - Dice pool built', diceConfig);
             
-            // Step 2: Roll the dice
-            const rolls = await this.rollDice(diceConfig, state);
+            // Step 2: Roll the dice, once for each attack of the fire mode
+            const rolls = [];
+            for (let attack = 0; attack < this.getAttackCount(state); attack++) {
+                rolls.push(...await this.rollDice(diceConfig, state));
+            }
             if (logThisFile) API.log('debug', 'AttackAction: Step 2 - Dice rolled', rolls);
             
             // Step 3: Check results
-            if(!state.dialogState.targetIDs[0].noTarget) {
-                results = await this.checkResults(state, rolls, state.dialogState.targetIDs);
-            } else {
-                results = [{rollTotal: rolls[0].total, target: state.dialogState.targetIDs[0]}];
-            }
+            results = await this.resolveAttacks(state, rolls);
             if (logThisFile) API.log('debug', 'AttackAction: Step 3 - Results checked', results);
             
             // Update state with attack results
             state.attackResults = results;
             state.diceConfig = diceConfig;
             state.rolls = rolls;
+            // Kept separately so later steps (damage) do not overwrite them, used for rerolls
+            state.attackDiceConfig = diceConfig;
+            state.attackRolls = rolls;
             
             if (logThisFile) API.log('debug', 'AttackAction: Execution completed');
             return state;
@@ -70,6 +75,50 @@ export class AttackAction {
         }
     }
 
+    /**
+     * Recalculate attack results from the stored attack rolls (e.g. after a reroll)
+     * @param {Object} state - Workflow state
+     * @returns {Object} Modified workflow state
+     */
+    async recalculateResults(state) {
+        state.attackResults = await this.resolveAttacks(state, state.attackRolls);
+        return state;
+    }
+
+    /**
+     * Get the attacks made against each target
+     * @param {Object} state - Workflow state
+     * @returns {number} Attack count, more than one for rapid fire
+     */
+    getAttackCount(state) {
+        return Math.max(1, getFireModeAttackCount(state.dialogState.fireMode || 'single'));
+    }
+
+    /**
+     * Check the rolls of every attack against the targets
+     * The rolls of each attack follow one another, attacks after the first are tagged with their index
+     * @param {Object} state - Workflow state
+     * @param {Array} rolls - Array of Roll objects of all attacks
+     * @returns {Array} Array of attack results
+     */
+    async resolveAttacks(state, rolls) {
+        const targetIDs = state.dialogState.targetIDs;
+        const attackCount = this.getAttackCount(state);
+        const rollsPerAttack = Math.max(1, Math.floor(rolls.length / attackCount));
+        const results = [];
+
+        for (let attack = 0; attack < attackCount; attack++) {
+            const attackRolls = rolls.slice(attack * rollsPerAttack, (attack + 1) * rollsPerAttack);
+            if (attackRolls.length === 0) break;
+
+            const attackResults = !targetIDs[0].noTarget
+                ? await this.checkResults(state, attackRolls, targetIDs)
+                : [{rollTotal: attackRolls[0].total, target: targetIDs[0], isFumble: this.criticalDetector.checkFumble(attackRolls[0]).isFumble}];
+            results.push(...attackResults.map(result => attackCount > 1 ? { ...result, attackIndex: attack } : result));
+        }
+        return results;
+    }
+
     /**
      * Step 1: Build the dice pool
      * @param {Object} state - Workflow state
@@ -121,8 +170,9 @@ export class AttackAction {
             const weapon = getWeaponById(actor, state.dialogState.itemID);
             
             console.log('🎯 Step 3 - Target IDs:', targetIDs);
-            for (let i = 0; i < rolls.length; i++) {
-                const roll = rolls[i];
+            for (let i = 0; i < targetIDs.length; i++) {
+                // One roll is shared by all targets unless the attack was rolled separately
+                const roll = rolls[i] ?? rolls[0];
                 
                 // Use getActorFromTokenID utility to retrieve the target actor from the token ID
                 console.log('🎯 Step 3 - Target ID:', targetIDs[i].tokenId);
@@ -130,18 +180,24 @@ export class AttackAction {
                 
                 API.log('debug', 'AttackAction: Checking results for target:', target);
                 
-                // Check if there is a target
-                const hitResult = this.d20Processor.checkAttack(roll, target);
+                // Check if there is a target, reactions of the target can raise its AC
+                const acBonus = getReactionResponse(state, targetIDs[i].tokenId, 'attack-hit').acBonus;
+                const hitResult = this.d20Processor.checkAttack(roll, target, acBonus);
 
-                const criticalResult = this.criticalDetector.checkCritical(roll, hitResult, target, weapon.criticalThreshold);
+                // Keen weapons score a critical hit on a lower roll
+                const criticalResult = this.criticalDetector.checkCritical(roll, hitResult, target, this.propertyEngine.getCriticalThreshold(weapon));
+                // A fumble misses even when the total beats the target's AC
+                const fumbleResult = this.criticalDetector.checkFumble(roll);
                 
                 results.push({
                     rollTotal: roll.total,
+                    tokenId: targetIDs[i].tokenId,
                     target: target,
                     hitResult: hitResult,
                     criticalResult: criticalResult,
-                    success: hitResult.hit,
-                    isCritical: criticalResult.isCritical
+                    success: hitResult.hit && !fumbleResult.isFumble,
+                    isCritical: criticalResult.isCritical && !fumbleResult.isFumble,
+                    isFumble: fumbleResult.isFumble
                 });
                 
             }
@@ -7,6 +7,12 @@
 import { API } from '../../../api.js';
 import { CardRenderer } from '../../../ui/cards/card-renderer.js';
 import { getActorFromTokenID } from '../../../actors/actor-util.js';
+import { serializeWorkflowState, serializeWorkflowValue, buildWorkflowStateUpdate } from '../workflow-state.js';
+import { createUndoState, hasUndoEntries, buildRecordUpdate } from '../undo-journal.js';
+import { updateChatMessage } from '../message-updater.js';
+import { getItemSaveData, getFireModeAttackCount } from '../../../actors/item-util.js';
+import { getAutoEffectTokenIds } from '../../targets/effect-applicator.js';
+import { WEAPON_PROPERTY_ROLLS, getDamageRollLabel } from '../../dice/index.js';
 
 const logThisFile = true;
 
@@ -18,6 +24,8 @@ const logThisFile = true;
 export class CompleteAction {
     constructor() {
         if (logThisFile) API.log('debug', 'CompleteAction: Constructor called');
+        // The action renders the workflow card itself, the manager does not refresh it afterwards
+        this.updatesCard = true;
     }
 
     /**
@@ -40,7 +48,12 @@ export class CompleteAction {
             await this.handleWorkflowStep();
             
             // Step 4: Build chat card message
-            await this.buildChatCardMessage();
+            // An existing card is refreshed by the manager in the same update as the saved state
+            if (this.state.messageId && game.messages.get(this.state.messageId)) {
+                this.updatesCard = false;
+            } else {
+                await this.buildChatCardMessage();
+            }
             
             if (logThisFile) API.log('debug', 'CompleteAction: Execution completed');
             return this.state;
@@ -63,7 +76,7 @@ export class CompleteAction {
      * Handle workflow step based on action type
      */
     async handleWorkflowStep() {
-        const workflowType = this.state.workflowType;
+        const workflowType = this.getStepWorkflowType();
         if (logThisFile) API.log('debug', 'CompleteAction: Handling workflow step:', workflowType);
         
         switch (workflowType) {
@@ -71,14 +84,20 @@ export class CompleteAction {
                 await this.handleAttackWorkflow();
                 break;
             case 'damage':
+            case 'attack-damage':
                 await this.handleDamageWorkflow();
                 break;
             case 'save':
+            case 'attack-save':
+            case 'damage-save':
                 await this.handleSaveWorkflow();
                 break;
             case 'check':
                 await this.handleCheckWorkflow();
                 break;
+            case 'power':
+                // Utility powers have no roll steps, the cast is shown on the card
+                break;
             default:
                 API.log('warning', 'CompleteAction: Unknown workflow type:', workflowType);
         }
@@ -86,79 +105,21 @@ export class CompleteAction {
 
     /**
      * Build chat card message
+     * A workflow has one card: it is created once and re-rendered in place afterwards
      */
     async buildChatCardMessage() {
         try {
             if (logThisFile) API.log('debug', 'CompleteAction: Building chat card message');
             
-            // Generate unique message ID
-            const messageId = foundry.utils.randomID();
-            
-            // Determine card type based on workflow
-            const cardType = this.determineCardType();
-            
-            // Get actor information
-            const actor = await getActorFromTokenID(this.state.dialogState?.ownerID);
-            if (!actor) {
-                throw new Error('Actor not found for chat card');
-            }
-            
-            // Get actor name and image
-            const actorName = actor.name || 'Unknown Actor';
-            let actorImg = actor.img || actor.data?.img;
-            
-            // Fallback to first token image if actor image not available
-            if (!actorImg && actor.getActiveTokens().length > 0) {
-                const firstToken = actor.getActiveTokens()[0];
-                actorImg = firstToken.document.texture.src || firstToken.document.img;
-            }
-            
-            // Fallback to default image
-            if (!actorImg) {
-                actorImg = '/icons/svg/dice-target.svg';
+            if (this.state.messageId && game.messages.get(this.state.messageId)) {
+                await this.refreshChatCard(this.state.messageId);
+                return;
             }
             
-            // Get user information
-            const ownerUser = game.users.get(actor.ownership.default) || game.user;
-            const userColor = ownerUser.color || '#999999';
-            const userName = ownerUser.name || 'Unknown User';
-            const userAvatar = ownerUser.avatar || '/icons/svg/mystery-man.svg';
-            
-            if (logThisFile) API.log('debug', 'CompleteAction: Actor data:', {
-                actorName: actorName,
-                actorImg: actorImg
-            });
-            
-            if (logThisFile) API.log('debug', 'CompleteAction: User data:', {
-                ownerUser: ownerUser,
-                userColor: userColor
-            });
-            
-            // Create base card data
-            const cardData = {
-                messageId: messageId,
-                cardType: cardType,
-                userId: game.user.id, // Keep for message ownership
-                actorId: this.state.dialogState?.ownerID, // Add actor ID
-                title: this.generateCardTitle(actorName), // Pass actorName to generateCardTitle
-                roll: this.getPrimaryRoll(),
-                results: this.getWorkflowResults(),
-                targets: this.getTargets(),
-                actions: this.getAvailableActions(),
-                // Actor-specific information
-                actorName: actorName,
-                actorImg: actorImg,
-                userColor: userColor,
-                // User information
-                userName: userName,
-                userAvatar: userAvatar,
-                timestamp: new Date().toLocaleTimeString()
-            };
-            
-            // Add workflow-specific data
-            this.addWorkflowSpecificData(cardData);
+            // Generate unique message ID, the message is created with it
+            const messageId = foundry.utils.randomID();
             
-            if (logThisFile) API.log('debug', 'CompleteAction: Card data created', cardData);
+            const cardData = await this.buildCardData(messageId);
             
             // Initialize card renderer
             this.cardRenderer = new CardRenderer();
@@ -187,6 +148,137 @@ export class CompleteAction {
         }
     }
 
+    /**
+     * Render the card again from the current state and update an existing message
+     * The card, its undo journal and optionally the workflow state are written in one update
+     * @param {string} messageId - ID of the chat message to update
+     * @param {Object} [options={}] - Refresh options
+     * @param {boolean} [options.saveState=false] - Also store the workflow state on the message
+     * @returns {ChatMessage} Updated message
+     */
+    async refreshChatCard(messageId, options = {}) {
+        try {
+            const message = game.messages.get(messageId);
+            if (!message) {
+                throw new Error(`Chat message not found: ${messageId}`);
+            }
+
+            const cardData = await this.buildCardData(messageId);
+            this.cardRenderer = this.cardRenderer || new CardRenderer();
+            const cardHtml = await this.cardRenderer.renderCard(cardData);
+
+            let update = {
+                content: cardHtml,
+                'flags.sw5e-qol.cardData': serializeWorkflowValue(cardData)
+            };
+
+            // Changes recorded since the card was created are added to its journal
+            if (hasUndoEntries(this.state.undoState)) {
+                const pending = this.state.undoState;
+                const journal = buildRecordUpdate(message, undoState => {
+                    undoState.resourceChanges.push(...pending.resourceChanges);
+                    undoState.targetChanges.push(...pending.targetChanges);
+                    undoState.effectsApplied.push(...pending.effectsApplied);
+                });
+                update = { ...update, ...journal.update };
+                this.state.undoState = createUndoState(this.state.workflowId);
+            }
+
+            // The state is built last, its pending journal entries were just moved to the message
+            if (options.saveState) {
+                update = { ...update, ...buildWorkflowStateUpdate(message, this.state) };
+            }
+
+            await updateChatMessage(message, update);
+
+            if (logThisFile) API.log('debug', `CompleteAction: Refreshed chat card ${messageId}`);
+            return message;
+        } catch (error) {
+            API.log('error', 'CompleteAction: Error refreshing chat card:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Build the card data for the current state
+     * @param {string} messageId - ID of the chat message the card belongs to
+     * @returns {Object} Card data
+     */
+    async buildCardData(messageId) {
+        // Determine card type based on workflow
+        const cardType = this.determineCardType();
+        
+        // Get actor information
+        const actor = await getActorFromTokenID(this.state.dialogState?.ownerID);
+        if (!actor) {
+            throw new Error('Actor not found for chat card');
+        }
+        
+        // Get actor name and image
+        const actorName = actor.name || 'Unknown Actor';
+        let actorImg = actor.img || actor.data?.img;
+        
+        // Fallback to first token image if actor image not available
+        if (!actorImg && actor.getActiveTokens().length > 0) {
+            const firstToken = actor.getActiveTokens()[0];
+            actorImg = firstToken.document.texture.src || firstToken.document.img;
+        }
+        
+        // Fallback to default image
+        if (!actorImg) {
+            actorImg = '/icons/svg/dice-target.svg';
+        }
+        
+        // Get user information
+        const ownerUser = game.users.get(actor.ownership.default) || game.user;
+        const userColor = ownerUser.color || '#999999';
+        const userName = ownerUser.name || 'Unknown User';
+        const userAvatar = ownerUser.avatar || '/icons/svg/mystery-man.svg';
+        
+        if (logThisFile) API.log('debug', 'CompleteAction: Actor data:', {
+            actorName: actorName,
+            actorImg: actorImg
+        });
+        
+        if (logThisFile) API.log('debug', 'CompleteAction: User data:', {
+            ownerUser: ownerUser,
+            userColor: userColor
+        });
+        
+        // Save targets can roll from the card, also used to work out who effects apply to
+        const saveConfig = this.getCardSaveConfig(actor);
+        
+        // Create base card data
+        const cardData = {
+            messageId: messageId,
+            cardType: cardType,
+            userId: game.user.id, // Keep for message ownership
+            actorId: this.state.dialogState?.ownerID, // Add actor ID
+            title: this.generateCardTitle(actorName), // Pass actorName to generateCardTitle
+            roll: this.getPrimaryRoll(),
+            results: this.getWorkflowResults(),
+            targets: this.getTargets(),
+            actions: this.getAvailableActions(saveConfig),
+            // Rolls shown in the expandable breakdown
+            rolls: this.getRollBreakdown(),
+            rollHistory: this.state.rollHistory || [],
+            // Actor-specific information
+            actorName: actorName,
+            actorImg: actorImg,
+            userColor: userColor,
+            // User information
+            userName: userName,
+            userAvatar: userAvatar,
+            timestamp: new Date().toLocaleTimeString()
+        };
+        
+        // Add workflow-specific data
+        this.addWorkflowSpecificData(cardData, saveConfig);
+        
+        if (logThisFile) API.log('debug', 'CompleteAction: Card data created', cardData);
+        return cardData;
+    }
+
     /**
      * Debug CSS loading status
      */
@@ -305,30 +397,55 @@ export class CompleteAction {
      * @returns {string} Card type
      */
     determineCardType() {
-        const workflowType = this.state.workflowType;
+        const workflowType = this.getStepWorkflowType();
         switch (workflowType) {
             case 'attack':
                 return 'attack';
             case 'damage':
                 return 'damage';
+            case 'attack-damage':
+                // Paused after the attack the card shows the attack, otherwise the damage
+                return this.state.damageResults ? 'damage' : 'attack';
             case 'save':
+            case 'attack-save':
+            case 'damage-save':
                 return 'save';
             case 'check':
                 return 'check';
+            case 'power':
+                return 'power';
             default:
                 return 'generic';
         }
     }
 
+    /**
+     * Get the workflow type of the roll steps
+     * Power and burst workflows run the same steps as the matching item workflow
+     * (power-attack-damage as attack-damage, burst-damage-save as damage-save)
+     * @returns {string} Workflow type without the power or burst prefix
+     */
+    getStepWorkflowType() {
+        const workflowType = this.state.workflowType || '';
+        const prefix = ['power-', 'burst-'].find(name => workflowType.startsWith(name));
+        return prefix ? workflowType.slice(prefix.length) : workflowType;
+    }
+
     /**
      * Generate card title
      * @param {string} actorName - The actor's name
      * @returns {string} Card title
      */
     generateCardTitle(actorName = 'Unknown Actor') {
-        const workflowType = this.state.workflowType;
+        const workflowType = this.getStepWorkflowType();
         
-        switch (workflowType) {
+        // Power cards are titled after the power
+        if (this.state.powerCast) {
+            return `${actorName} - ${this.state.powerCast.name}`;
+        }
+        
+        // Chained workflows are titled after the step the card shows
+        switch (workflowType.includes('-') ? this.determineCardType() : workflowType) {
             case 'attack':
                 return `${actorName} - Attack Roll`;
             case 'damage':
@@ -359,6 +476,34 @@ export class CompleteAction {
         }
     }
 
+    /**
+     * Get the rolls of the workflow for the card's roll breakdown
+     * Keys identify the roll for rerolls: attack.<index> or damage.<normalRoll|baseRoll|critRoll|brutalRoll|viciousRoll>,
+     * damage of later rapid fire hits adds the hit number (damage.normalRoll.2)
+     * @returns {Array} Roll entries ({ key, label, roll })
+     */
+    getRollBreakdown() {
+        const entries = [];
+        
+        (this.state.attackRolls || []).forEach((roll, index) => {
+            if (!roll) return;
+            entries.push({ key: `attack.${index}`, label: API.localize('cards.attack'), roll: roll });
+        });
+        
+        const hitRolls = [this.state.damageRolls || {}, ...(this.state.extraHitDamageRolls || [])];
+        hitRolls.forEach((damageRolls, index) => {
+            const hitNumber = index + 1;
+            for (const rollName of ['normalRoll', 'baseRoll', 'critRoll', ...Object.keys(WEAPON_PROPERTY_ROLLS)]) {
+                if (!damageRolls?.[rollName]) continue;
+                const label = getDamageRollLabel(rollName, damageRolls[rollName], hitNumber);
+                const key = hitNumber > 1 ? `damage.${rollName}.${hitNumber}` : `damage.${rollName}`;
+                entries.push({ key: key, label: label, roll: damageRolls[rollName] });
+            }
+        });
+        
+        return entries;
+    }
+
     /**
      * Get workflow results
      * @returns {Object} Workflow results
@@ -378,22 +523,190 @@ export class CompleteAction {
         return this.state.dialogState?.targets || [];
     }
 
+    /**
+     * Get the save targets can roll from a damage card
+     * @param {Actor} actor - Actor that used the item
+     * @returns {Object|null} Save configuration ({ ability, dc, onSave }) or null if the item has no save
+     */
+    getCardSaveConfig(actor) {
+        if (this.state.saveConfig) {
+            return this.state.saveConfig;
+        }
+
+        const saveObj = this.state.dialogState?.saveObj || {};
+        const itemSave = getItemSaveData(actor, this.state.dialogState?.itemID);
+        const ability = saveObj.ability || itemSave?.ability;
+        const dc = Number(saveObj.dc) || itemSave?.dc;
+        if (!ability || !dc) {
+            return null;
+        }
+
+        return { ability: ability, dc: dc, onSave: saveObj.onSave === 'none' ? 'none' : 'half' };
+    }
+
     /**
      * Get available actions
+     * @param {Object} [saveConfig=null] - Save targets can roll from the card
      * @returns {Array} Available actions
      */
-    getAvailableActions() {
-        // TODO: Implement action buttons based on workflow type
-        // For now, return empty array
-        return [];
+    getAvailableActions(saveConfig = null) {
+        const actions = [];
+
+        // Damage cards of items with a save let targets roll it
+        if (saveConfig && this.determineCardType() === 'damage') {
+            actions.push({
+                action: 'roll-save',
+                label: API.localize('cards.rollSave'),
+                icon: 'fas fa-shield-halved',
+                class: 'roll-save',
+                data: {
+                    'save-type': saveConfig.ability,
+                    'dc': saveConfig.dc,
+                    'on-save': saveConfig.onSave
+                }
+            });
+        }
+
+        // Effects go to the targets that failed their save (or were hit) in one click
+        const effectTokenIds = this.getPendingEffectTokenIds(saveConfig);
+        if (effectTokenIds.length > 0) {
+            actions.push({
+                action: 'apply-effects',
+                label: API.localize('effects.applyToTargets'),
+                icon: 'fas fa-wand-magic-sparkles',
+                class: 'apply-effects',
+                data: {
+                    'token-ids': effectTokenIds.join(',')
+                }
+            });
+        }
+
+        // Weapons that are no longer fully loaded can be reloaded from the card
+        const ammoUsage = this.state.ammoUsage;
+        if (ammoUsage && ammoUsage.remaining < ammoUsage.max) {
+            actions.push({
+                action: 'reload-weapon',
+                label: API.localize('cards.reload'),
+                icon: 'fas fa-battery-full',
+                class: 'reload-weapon',
+                data: {
+                    'item-id': ammoUsage.itemId
+                }
+            });
+        }
+
+        // Paused workflows offer a button that continues with the next action
+        if (this.state.paused && this.state.resumeAction === 'damage') {
+            actions.push({
+                action: 'resume-workflow',
+                label: API.localize('cards.rollDamage'),
+                icon: 'fas fa-burst',
+                class: 'resume-workflow',
+                data: {
+                    'dialog-type': this.state.resumeDialogType
+                }
+            });
+        }
+
+        // GM only, hidden for players when the card is rendered
+        actions.push({
+            action: 'undo-workflow',
+            label: API.localize('cards.undo'),
+            icon: 'fas fa-rotate-left',
+            class: 'undo-workflow',
+            gmOnly: true
+        });
+
+        return actions;
+    }
+
+    /**
+     * Get the targets the workflow's effects apply to that do not have all of them yet
+     * @param {Object} [saveConfig=null] - Save targets can roll from the card
+     * @returns {Array} Token IDs
+     */
+    getPendingEffectTokenIds(saveConfig = null) {
+        const effectCount = this.state.dialogState?.effects?.length || 0;
+        if (effectCount === 0) return [];
+
+        const appliedEffects = this.state.appliedEffects || {};
+        return getAutoEffectTokenIds(this.state, saveConfig)
+            .filter(tokenId => (appliedEffects[tokenId] || []).length < effectCount);
+    }
+
+    /**
+     * Get the effects card data: the chosen effects and, per target, whether they apply and which were applied
+     * @param {Object} [saveConfig=null] - Save targets can roll from the card
+     * @returns {Object|null} Effects data ({ entries, targets }) or null if the workflow has no effects
+     */
+    getEffectsCardData(saveConfig = null) {
+        const effects = this.state.dialogState?.effects || [];
+        if (effects.length === 0) return null;
+
+        const autoTokenIds = getAutoEffectTokenIds(this.state, saveConfig);
+        const appliedEffects = this.state.appliedEffects || {};
+        const targets = (this.state.dialogState?.targetIDs || []).filter(target => target.tokenId && !target.noTarget);
+
+        return {
+            entries: effects.map((effect, index) => ({
+                index: index,
+                type: effect.type,
+                name: effect.name,
+                icon: effect.icon
+            })),
+            targets: targets.map(target => {
+                const saveResult = this.state.saveResults?.find(result => result.tokenId === target.tokenId);
+                const attackResults = (this.state.attackResults || []).filter(result => result.tokenId === target.tokenId);
+                return {
+                    tokenId: target.tokenId,
+                    name: target.name,
+                    affected: autoTokenIds.includes(target.tokenId),
+                    saved: saveResult ? saveResult.success : null,
+                    hit: attackResults.length > 0 ? attackResults.some(result => result.success) : null,
+                    applied: appliedEffects[target.tokenId] || []
+                };
+            })
+        };
     }
 
     /**
      * Add workflow-specific data to card data
      * @param {Object} cardData - Card data object to modify
+     * @param {Object} [saveConfig=null] - Save targets can roll from the card
      */
-    addWorkflowSpecificData(cardData) {
-        const workflowType = this.state.workflowType;
+    addWorkflowSpecificData(cardData, saveConfig = null) {
+        const workflowType = this.getStepWorkflowType();
+        
+        // The power's cast level and point cost
+        if (this.state.powerCast) {
+            cardData.powerCast = this.state.powerCast;
+        }
+        
+        // The shots the attack spent and what is left loaded
+        if (this.state.ammoUsage) {
+            cardData.ammoUsage = this.state.ammoUsage;
+        }
+        
+        // Burst and rapid fire are noted on the card
+        const fireMode = this.state.dialogState?.fireMode || 'single';
+        if (fireMode !== 'single') {
+            cardData.fireMode = {
+                mode: fireMode,
+                attackCount: getFireModeAttackCount(fireMode),
+                saveDC: this.state.dialogState?.saveObj?.dc || null
+            };
+        }
+        
+        // Effects and conditions the workflow applies to its targets
+        const effects = this.getEffectsCardData(saveConfig);
+        if (effects) {
+            cardData.effects = effects;
+        }
+        
+        // Reactions the targets used against the attack or damage
+        if (this.state.reactions) {
+            cardData.reactions = this.state.reactions;
+        }
         
         switch (workflowType) {
             case 'attack':
@@ -407,10 +720,33 @@ export class CompleteAction {
                 if (this.state.damageResults) {
                     cardData.damageResults = this.state.damageResults;
                 }
+                // Saves rolled from the card
+                if (this.state.saveResults) {
+                    cardData.saveResults = this.state.saveResults;
+                    cardData.saveType = this.state.saveConfig?.ability || 'unknown';
+                }
+                break;
+            case 'attack-damage':
+            case 'attack-save':
+            case 'damage-save':
+                // Add the data of each step that has run so far
+                if (this.state.attackResults) {
+                    cardData.attackResults = this.state.attackResults;
+                }
+                if (this.state.damageResults) {
+                    cardData.damageResults = this.state.damageResults;
+                }
+                if (this.state.saveResults) {
+                    cardData.saveResults = this.state.saveResults;
+                    cardData.saveType = this.state.saveConfig?.ability || 'unknown';
+                }
                 break;
             case 'save':
                 // Add save-specific data
-                cardData.saveType = this.state.dialogState?.saveType || 'unknown';
+                cardData.saveType = this.state.saveConfig?.ability || this.state.dialogState?.saveType || 'unknown';
+                if (this.state.saveResults) {
+                    cardData.saveResults = this.state.saveResults;
+                }
                 break;
         }
     }
@@ -424,8 +760,9 @@ export class CompleteAction {
         try {
             if (logThisFile) API.log('debug', 'CompleteAction: Creating chat message');
             
-            // Create the chat message
+            // Create the chat message, using the card's ID so its buttons point at it
             const messageData = {
+                _id: cardData.messageId,
                 content: cardHtml,
                 speaker: {
                     actor: this.state.dialogState?.ownerID,
@@ -434,8 +771,13 @@ export class CompleteAction {
                 type: CONST.CHAT_MESSAGE_TYPES.OTHER,
                 flags: {
                     'sw5e-qol': {
-                        cardData: cardData,
-                        workflowType: this.state.workflowType
+                        cardData: serializeWorkflowValue(cardData),
+                        workflowType: this.state.workflowType,
+                        workflowId: this.state.workflowId,
+                        // Full workflow state so the chain can be resumed after a reload
+                        workflowState: serializeWorkflowState(this.state),
+                        // Changes made so far by the workflow, reversed by the Undo button
+                        undoState: this.state.undoState || createUndoState(this.state.workflowId)
                     }
                 }
             };
@@ -443,10 +785,16 @@ export class CompleteAction {
             if (logThisFile) API.log('debug', 'CompleteAction: Message data:', messageData);
             
             // Create the message
-            const message = await ChatMessage.create(messageData);
+            const message = await ChatMessage.create(messageData, { keepId: true });
             
             if (logThisFile) API.log('debug', 'CompleteAction: Chat message created with ID:', message.id);
             
+            // Link the workflow to its message so later progress is persisted there
+            this.state.messageId = message.id;
+            
+            // Recorded changes now belong to this card, later cards start a new journal
+            this.state.undoState = createUndoState(this.state.workflowId);
+            
             return message;
             
         } catch (error) {
@@ -5,7 +5,8 @@
  */
 
 import { API } from '../../../api.js';
-import { DiceBuilder, DiceRoller } from '../../dice/index.js';
+import { DiceBuilder, DiceRoller, WEAPON_PROPERTY_ROLLS } from '../../dice/index.js';
+import { getKeptPoolRolls } from '../../dice/damage-advantage.js';
 import { getActorFromTokenID } from '../../../actors/actor-util.js';
 import { getWeaponById } from '../../../actors/item-util.js';
 
@@ -42,8 +43,10 @@ export class DamageAction {
             const diceConfig = await this.buildDicePool(state);
             if (logThisFile) API.log('debug', 'DamageAction: Step 1 - Dice pool built', diceConfig);
             
-            // Step 2: Roll the dice
+            // Step 2: Roll the dice, later rapid fire hits roll their own damage
             const rolls = await this.rollDice(diceConfig, state);
+            state.extraHitDamageRolls = [];
+            await this.rollExtraHitDamage(state, diceConfig.formula);
             if (logThisFile) API.log('debug', 'DamageAction: Step 2 - Dice rolled', rolls);
             
             // Step 3: Process results
@@ -58,6 +61,9 @@ export class DamageAction {
             state.damageResults = results;
             state.diceConfig = diceConfig;
             state.rolls = rolls;
+            // Kept separately from the attack rolls, used for rerolls
+            state.damageDiceConfig = diceConfig;
+            state.damageRolls = rolls;
             
             if (logThisFile) API.log('debug', 'DamageAction: Execution completed');
             return state;
@@ -68,6 +74,24 @@ export class DamageAction {
         }
     }
 
+    /**
+     * Recalculate damage results from the stored damage rolls (e.g. after a reroll)
+     * @param {Object} state - Workflow state
+     * @returns {Object} Modified workflow state
+     */
+    async recalculateResults(state) {
+        const targetIDs = state.dialogState.targetIDs;
+        const rolls = state.damageRolls;
+        // A rerolled attack can hit more often than before
+        await this.rollExtraHitDamage(state, state.damageDiceConfig?.formula);
+        if (!targetIDs[0].noTarget) {
+            state.damageResults = await this.processDamageResults(state, rolls, targetIDs);
+        } else {
+            state.damageResults = [{damageTotal: rolls.normalRoll?.total || 0, target: targetIDs[0]}];
+        }
+        return state;
+    }
+
     /**
      * Step 1: Build the dice pool
      * @param {Object} state - Workflow state
@@ -103,6 +127,36 @@ export class DamageAction {
         }
     }
 
+    /**
+     * Roll the damage of rapid fire hits after the first one
+     * Rolls already made are kept, one damage roll is made for each hit the most hit target took
+     * @param {Object} state - Workflow state
+     * @param {string} formula - Damage formula
+     */
+    async rollExtraHitDamage(state, formula) {
+        const extraHitDamageRolls = state.extraHitDamageRolls || [];
+        const targetIDs = state.dialogState.targetIDs || [];
+        const hitCount = Math.max(1, ...targetIDs.map((targetID, index) =>
+            this.getAttackResultsForTarget(state, targetID, index).filter(result => result.success).length
+        ));
+
+        while (formula && extraHitDamageRolls.length < hitCount - 1) {
+            extraHitDamageRolls.push(await this.diceRoller.createDamageRoll(formula, state));
+        }
+        state.extraHitDamageRolls = extraHitDamageRolls;
+    }
+
+    /**
+     * Get the damage rolls of a hit
+     * @param {Object} state - Workflow state
+     * @param {Object} rolls - Damage rolls of the first hit
+     * @param {number} hitIndex - Index of the hit on its target
+     * @returns {Object} Damage rolls of the hit
+     */
+    getHitDamageRolls(state, rolls, hitIndex) {
+        return hitIndex > 0 ? state.extraHitDamageRolls?.[hitIndex - 1] || rolls : rolls;
+    }
+
     /**
      * Step 3: Process damage results
      * @param {Object} state - Workflow state
@@ -130,21 +184,37 @@ export class DamageAction {
                 
                 API.log('debug', 'DamageAction: Processing damage for target:', target);
                 
-                // Calculate damage based on critical hit status from attack results
-                const isCritical = state.attackResults?.[i]?.isCritical || false;
-                const damageTotal = this.calculateDamageTotal(rolls, isCritical);
+                // Calculate damage based on hit and critical status from a chained attack
+                // Rapid fire attacks a target several times, each hit deals the damage rolled for it,
+                // damage without a chained attack is dealt once
+                const attackResults = this.getAttackResultsForTarget(state, targetID, i);
+                const hits = attackResults.length > 0 ? attackResults.filter(result => result.success) : [null];
+                const missed = hits.length === 0;
+                const isCritical = hits.some(hit => hit?.isCritical || false);
+                const damageTotal = hits.reduce((total, hit, hitIndex) =>
+                    total + this.calculateDamageTotal(this.getHitDamageRolls(state, rolls, hitIndex), hit?.isCritical || false), 0);
                 
                 // Calculate damage by type
-                const damageByType = this.calculateDamageByType(rolls, isCritical);
+                const damageByType = {};
+                hits.forEach((hit, hitIndex) => {
+                    const hitRolls = this.getHitDamageRolls(state, rolls, hitIndex);
+                    for (const [damageType, amount] of Object.entries(this.calculateDamageByType(hitRolls, hit?.isCritical || false))) {
+                        damageByType[damageType] = (damageByType[damageType] || 0) + amount;
+                    }
+                });
                 
                 results.push({
                     damageTotal: damageTotal,
                     damageByType: damageByType,
+                    tokenId: targetID.tokenId,
                     target: target,
                     isCritical: isCritical,
+                    missed: missed,
                     normalRoll: rolls.normalRoll,
                     baseRoll: rolls.baseRoll,
-                    critRoll: rolls.critRoll
+                    critRoll: rolls.critRoll,
+                    brutalRoll: rolls.brutalRoll,
+                    viciousRoll: rolls.viciousRoll
                 });
             }
             
@@ -156,6 +226,26 @@ export class DamageAction {
         }
     }
 
+    /**
+     * Find the attack results for a target when damage follows an attack in the same workflow
+     * @param {Object} state - Workflow state
+     * @param {Object} targetID - Target entry from the dialog state
+     * @param {number} index - Target index
+     * @returns {Array} Attack results, one for each attack (several for rapid fire), empty if no attack was rolled
+     */
+    getAttackResultsForTarget(state, targetID, index) {
+        const attackResults = state.attackResults;
+        if (!Array.isArray(attackResults) || attackResults.length === 0) {
+            return [];
+        }
+
+        const targetResults = attackResults.filter(result => result.tokenId && result.tokenId === targetID.tokenId);
+        if (targetResults.length > 0) {
+            return targetResults;
+        }
+        return attackResults[index] ? [attackResults[index]] : [];
+    }
+
     /**
      * Calculate total damage based on critical hit status
      * @param {Object} rolls - Roll results object
@@ -165,13 +255,12 @@ export class DamageAction {
     calculateDamageTotal(rolls, isCritical) {
         try {
             if (isCritical) {
-                // For critical hits, use base roll + crit roll if available
-                const baseTotal = rolls.baseRoll?.total || 0;
-                const critTotal = rolls.critRoll?.total || 0;
-                return baseTotal + critTotal;
+                // For critical hits, use base roll + crit roll + the weapon property rolls if available
+                return ['baseRoll', 'critRoll', ...Object.keys(WEAPON_PROPERTY_ROLLS)]
+                    .reduce((total, rollName) => total + (rolls[rollName]?.total || 0), 0);
             } else {
-                // For normal hits, use normal roll
-                return rolls.normalRoll?.total || 0;
+                // For normal hits, use normal roll (or the base half when other targets were crit)
+                return rolls.normalRoll?.total ?? rolls.baseRoll?.total ?? 0;
             }
         } catch (error) {
             API.log('error', 'DamageAction: Error calculating damage total:', error);
@@ -192,15 +281,16 @@ export class DamageAction {
             // Process normal roll
             if (rolls.normalRoll) {
                 this.addRollToDamageByType(rolls.normalRoll, damageByType);
+            } else if (!isCritical && rolls.baseRoll) {
+                this.addRollToDamageByType(rolls.baseRoll, damageByType);
             }
             
             // Process critical rolls if applicable
             if (isCritical) {
-                if (rolls.baseRoll) {
-                    this.addRollToDamageByType(rolls.baseRoll, damageByType);
-                }
-                if (rolls.critRoll) {
-                    this.addRollToDamageByType(rolls.critRoll, damageByType);
+                for (const rollName of ['baseRoll', 'critRoll', ...Object.keys(WEAPON_PROPERTY_ROLLS)]) {
+                    if (rolls[rollName]) {
+                        this.addRollToDamageByType(rolls[rollName], damageByType);
+                    }
                 }
             }
             
@@ -221,6 +311,11 @@ export class DamageAction {
             if (!roll || !roll.terms) return;
             
             roll.terms.forEach(term => {
+                // Advantage pools deal the damage of the roll they kept
+                if (term instanceof PoolTerm) {
+                    getKeptPoolRolls(term).forEach(poolRoll => this.addRollToDamageByType(poolRoll, damageByType));
+                    return;
+                }
                 const flavor = term.options?.flavor;
                 if (flavor) {
                     damageByType[flavor] = (damageByType[flavor] || 0) + term.total;
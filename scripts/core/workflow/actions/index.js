@@ -5,8 +5,11 @@
  */
 
 export { AttackAction } from './attack-action.js';
+export { SaveAction } from './save-action.js';
+export { PowerAction } from './power-action.js';
+export { AmmoAction } from './ammo-action.js';
+export { ReactionAction } from './reaction-action.js';
 
 // Future workflow actions can be exported here:
 // export { DamageAction } from './damage-action.js';
-// export { SaveAction } from './save-action.js';
 // export { SkillAction } from './skill-action.js';
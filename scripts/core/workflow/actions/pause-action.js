@@ -0,0 +1,57 @@
+/**
+ * Pause Action
+ * Posts an interim chat card and halts the workflow until it is resumed from that card
+ * Location: scripts/core/workflow/actions/pause-action.js
+ */
+
+import { API } from '../../../api.js';
+import { CompleteAction } from './complete-action.js';
+import { getWorkflowConfig } from '../workflow-config.js';
+
+const logThisFile = false;
+
+/**
+ * Pause Action Class
+ * Builds the card for the steps run so far (e.g. the attack card) with a button
+ * that resumes the workflow at the next action
+ */
+export class PauseAction extends CompleteAction {
+    constructor() {
+        super();
+        if (logThisFile) API.log('debug', 'PauseAction: Constructor called');
+    }
+
+    /**
+     * Execute the pause action
+     * @param {Object} state - Workflow state object
+     * @returns {Object} Modified workflow state
+     */
+    async execute(state) {
+        try {
+            if (logThisFile) API.log('debug', 'PauseAction: Starting execution');
+
+            this.state = state;
+
+            // The workflow continues with the action after this pause
+            const workflow = getWorkflowConfig(state.workflowType);
+            const resumeIndex = state.actionIndex + 1;
+            const nextAction = workflow?.workflowActions[resumeIndex] ?? null;
+
+            state.paused = true;
+            state.pausedAt = Date.now();
+            state.resumeIndex = resumeIndex;
+            state.resumeAction = nextAction;
+            state.resumeDialogType = nextAction;
+
+            // Show the steps run so far on the workflow's card with the resume button
+            await this.buildChatCardMessage();
+
+            if (logThisFile) API.log('debug', `PauseAction: Workflow paused before ${nextAction} on message ${state.messageId}`);
+            return state;
+
+        } catch (error) {
+            API.log('error', 'PauseAction: Failed to execute:', error);
+            throw error;
+        }
+    }
+}
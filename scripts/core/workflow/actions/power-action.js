@@ -0,0 +1,152 @@
+/**
+ * Power Action
+ * Casts a power: validates the cast level and spends the caster's points
+ * Location: scripts/core/workflow/actions/power-action.js
+ */
+
+import { API } from '../../../api.js';
+import { getActorFromTokenID } from '../../../actors/actor-util.js';
+import { getPowerCastData } from '../../../actors/item-util.js';
+import { ResourceManager } from '../../utils/resource-manager/resource-manager.js';
+import { addResourceChange, addEffectApplied } from '../undo-journal.js';
+import { concentrationManager } from '../../actors/concentration-manager.js';
+
+const logThisFile = false;
+
+/**
+ * Power Action Class
+ * Handles power casting with four steps:
+ * 1. Work out the cast level and point cost
+ * 2. Validate overcasting and the caster's points
+ * 3. Spend the points and record them for undo
+ * 4. Mark the caster as concentrating on concentration powers
+ * The attack, damage and save steps of the power follow in the workflow
+ */
+export class PowerAction {
+    constructor() {
+        if (logThisFile) API.log('debug', 'PowerAction: Constructor called');
+        // Later steps need the power to be cast, a failed cast ends the workflow
+        this.endsWorkflowOnError = true;
+    }
+
+    /**
+     * Execute the power action
+     * @param {Object} state - Workflow state object
+     * @returns {Object} Modified workflow state
+     */
+    async execute(state) {
+        try {
+            if (logThisFile) API.log('debug', 'PowerAction: Starting execution');
+
+            // Step 1: Work out the cast level and point cost
+            const actor = await getActorFromTokenID(state.dialogState.ownerID);
+            const castData = getPowerCastData(actor, state.dialogState.itemID, state.dialogState.castLevel);
+            if (!castData) {
+                throw new Error(API.localize('powers.noPower'));
+            }
+            if (logThisFile) API.log('debug', 'PowerAction: Step 1 - Cast data', castData);
+
+            // Step 2: Validate overcasting and the caster's points
+            this.validateCast(castData);
+
+            // Step 3: Spend the points
+            await this.spendPoints(actor, castData, state);
+
+            // Step 4: Concentrate on the power
+            if (castData.concentration) {
+                await this.startConcentration(actor, castData, state);
+            }
+
+            // Damage dialogs opened later scale the power to this level
+            state.dialogState.castLevel = castData.castLevel;
+            state.powerCast = {
+                itemId: castData.itemId,
+                name: castData.name,
+                powerType: castData.powerType,
+                resourceType: castData.resourceType,
+                baseLevel: castData.baseLevel,
+                castLevel: castData.castLevel,
+                cost: castData.cost,
+                isOvercast: castData.isOvercast,
+                concentration: castData.concentration
+            };
+
+            if (logThisFile) API.log('debug', 'PowerAction: Execution completed', state.powerCast);
+            return state;
+
+        } catch (error) {
+            API.log('error', 'PowerAction: Failed to execute:', error);
+            ui.notifications.warn(error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Step 2: Validate the cast level against the caster's limits
+     * @param {Object} castData - Cast data from getPowerCastData
+     */
+    validateCast(castData) {
+        if (castData.isOvercast) {
+            if (!API.getSetting('allow-overcasting', false)) {
+                throw new Error(API.format('powers.overcastNotAllowed', { level: castData.castLevel, maxLevel: castData.maxLevel }));
+            }
+            API.log('info', `PowerAction: ${castData.name} is overcast at level ${castData.castLevel}`);
+        }
+
+        if (castData.cost > castData.pointsAvailable) {
+            throw new Error(API.format('powers.insufficientPoints', {
+                cost: castData.cost,
+                available: castData.pointsAvailable,
+                resource: API.localize(`resources.${castData.resourceType}`)
+            }));
+        }
+    }
+
+    /**
+     * Step 3: Spend the caster's points and record the change for undo
+     * @param {Actor} actor - Casting actor
+     * @param {Object} castData - Cast data from getPowerCastData
+     * @param {Object} state - Workflow state
+     */
+    async spendPoints(actor, castData, state) {
+        // At-will powers are free
+        if (castData.cost === 0) return;
+
+        const resourceManager = new ResourceManager(actor, 'resource', castData.resourceType);
+        const deducted = await resourceManager.deductResource(castData.cost, null, {
+            source: { type: 'power', itemId: castData.itemId, castLevel: castData.castLevel }
+        });
+        if (!deducted) {
+            throw new Error(API.format('powers.insufficientPoints', {
+                cost: castData.cost,
+                available: castData.pointsAvailable,
+                resource: API.localize(`resources.${castData.resourceType}`)
+            }));
+        }
+
+        addResourceChange(state.undoState, resourceManager.toUndoEntry());
+        if (logThisFile) API.log('debug', `PowerAction: Spent ${castData.cost} ${castData.resourceType}`);
+    }
+
+    /**
+     * Step 4: Mark the caster as concentrating on the power and record the effect for undo
+     * Concentration on an earlier power ends
+     * @param {Actor} actor - Casting actor
+     * @param {Object} castData - Cast data from getPowerCastData
+     * @param {Object} state - Workflow state
+     */
+    async startConcentration(actor, castData, state) {
+        const effect = await concentrationManager.startConcentration(actor, actor.items.get(castData.itemId), {
+            workflowId: state.workflowId,
+            castLevel: castData.castLevel
+        });
+
+        addEffectApplied(state.undoState, {
+            effectUuid: effect.uuid,
+            targetUuid: actor.uuid,
+            targetName: actor.name,
+            name: effect.name
+        });
+        if (logThisFile) API.log('debug', `PowerAction: ${actor.name} concentrates on ${castData.name}`);
+    }
+}
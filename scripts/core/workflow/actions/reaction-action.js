@@ -0,0 +1,178 @@
+/**
+ * Reaction Action
+ * Prompts the owners of hit targets with their eligible reactive features and feeds the chosen responses back into the workflow
+ * Location: scripts/core/workflow/actions/reaction-action.js
+ */
+
+import { API } from '../../../api.js';
+import { featureManager } from '../../../features/feature-manager.js';
+import { getActorFromTokenID } from '../../../actors/actor-util.js';
+import { socketRelay, SOCKET_OPERATIONS } from '../../socket/socket-relay.js';
+import { saveWorkflowStateToMessage } from '../workflow-state.js';
+import { DEFAULT_REACTION_TIMEOUT } from '../../../ui/dialogs/reaction-dialog.js';
+
+const logThisFile = false;
+
+// Reaction trigger of the action the reaction step follows
+export const REACTION_TRIGGERS = {
+    attack: 'attack-hit',
+    damage: 'damage-taken'
+};
+
+// Extra time the workflow waits for an answer beyond the prompt's own time limit
+const REACTION_ANSWER_MARGIN = 5000;
+
+/**
+ * Reaction Action Class
+ * Runs after the attack or damage step, the workflow waits until every prompted owner
+ * has answered or their prompt timed out
+ * Chosen reactions are kept in state.reactions[tokenId] as { featureId, name, trigger, response }
+ */
+export class ReactionAction {
+    constructor() {
+        if (logThisFile) API.log('debug', 'ReactionAction: Constructor called');
+    }
+
+    /**
+     * Execute the reaction action
+     * @param {Object} state - Workflow state object
+     * @returns {Object} Modified workflow state
+     */
+    async execute(state) {
+        try {
+            if (logThisFile) API.log('debug', 'ReactionAction: Starting execution');
+
+            if (!API.getSetting('reaction-prompts', true)) return state;
+
+            const trigger = REACTION_TRIGGERS[state.completedActions[state.completedActions.length - 1]];
+            if (!trigger) return state;
+
+            const attacker = await getActorFromTokenID(state.dialogState.ownerID);
+            state.reactions = state.reactions || {};
+            let reacted = false;
+
+            for (const tokenId of this.getReactingTokenIds(state, trigger)) {
+                const actor = canvas.tokens.get(tokenId)?.actor;
+                const context = { workflowState: state, tokenId: tokenId };
+                const features = featureManager.getEligibleReactions(actor, trigger, context);
+                if (features.length === 0) continue;
+
+                const featureId = await this.promptReaction(actor, features, trigger, attacker, context);
+                delete state.pendingReaction;
+                const feature = features.find(entry => entry.id === featureId);
+                if (!feature) continue;
+
+                state.reactions[tokenId] = [
+                    ...(state.reactions[tokenId] || []),
+                    {
+                        featureId: feature.id,
+                        name: feature.name,
+                        trigger: trigger,
+                        response: feature.applyReaction({ ...context, actor: actor, trigger: trigger })
+                    }
+                ];
+                reacted = true;
+                if (logThisFile) API.log('debug', `ReactionAction: ${actor.name} reacted with ${feature.name}`);
+            }
+
+            // A higher AC can turn a hit into a miss
+            if (reacted && trigger === REACTION_TRIGGERS.attack) {
+                const { AttackAction } = await import('./attack-action.js');
+                await new AttackAction().recalculateResults(state);
+            }
+
+            if (logThisFile) API.log('debug', 'ReactionAction: Execution completed', state.reactions);
+            return state;
+
+        } catch (error) {
+            API.log('error', 'ReactionAction: Failed to execute:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the targets that can react to a trigger
+     * Targets that already reacted to it in this workflow are left out
+     * @param {Object} state - Workflow state
+     * @param {string} trigger - Reaction trigger
+     * @returns {Array} Token IDs
+     */
+    getReactingTokenIds(state, trigger) {
+        const results = trigger === REACTION_TRIGGERS.attack
+            ? (state.attackResults || []).filter(result => result.success)
+            : (state.damageResults || []).filter(result => !result.missed && result.damageTotal > 0);
+
+        const tokenIds = [...new Set(results.map(result => result.tokenId).filter(Boolean))];
+        return tokenIds.filter(tokenId => !(state.reactions?.[tokenId] || []).some(reaction => reaction.trigger === trigger));
+    }
+
+    /**
+     * Get the user who answers a target's reaction prompt
+     * @param {Actor} actor - Reacting actor
+     * @returns {User|null} The player of the actor, another active owner or the active GM
+     */
+    getReactingUser(actor) {
+        const owners = game.users.filter(user => user.active && !user.isGM && actor.testUserPermission(user, 'OWNER'));
+        return owners.find(user => user.character?.id === actor.id) || owners[0] || game.users.activeGM || null;
+    }
+
+    /**
+     * Ask the owner of a target which reactive feature to use
+     * An owner who does not answer in time uses none
+     * The workflow card records the prompt first, the prompted client only answers prompts its card is waiting on
+     * @param {Actor} actor - Reacting actor
+     * @param {Array} features - Eligible reactive features
+     * @param {string} trigger - Reaction trigger
+     * @param {Actor} attacker - Actor whose workflow triggered the reaction
+     * @param {Object} context - Reaction context ({ workflowState, tokenId })
+     * @returns {Promise<string|null>} Chosen feature ID or null
+     */
+    async promptReaction(actor, features, trigger, attacker, context) {
+        const user = this.getReactingUser(actor);
+        if (!user) return null;
+
+        const timeout = Number(API.getSetting('reaction-timeout', DEFAULT_REACTION_TIMEOUT)) || DEFAULT_REACTION_TIMEOUT;
+        const payload = {
+            messageId: context.workflowState.messageId,
+            tokenId: context.tokenId,
+            actorName: actor.name,
+            attackerName: attacker?.name || '',
+            trigger: trigger,
+            options: features.map(feature => feature.getReactionOption({ ...context, actor: actor, trigger: trigger })),
+            timeout: timeout
+        };
+
+        if (user.id !== game.user.id) {
+            context.workflowState.pendingReaction = { tokenId: context.tokenId, userId: user.id };
+            await saveWorkflowStateToMessage(context.workflowState.messageId, context.workflowState);
+            ui.notifications.info(API.format('reactions.waiting', { name: actor.name, user: user.name }));
+        }
+
+        try {
+            return await socketRelay.executeForUser(user.id, SOCKET_OPERATIONS.PROMPT_REACTION, payload, {
+                timeout: timeout * 1000 + REACTION_ANSWER_MARGIN
+            });
+        } catch (error) {
+            API.log('warning', `ReactionAction: No reaction from ${user.name} for ${actor.name}:`, error);
+            return null;
+        }
+    }
+}
+
+/**
+ * Combine the responses of the reactions a target used against a trigger
+ * @param {Object} workflowState - Workflow state
+ * @param {string} tokenId - Target token ID
+ * @param {string} trigger - Reaction trigger (attack-hit, damage-taken)
+ * @returns {Object} Combined response ({ acBonus, damageMultiplier, damageReduction, names })
+ */
+export function getReactionResponse(workflowState, tokenId, trigger) {
+    const reactions = (workflowState?.reactions?.[tokenId] || []).filter(reaction => reaction.trigger === trigger);
+
+    return reactions.reduce((combined, reaction) => ({
+        acBonus: combined.acBonus + (Number(reaction.response?.acBonus) || 0),
+        damageMultiplier: combined.damageMultiplier * (reaction.response?.damageMultiplier ?? 1),
+        damageReduction: combined.damageReduction + (Number(reaction.response?.damageReduction) || 0),
+        names: [...combined.names, reaction.name]
+    }), { acBonus: 0, damageMultiplier: 1, damageReduction: 0, names: [] });
+}
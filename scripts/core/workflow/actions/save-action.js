@@ -0,0 +1,156 @@
+/**
+ * Save Action
+ * Handles saving throws made by targets
+ * Location: scripts/core/workflow/actions/save-action.js
+ */
+
+import { API } from '../../../api.js';
+import { D20Processor } from '../../dice/index.js';
+import { TargetUtils } from '../../targets/target-utils.js';
+import { getActorFromTokenID } from '../../../actors/actor-util.js';
+import { getItemSaveData } from '../../../actors/item-util.js';
+
+const logThisFile = false;
+
+/**
+ * Save Action Class
+ * Handles saving throw processing with three steps:
+ * 1. Determine the save ability and DC
+ * 2. Roll a save for each target
+ * 3. Check results against the DC
+ */
+export class SaveAction {
+    constructor() {
+        if (logThisFile) API.log('debug', 'SaveAction: Constructor called');
+        this.d20Processor = new D20Processor();
+        this.targetUtils = new TargetUtils();
+    }
+
+    /**
+     * Execute the save action
+     * @param {Object} state - Workflow state object
+     * @returns {Object} Modified workflow state
+     */
+    async execute(state) {
+        try {
+            if (logThisFile) API.log('debug', 'SaveAction: Starting execution');
+
+            // Step 1: Determine the save ability and DC
+            const saveConfig = await this.getSaveConfig(state);
+            if (logThisFile) API.log('debug', 'SaveAction: Step 1 - Save config', saveConfig);
+
+            // Step 2 and 3: Roll and check a save for each target
+            const targetIDs = state.dialogState.targetIDs || [];
+            const results = targetIDs[0]?.noTarget ? [] : await this.rollSaves(state, saveConfig, targetIDs);
+            if (logThisFile) API.log('debug', 'SaveAction: Step 3 - Results checked', results);
+
+            // Update state with save results
+            state.saveConfig = saveConfig;
+            state.saveResults = results;
+
+            if (logThisFile) API.log('debug', 'SaveAction: Execution completed');
+            return state;
+
+        } catch (error) {
+            API.log('error', 'SaveAction: Failed to execute:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Step 1: Determine the save ability and DC
+     * Values set in the dialog take priority over the item's save
+     * @param {Object} state - Workflow state
+     * @returns {Object} Save configuration ({ ability, dc, onSave })
+     */
+    async getSaveConfig(state) {
+        const saveObj = state.dialogState.saveObj || {};
+        let ability = saveObj.ability;
+        let dc = Number(saveObj.dc) || null;
+
+        if (!ability || !dc) {
+            const actor = await getActorFromTokenID(state.dialogState.ownerID);
+            const itemSave = getItemSaveData(actor, state.dialogState.itemID);
+            ability = ability || itemSave?.ability;
+            dc = dc || itemSave?.dc;
+        }
+
+        if (!ability || !dc) {
+            throw new Error('No saving throw ability or DC available for this workflow');
+        }
+
+        // Damage taken on a successful save: half or none
+        const onSave = saveObj.onSave === 'none' ? 'none' : 'half';
+
+        return { ability: ability, dc: dc, onSave: onSave };
+    }
+
+    /**
+     * Step 2 and 3: Roll saves for each target and check them against the DC
+     * Targets that were missed by a chained attack do not save
+     * @param {Object} state - Workflow state
+     * @param {Object} saveConfig - Save configuration
+     * @param {Array} targetIDs - Array of targets
+     * @returns {Array} Array of save results
+     */
+    async rollSaves(state, saveConfig, targetIDs) {
+        try {
+            const results = [];
+
+            for (let i = 0; i < targetIDs.length; i++) {
+                const targetID = targetIDs[i];
+
+                const attackResult = state.attackResults?.find(result => result.tokenId === targetID.tokenId) ?? state.attackResults?.[i];
+                if (attackResult && !attackResult.success) {
+                    if (logThisFile) API.log('debug', `SaveAction: Skipping save for missed target ${targetID.name}`);
+                    continue;
+                }
+
+                const result = await this.rollSave(targetID.tokenId, saveConfig);
+                if (result) {
+                    results.push(result);
+                }
+            }
+
+            return results;
+        } catch (error) {
+            API.log('error', 'SaveAction: Error rolling saves:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Roll and check a single target's save
+     * @param {string} tokenId - Token ID of the target
+     * @param {Object} saveConfig - Save configuration
+     * @returns {Object|null} Save result or null if the target was not found
+     */
+    async rollSave(tokenId, saveConfig) {
+        const target = await getActorFromTokenID(tokenId);
+        if (!target) {
+            API.log('warning', `SaveAction: Target not found for token ${tokenId}`);
+            return null;
+        }
+
+        const saveBonus = this.targetUtils.getSavingThrows(target)[saveConfig.ability] || 0;
+        const roll = await new Roll(`1d20 + ${saveBonus}`).evaluate({ async: true });
+        roll.options = {
+            targetID: tokenId,
+            rollType: 'save',
+            ability: saveConfig.ability
+        };
+
+        const saveResult = this.d20Processor.checkSave(roll, saveConfig.dc, target);
+
+        return {
+            tokenId: tokenId,
+            target: target,
+            ability: saveConfig.ability,
+            dc: saveConfig.dc,
+            saveTotal: saveResult.saveTotal,
+            naturalRoll: saveResult.naturalRoll,
+            success: saveResult.success,
+            roll: roll
+        };
+    }
+}
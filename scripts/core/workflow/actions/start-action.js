@@ -5,6 +5,7 @@
  */
 
 import { API } from '../../../api.js';
+import { CompleteAction } from './complete-action.js';
 
 const logThisFile = false;
 
@@ -15,6 +16,8 @@ const logThisFile = false;
 export class StartAction {
     constructor() {
         if (logThisFile) API.log('debug', 'StartAction: Constructor called');
+        // The action creates the workflow card itself
+        this.updatesCard = true;
     }
 
     /**
@@ -29,8 +32,10 @@ export class StartAction {
             console.log('🚀 StartAction called!');
             console.log('Initial state:', state);
             
-            // For now, just log and return the state
-            // Future implementation will modify the state as needed
+            // Create the workflow's card, later actions update it in place
+            const cardAction = new CompleteAction();
+            cardAction.state = state;
+            await cardAction.buildChatCardMessage();
             
             if (logThisFile) API.log('debug', 'StartAction: Execution completed');
             return state;
@@ -8,3 +8,12 @@ export * from './workflow-config.js';
 
 // Export workflow manager
 export { WorkflowManager } from './workflow-manager.js';
+
+// Export workflow state persistence helpers
+export * from './workflow-state.js';
+
+// Export undo journal helpers
+export * from './undo-journal.js';
+
+// Export chat message update helpers
+export * from './message-updater.js';
@@ -0,0 +1,42 @@
+/**
+ * Message Updater
+ * Updates workflow chat messages, routing the update through the GM when the user may not change the message
+ * Location: scripts/core/workflow/message-updater.js
+ */
+
+import { API } from '../../api.js';
+import { socketRelay, SOCKET_OPERATIONS } from '../socket/socket-relay.js';
+
+const logThisFile = false;
+
+/**
+ * Update a workflow chat message
+ * Several updates are applied in order (e.g. removing a flag before setting it again)
+ * @param {ChatMessage|string} messageOrId - Chat message or its ID
+ * @param {Object|Array} updateData - Update data or an array of updates
+ * @returns {Promise<ChatMessage|null>} The message, or null if it could not be updated
+ */
+export async function updateChatMessage(messageOrId, updateData) {
+    const message = typeof messageOrId === 'string' ? game.messages.get(messageOrId) : messageOrId;
+    if (!message) {
+        API.log('warning', `MessageUpdater: Chat message not found: ${messageOrId}`);
+        return null;
+    }
+
+    const updates = Array.isArray(updateData) ? updateData : [updateData];
+
+    try {
+        // Players that are not the author have the active GM update the card
+        await socketRelay.execute(SOCKET_OPERATIONS.UPDATE_MESSAGE, {
+            messageId: message.id,
+            updates: updates
+        });
+
+        if (logThisFile) API.log('debug', `MessageUpdater: Updated message ${message.id}`, updates);
+        return message;
+    } catch (error) {
+        API.log('error', `MessageUpdater: Failed to update message ${message.id}:`, error);
+        ui.notifications.warn(error.message);
+        return null;
+    }
+}
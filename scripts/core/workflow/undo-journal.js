@@ -0,0 +1,311 @@
+/**
+ * Undo Journal
+ * Records the changes a workflow makes (HP, resources, effects) on its chat message and reverses them
+ * Location: scripts/core/workflow/undo-journal.js
+ */
+
+import { API } from '../../api.js';
+import { WORKFLOW_FLAG_SCOPE, getWorkflowStateFromMessage } from './workflow-state.js';
+import { updateChatMessage } from './message-updater.js';
+import { getDataPaths } from '../utils/reference/data-lookup.js';
+import { ResourceManager } from '../utils/resource-manager/resource-manager.js';
+import { getAmmunitionQuantityPath } from '../utils/resource-manager/ammo-manager.js';
+
+const logThisFile = false;
+
+// Flag key of the undo journal on chat messages
+export const UNDO_STATE_FLAG = 'undoState';
+
+/**
+ * Create an empty undo journal
+ * @param {string} workflowId - ID of the workflow the journal belongs to
+ * @returns {Object} Undo journal
+ */
+export function createUndoState(workflowId = null) {
+    return {
+        workflowId: workflowId,
+        timestamp: Date.now(),
+        resourceChanges: [],
+        targetChanges: [],
+        effectsApplied: [],
+        undone: false
+    };
+}
+
+/**
+ * Check whether a journal holds anything that can be undone
+ * @param {Object} undoState - Undo journal
+ * @returns {boolean} True if there are recorded changes
+ */
+export function hasUndoEntries(undoState) {
+    return !!undoState && !undoState.undone && (
+        undoState.resourceChanges.length > 0 ||
+        undoState.targetChanges.length > 0 ||
+        undoState.effectsApplied.length > 0
+    );
+}
+
+/**
+ * Add a resource spend (force points, ammo, etc.) to a journal
+ * @param {Object} undoState - Undo journal
+ * @param {Object} change - Change entry ({ actorUuid, resourceType, property, previousValue, changeAmount })
+ * @returns {Object} Undo journal
+ */
+export function addResourceChange(undoState, change) {
+    if (!change) return undoState;
+    undoState.resourceChanges.push({ ...change, timestamp: Date.now() });
+    return undoState;
+}
+
+/**
+ * Add a change made to a target (HP, etc.) to a journal
+ * @param {Object} undoState - Undo journal
+ * @param {Object} change - Change entry ({ targetUuid, property, previousValue, changeAmount })
+ * @returns {Object} Undo journal
+ */
+export function addTargetChange(undoState, change) {
+    if (!change) return undoState;
+    undoState.targetChanges.push({ ...change, timestamp: Date.now() });
+    return undoState;
+}
+
+/**
+ * Add an applied active effect to a journal
+ * @param {Object} undoState - Undo journal
+ * @param {Object} effect - Effect entry ({ effectUuid, targetUuid, name })
+ * @returns {Object} Undo journal
+ */
+export function addEffectApplied(undoState, effect) {
+    if (!effect) return undoState;
+    undoState.effectsApplied.push({ ...effect, timestamp: Date.now() });
+    return undoState;
+}
+
+/**
+ * Read the undo journal stored on a chat message
+ * @param {ChatMessage|string} messageOrId - Chat message or its ID
+ * @returns {Object|null} Undo journal or null if none is stored
+ */
+export function getUndoState(messageOrId) {
+    const message = typeof messageOrId === 'string' ? game.messages.get(messageOrId) : messageOrId;
+    const undoState = message?.getFlag(WORKFLOW_FLAG_SCOPE, UNDO_STATE_FLAG);
+    return undoState ? foundry.utils.deepClone(undoState) : null;
+}
+
+/**
+ * Build the update that adds entries to the undo journal of a chat message
+ * Callers can send it together with other changes of the message
+ * @param {ChatMessage} message - Chat message
+ * @param {Function} recorder - Receives the journal and adds entries to it
+ * @returns {Object} Updated journal and the message update data ({ undoState, update })
+ */
+export function buildRecordUpdate(message, recorder) {
+    const undoState = getUndoState(message) || createUndoState(message.getFlag(WORKFLOW_FLAG_SCOPE, 'workflowId'));
+
+    // New changes after an undo start a fresh journal
+    if (undoState.undone) {
+        Object.assign(undoState, createUndoState(undoState.workflowId));
+    }
+
+    recorder(undoState);
+    return {
+        undoState: undoState,
+        update: { [`flags.${WORKFLOW_FLAG_SCOPE}.${UNDO_STATE_FLAG}`]: undoState }
+    };
+}
+
+/**
+ * Add entries to the undo journal of a chat message
+ * @param {ChatMessage|string} messageOrId - Chat message or its ID
+ * @param {Function} recorder - Receives the journal and adds entries to it
+ * @returns {Promise<Object|null>} Updated journal or null on failure
+ */
+export async function recordOnMessage(messageOrId, recorder) {
+    try {
+        const message = typeof messageOrId === 'string' ? game.messages.get(messageOrId) : messageOrId;
+        if (!message) {
+            API.log('warning', `UndoJournal: Chat message not found: ${messageOrId}`);
+            return null;
+        }
+
+        const { undoState, update } = buildRecordUpdate(message, recorder);
+        await updateChatMessage(message, update);
+
+        if (logThisFile) API.log('debug', `UndoJournal: Recorded changes on message ${message.id}`, undoState);
+        return undoState;
+    } catch (error) {
+        API.log('error', 'UndoJournal: Failed to record changes:', error);
+        return null;
+    }
+}
+
+/**
+ * Record a hit point change on a chat message
+ * @param {ChatMessage|string} messageOrId - Chat message or its ID
+ * @param {Actor} actor - Actor whose hit points changed
+ * @param {Object} change - HP change from DamageApplicator ({ previous, updated })
+ * @param {string} hpPath - Data path of the actor's hit points
+ * @returns {Promise<Object|null>} Updated journal or null on failure
+ */
+export async function recordHitPointChange(messageOrId, actor, change, hpPath) {
+    return recordOnMessage(messageOrId, undoState => {
+        for (const key of ['value', 'temp']) {
+            const changeAmount = change.updated[key] - change.previous[key];
+            if (changeAmount === 0) continue;
+            addTargetChange(undoState, {
+                targetUuid: actor.uuid,
+                targetName: actor.name,
+                property: `${hpPath}.${key}`,
+                previousValue: change.previous[key],
+                changeAmount: changeAmount
+            });
+        }
+    });
+}
+
+/**
+ * Reverse every change recorded on a chat message, newest first
+ * Numeric values are restored by their change amount so unrelated later changes are kept
+ * Entries the workflow could not have recorded are rejected, see isRecordedChange
+ * @param {ChatMessage|string} messageOrId - Chat message or its ID
+ * @returns {Promise<Object>} Undo summary ({ success, reverted, failed })
+ */
+export async function undoMessageChanges(messageOrId) {
+    const message = typeof messageOrId === 'string' ? game.messages.get(messageOrId) : messageOrId;
+    const undoState = getUndoState(message);
+    const summary = { success: false, reverted: 0, failed: 0 };
+
+    if (!hasUndoEntries(undoState)) {
+        if (logThisFile) API.log('debug', 'UndoJournal: Nothing to undo');
+        return summary;
+    }
+
+    const workflowActors = getWorkflowActors(message);
+
+    // Effects are removed first, then value changes are reverted newest first
+    for (const effect of [...undoState.effectsApplied].reverse()) {
+        if (!isRecordedEffect(effect, workflowActors)) {
+            API.log('warning', `UndoJournal: Rejected effect entry ${effect.effectUuid}`);
+            summary.failed++;
+            continue;
+        }
+
+        try {
+            const document = fromUuidSync(effect.effectUuid);
+            if (document) {
+                await document.delete();
+            }
+            summary.reverted++;
+        } catch (error) {
+            API.log('error', `UndoJournal: Failed to remove effect ${effect.effectUuid}:`, error);
+            summary.failed++;
+        }
+    }
+
+    const valueChanges = [
+        ...undoState.resourceChanges.map(change => ({ ...change, uuid: change.actorUuid, isResource: true })),
+        ...undoState.targetChanges.map(change => ({ ...change, uuid: change.targetUuid, isResource: false }))
+    ].sort((a, b) => b.timestamp - a.timestamp);
+
+    for (const change of valueChanges) {
+        if (!isRecordedChange(change, workflowActors)) {
+            API.log('warning', `UndoJournal: Rejected change of ${change.property} on ${change.uuid}`);
+            summary.failed++;
+            continue;
+        }
+
+        try {
+            await revertValueChange(change);
+            summary.reverted++;
+        } catch (error) {
+            API.log('error', `UndoJournal: Failed to revert ${change.property} on ${change.uuid}:`, error);
+            summary.failed++;
+        }
+    }
+
+    undoState.undone = true;
+    undoState.undoneAt = Date.now();
+    undoState.undoneBy = game.user.id;
+    await message.setFlag(WORKFLOW_FLAG_SCOPE, UNDO_STATE_FLAG, undoState);
+
+    summary.success = summary.failed === 0;
+    if (logThisFile) API.log('debug', `UndoJournal: Undo finished for message ${message.id}`, summary);
+    return summary;
+}
+
+/**
+ * Get the actors a workflow changes
+ * The journal is stored next to the workflow state, which only the GM writes
+ * @param {ChatMessage} message - Workflow chat message
+ * @returns {Object} Workflow actor and target actor UUIDs ({ actorUuid, targetUuids })
+ */
+function getWorkflowActors(message) {
+    const dialogState = getWorkflowStateFromMessage(message)?.dialogState || {};
+    const actor = game.actors.get(dialogState.ownerID) || canvas.tokens.get(dialogState.ownerID)?.actor;
+    const targetUuids = (dialogState.targetIDs || []).map(target => canvas.tokens.get(target.tokenId)?.actor?.uuid).filter(Boolean);
+    return { actorUuid: actor?.uuid || null, targetUuids: targetUuids };
+}
+
+/**
+ * Check whether a value change is one the journal records
+ * Target changes are the hit points of the workflow's targets, resource changes the resource paths
+ * of the workflow actor and its items (ResourceManager.toUndoEntry) or reloaded ammunition
+ * @param {Object} change - Change entry with uuid, property and isResource
+ * @param {Object} workflowActors - Actors of the workflow from getWorkflowActors
+ * @returns {boolean} True if the change can be reverted
+ */
+function isRecordedChange(change, workflowActors) {
+    const document = fromUuidSync(change.uuid);
+    if (!document) return false;
+
+    if (!change.isResource) {
+        const hpPath = getDataPaths('actor', 'character').subpaths.hp;
+        return workflowActors.targetUuids.includes(document.uuid)
+            && [`${hpPath}.value`, `${hpPath}.temp`].includes(change.property);
+    }
+
+    const actor = document.documentName === 'Item' ? document.parent : document;
+    if (!actor || actor.uuid !== workflowActors.actorUuid) return false;
+
+    if (change.resourceType === 'ActorItem.ammunition') {
+        return document.documentName === 'Item' && change.property === getAmmunitionQuantityPath();
+    }
+
+    const [resourceCategory, resourceType] = String(change.resourceType).split('.');
+    return !!resourceType && change.property === new ResourceManager(document, resourceCategory, resourceType).getUndoProperty();
+}
+
+/**
+ * Check whether an applied effect entry is one the journal records
+ * Effects are applied to the workflow's targets, concentration to the workflow actor
+ * @param {Object} effect - Effect entry ({ effectUuid })
+ * @param {Object} workflowActors - Actors of the workflow from getWorkflowActors
+ * @returns {boolean} True if the effect can be removed
+ */
+function isRecordedEffect(effect, workflowActors) {
+    const document = fromUuidSync(effect.effectUuid);
+    // An effect that no longer exists has nothing left to remove
+    if (!document) return true;
+
+    const parentUuid = document.parent?.uuid;
+    return document.documentName === 'ActiveEffect'
+        && (workflowActors.targetUuids.includes(parentUuid) || parentUuid === workflowActors.actorUuid);
+}
+
+/**
+ * Revert a single recorded value change
+ * @param {Object} change - Change entry with uuid, property, previousValue and changeAmount
+ */
+async function revertValueChange(change) {
+    const document = fromUuidSync(change.uuid);
+    if (!document) {
+        throw new Error(`Document no longer available: ${change.uuid}`);
+    }
+
+    const currentValue = getProperty(document, change.property);
+    const revertedValue = typeof currentValue === 'number' && typeof change.changeAmount === 'number'
+        ? currentValue - change.changeAmount
+        : change.previousValue;
+
+    await document.update({ [change.property]: revertedValue });
+}
@@ -6,9 +6,17 @@
 
 export const WORKFLOW_CONFIG = {
     // Attack workflow - basic attack roll
+    // Shots are spent before the card is created, a blocked attack posts no card
     "attack": {
-        workflowActions: ["start", "attack", "complete"],
+        workflowActions: ["ammo", "start", "attack", "reaction", "complete"],
         actions: {
+            "ammo": {
+                name: "Spend Ammunition",
+                description: "Spend the attack's shots from the weapon's power cell or magazine",
+                validationProperties: [
+                    "ammoUsage"
+                ]
+            },
             "start": {
                 name: "Initialize Attack",
                 description: "Set up attack parameters and context",
@@ -27,6 +35,13 @@ export const WORKFLOW_CONFIG = {
                     //"hitStatus"
                 ]
             },
+            "reaction": {
+                name: "Target Reactions",
+                description: "Let hit targets react to the attack (e.g. raise their AC)",
+                validationProperties: [
+                    "reactions"
+                ]
+            },
             "complete": {
                 name: "Finalize Attack",
                 description: "Complete attack workflow and clean up state",
@@ -39,7 +54,7 @@ export const WORKFLOW_CONFIG = {
     },
 
     "damage": {
-        workflowActions: ["start", "damage", "complete"],
+        workflowActions: ["start", "damage", "reaction", "complete"],
         actions: {
             "start": {
                 name: "Initialize Damage",
@@ -59,6 +74,13 @@ export const WORKFLOW_CONFIG = {
                     "damageResult"
                 ]
             },
+            "reaction": {
+                name: "Target Reactions",
+                description: "Let damaged targets react to the damage (e.g. halve it)",
+                validationProperties: [
+                    "reactions"
+                ]
+            },
             "complete": {
                 name: "Finalize Damage",
                 description: "Complete damage workflow and clean up state",
@@ -72,8 +94,15 @@ export const WORKFLOW_CONFIG = {
 
     // Attack-Damage workflow - attack followed by damage
     "attack-damage": {
-        workflowActions: ["start", "attack", "damage", "complete"],
+        workflowActions: ["ammo", "start", "attack", "reaction", "pause", "damage", "reaction", "complete"],
         actions: {
+            "ammo": {
+                name: "Spend Ammunition",
+                description: "Spend the attack's shots from the weapon's power cell or magazine",
+                validationProperties: [
+                    "ammoUsage"
+                ]
+            },
             "start": {
                 name: "Initialize Attack-Damage",
                 description: "Set up attack and damage parameters",
@@ -93,6 +122,20 @@ export const WORKFLOW_CONFIG = {
                     "hitStatus"
                 ]
             },
+            "reaction": {
+                name: "Target Reactions",
+                description: "Let targets react to hits and damage (e.g. raise their AC or halve the damage)",
+                validationProperties: [
+                    "reactions"
+                ]
+            },
+            "pause": {
+                name: "Await Damage Roll",
+                description: "Post the attack card and wait for the damage roll to be requested",
+                validationProperties: [
+                    "attackResults"
+                ]
+            },
             "damage": {
                 name: "Calculate Damage",
                 description: "Calculate and apply damage if attack hit",
@@ -116,8 +159,15 @@ export const WORKFLOW_CONFIG = {
 
     // Attack-Save workflow - attack followed by saving throw
     "attack-save": {
-        workflowActions: ["start", "attack", "save", "complete"],
+        workflowActions: ["ammo", "start", "attack", "reaction", "save", "complete"],
         actions: {
+            "ammo": {
+                name: "Spend Ammunition",
+                description: "Spend the attack's shots from the weapon's power cell or magazine",
+                validationProperties: [
+                    "ammoUsage"
+                ]
+            },
             "start": {
                 name: "Initialize Attack-Save",
                 description: "Set up attack and save parameters",
@@ -137,6 +187,13 @@ export const WORKFLOW_CONFIG = {
                     "hitStatus"
                 ]
             },
+            "reaction": {
+                name: "Target Reactions",
+                description: "Let hit targets react to the attack (e.g. raise their AC)",
+                validationProperties: [
+                    "reactions"
+                ]
+            },
             "save": {
                 name: "Target Saving Throw",
                 description: "Target attempts saving throw against effect",
@@ -158,9 +215,59 @@ export const WORKFLOW_CONFIG = {
         }
     },
 
+    // Damage-Save workflow - damage followed by target saving throws
+    "damage-save": {
+        workflowActions: ["start", "damage", "reaction", "save", "complete"],
+        actions: {
+            "start": {
+                name: "Initialize Damage-Save",
+                description: "Set up damage and save parameters",
+                validationProperties: [
+                    "actorId",
+                    "itemId",
+                    "targetId",
+                    "damageType",
+                    "saveType"
+                ]
+            },
+            "damage": {
+                name: "Calculate Damage",
+                description: "Calculate base damage amount",
+                validationProperties: [
+                    "damageRoll",
+                    "damageResult"
+                ]
+            },
+            "reaction": {
+                name: "Target Reactions",
+                description: "Let damaged targets react to the damage (e.g. halve it)",
+                validationProperties: [
+                    "reactions"
+                ]
+            },
+            "save": {
+                name: "Target Saving Throw",
+                description: "Targets attempt saves to reduce damage",
+                validationProperties: [
+                    "saveRoll",
+                    "saveResult",
+                    "saveSuccess"
+                ]
+            },
+            "complete": {
+                name: "Finalize Damage-Save",
+                description: "Complete workflow and show damage with save results",
+                validationProperties: [
+                    "finalResult",
+                    "workflowComplete"
+                ]
+            }
+        }
+    },
+
     // Damage-Save-ApplyDamage workflow - damage, save, then apply
     "damage-save-applyDamage": {
-        workflowActions: ["start", "damage", "save", "applyDamage", "complete"],
+        workflowActions: ["start", "damage", "reaction", "save", "applyDamage", "complete"],
         actions: {
             "start": {
                 name: "Initialize Damage-Save",
@@ -182,6 +289,13 @@ export const WORKFLOW_CONFIG = {
                     "baseDamage"
                 ]
             },
+            "reaction": {
+                name: "Target Reactions",
+                description: "Let damaged targets react to the damage (e.g. halve it)",
+                validationProperties: [
+                    "reactions"
+                ]
+            },
             "save": {
                 name: "Target Saving Throw",
                 description: "Target attempts save to reduce damage",
@@ -210,6 +324,346 @@ export const WORKFLOW_CONFIG = {
                 ]
             }
         }
+    },
+
+    // Burst-Damage-Save workflow - burst fire at an area, the targets save instead of an attack roll
+    // The shots are spent before the card is created, the damage roll is requested from the card
+    "burst-damage-save": {
+        workflowActions: ["ammo", "start", "pause", "damage", "reaction", "save", "complete"],
+        actions: {
+            "ammo": {
+                name: "Spend Ammunition",
+                description: "Spend the burst's shots from the weapon's power cell or magazine",
+                validationProperties: [
+                    "ammoUsage"
+                ]
+            },
+            "start": {
+                name: "Initialize Burst",
+                description: "Set up the burst's damage and save parameters",
+                validationProperties: [
+                    "actorId",
+                    "itemId",
+                    "targetId",
+                    "saveType"
+                ]
+            },
+            "pause": {
+                name: "Await Damage Roll",
+                description: "Post the burst card and wait for the damage roll to be requested",
+                validationProperties: [
+                    "saveConfig"
+                ]
+            },
+            "damage": {
+                name: "Calculate Burst Damage",
+                description: "Roll the weapon's damage against every target in the area",
+                validationProperties: [
+                    "damageRoll",
+                    "damageResult"
+                ]
+            },
+            "reaction": {
+                name: "Target Reactions",
+                description: "Let damaged targets react to the damage (e.g. halve it)",
+                validationProperties: [
+                    "reactions"
+                ]
+            },
+            "save": {
+                name: "Target Saving Throw",
+                description: "Targets make a Dexterity save to avoid the damage",
+                validationProperties: [
+                    "saveRoll",
+                    "saveResult",
+                    "saveSuccess"
+                ]
+            },
+            "complete": {
+                name: "Finalize Burst",
+                description: "Complete workflow and show damage with save results",
+                validationProperties: [
+                    "finalResult",
+                    "workflowComplete"
+                ]
+            }
+        }
+    },
+
+    // Power workflow - utility power without rolls
+    // The power is cast before the card is created, a failed cast posts no card
+    "power": {
+        workflowActions: ["power", "start", "complete"],
+        actions: {
+            "power": {
+                name: "Cast Power",
+                description: "Validate the cast level and spend the caster's points",
+                validationProperties: [
+                    "powerCast"
+                ]
+            },
+            "start": {
+                name: "Initialize Power",
+                description: "Set up the power's chat card",
+                validationProperties: [
+                    "actorId",
+                    "itemId"
+                ]
+            },
+            "complete": {
+                name: "Finalize Power",
+                description: "Complete the power workflow and show its results",
+                validationProperties: [
+                    "finalResult",
+                    "workflowComplete"
+                ]
+            }
+        }
+    },
+
+    // Power-Attack workflow - power attack without damage
+    "power-attack": {
+        workflowActions: ["power", "start", "attack", "reaction", "complete"],
+        actions: {
+            "power": {
+                name: "Cast Power",
+                description: "Validate the cast level and spend the caster's points",
+                validationProperties: [
+                    "powerCast"
+                ]
+            },
+            "start": {
+                name: "Initialize Power Attack",
+                description: "Set up the power's chat card",
+                validationProperties: [
+                    "actorId",
+                    "itemId"
+                ]
+            },
+            "attack": {
+                name: "Execute Power Attack",
+                description: "Perform the power's attack roll and determine hit/miss",
+                validationProperties: [
+                    "attackRoll",
+                    "attackResult",
+                    "hitStatus"
+                ]
+            },
+            "reaction": {
+                name: "Target Reactions",
+                description: "Let hit targets react to the attack (e.g. raise their AC)",
+                validationProperties: [
+                    "reactions"
+                ]
+            },
+            "complete": {
+                name: "Finalize Power Attack",
+                description: "Complete the power workflow and show its results",
+                validationProperties: [
+                    "finalResult",
+                    "workflowComplete"
+                ]
+            }
+        }
+    },
+
+    // Power-Attack-Damage workflow - power attack followed by scaled damage
+    "power-attack-damage": {
+        workflowActions: ["power", "start", "attack", "reaction", "pause", "damage", "reaction", "complete"],
+        actions: {
+            "power": {
+                name: "Cast Power",
+                description: "Validate the cast level and spend the caster's points",
+                validationProperties: [
+                    "powerCast"
+                ]
+            },
+            "start": {
+                name: "Initialize Power Attack-Damage",
+                description: "Set up the power's chat card",
+                validationProperties: [
+                    "actorId",
+                    "itemId"
+                ]
+            },
+            "attack": {
+                name: "Execute Power Attack",
+                description: "Perform the power's attack roll and determine hit/miss",
+                validationProperties: [
+                    "attackRoll",
+                    "attackResult",
+                    "hitStatus"
+                ]
+            },
+            "reaction": {
+                name: "Target Reactions",
+                description: "Let targets react to hits and damage (e.g. raise their AC or halve the damage)",
+                validationProperties: [
+                    "reactions"
+                ]
+            },
+            "pause": {
+                name: "Await Damage Roll",
+                description: "Post the attack card and wait for the damage roll to be requested",
+                validationProperties: [
+                    "attackResults"
+                ]
+            },
+            "damage": {
+                name: "Calculate Power Damage",
+                description: "Roll the power's damage scaled to the cast level",
+                validationProperties: [
+                    "damageRoll",
+                    "damageResult"
+                ]
+            },
+            "complete": {
+                name: "Finalize Power Attack-Damage",
+                description: "Complete the power workflow and show its results",
+                validationProperties: [
+                    "finalResult",
+                    "workflowComplete"
+                ]
+            }
+        }
+    },
+
+    // Power-Damage workflow - power damage without attack or save
+    "power-damage": {
+        workflowActions: ["power", "start", "damage", "reaction", "complete"],
+        actions: {
+            "power": {
+                name: "Cast Power",
+                description: "Validate the cast level and spend the caster's points",
+                validationProperties: [
+                    "powerCast"
+                ]
+            },
+            "start": {
+                name: "Initialize Power Damage",
+                description: "Set up the power's chat card",
+                validationProperties: [
+                    "actorId",
+                    "itemId"
+                ]
+            },
+            "damage": {
+                name: "Calculate Power Damage",
+                description: "Roll the power's damage scaled to the cast level",
+                validationProperties: [
+                    "damageRoll",
+                    "damageResult"
+                ]
+            },
+            "reaction": {
+                name: "Target Reactions",
+                description: "Let damaged targets react to the damage (e.g. halve it)",
+                validationProperties: [
+                    "reactions"
+                ]
+            },
+            "complete": {
+                name: "Finalize Power Damage",
+                description: "Complete the power workflow and show its results",
+                validationProperties: [
+                    "finalResult",
+                    "workflowComplete"
+                ]
+            }
+        }
+    },
+
+    // Power-Damage-Save workflow - power damage followed by target saving throws
+    "power-damage-save": {
+        workflowActions: ["power", "start", "damage", "reaction", "save", "complete"],
+        actions: {
+            "power": {
+                name: "Cast Power",
+                description: "Validate the cast level and spend the caster's points",
+                validationProperties: [
+                    "powerCast"
+                ]
+            },
+            "start": {
+                name: "Initialize Power Damage-Save",
+                description: "Set up the power's chat card",
+                validationProperties: [
+                    "actorId",
+                    "itemId"
+                ]
+            },
+            "damage": {
+                name: "Calculate Power Damage",
+                description: "Roll the power's damage scaled to the cast level",
+                validationProperties: [
+                    "damageRoll",
+                    "damageResult"
+                ]
+            },
+            "reaction": {
+                name: "Target Reactions",
+                description: "Let damaged targets react to the damage (e.g. halve it)",
+                validationProperties: [
+                    "reactions"
+                ]
+            },
+            "save": {
+                name: "Target Saving Throw",
+                description: "Targets attempt saves against the power",
+                validationProperties: [
+                    "saveRoll",
+                    "saveResult",
+                    "saveSuccess"
+                ]
+            },
+            "complete": {
+                name: "Finalize Power Damage-Save",
+                description: "Complete the power workflow and show its results",
+                validationProperties: [
+                    "finalResult",
+                    "workflowComplete"
+                ]
+            }
+        }
+    },
+
+    // Power-Save workflow - power that only calls for saving throws
+    "power-save": {
+        workflowActions: ["power", "start", "save", "complete"],
+        actions: {
+            "power": {
+                name: "Cast Power",
+                description: "Validate the cast level and spend the caster's points",
+                validationProperties: [
+                    "powerCast"
+                ]
+            },
+            "start": {
+                name: "Initialize Power Save",
+                description: "Set up the power's chat card",
+                validationProperties: [
+                    "actorId",
+                    "itemId"
+                ]
+            },
+            "save": {
+                name: "Target Saving Throw",
+                description: "Targets attempt saves against the power",
+                validationProperties: [
+                    "saveRoll",
+                    "saveResult",
+                    "saveSuccess"
+                ]
+            },
+            "complete": {
+                name: "Finalize Power Save",
+                description: "Complete the power workflow and show its results",
+                validationProperties: [
+                    "finalResult",
+                    "workflowComplete"
+                ]
+            }
+        }
     }
 };
 
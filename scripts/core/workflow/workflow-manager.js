@@ -6,9 +6,15 @@
 
 import { API } from '../../api.js';
 import { getWorkflowConfig, getActionConfig, getActionValidationProperties } from './workflow-config.js';
+import { getWorkflowStateFromMessage, saveWorkflowStateToMessage } from './workflow-state.js';
+import { createUndoState } from './undo-journal.js';
+import { DiceRoller } from '../dice/index.js';
 
 const logThisFile = false;
 
+// Workflow IDs currently running on this client, prevents resuming the same workflow twice
+const activeWorkflows = new Set();
+
 /**
  * Workflow Manager Class
  * Manages the execution of different workflow types
@@ -42,55 +48,22 @@ export class WorkflowManager {
             if (logThisFile) API.log('debug', `WorkflowManager: Workflow Config:`, workflow);
 
             // Initialize workflow state
+            const workflowId = foundry.utils.randomID();
             let workflowState = {
+                workflowId: workflowId,
                 workflowType: workflowType,
                 dialogState: dialogState,
                 startTime: Date.now(),
                 currentAction: null,
                 completedActions: [],
                 errors: [],
-                results: {}
+                results: {},
+                // Changes to undo, moved onto the chat card when it is created
+                undoState: createUndoState(workflowId)
             };
 
-            // Loop through workflow actions
-            for (const actionName of workflow.workflowActions) {
-                try {
-                    if (logThisFile) API.log('debug', `WorkflowManager: Processing action: ${actionName}`);
-                    
-                    // Get action configuration
-                    const actionConfig = getActionConfig(workflowType, actionName);
-                    if (logThisFile) API.log('debug', `WorkflowManager: Action Config:`, actionConfig);
-                    
-                    // Update current action in state
-                    workflowState.currentAction = actionName;
-                    
-                    // Dynamically import and execute the action
-                    const actionModule = await import(`./actions/${actionName}-action.js`);
-                    const ActionClass = actionModule[`${actionName.charAt(0).toUpperCase() + actionName.slice(1)}Action`];
-                    
-                    if (!ActionClass) {
-                        throw new Error(`Action class not found: ${actionName.charAt(0).toUpperCase() + actionName.slice(1)}Action`);
-                    }
-                    
-                    // Create action instance and execute
-                    const actionInstance = new ActionClass();
-                    workflowState = await actionInstance.execute(workflowState);
-                    
-                    // Mark action as completed
-                    workflowState.completedActions.push(actionName);
-                    
-                    if (logThisFile) API.log('debug', `WorkflowManager: Action ${actionName} completed successfully`);
-                    
-                } catch (error) {
-                    API.log('error', `WorkflowManager: Failed to execute action ${actionName}:`, error);
-                    workflowState.errors.push({
-                        action: actionName,
-                        error: error.message,
-                        timestamp: Date.now()
-                    });
-                }
-            }
-            
+            workflowState = await this.runActions(workflow, workflowState, 0);
+
             // Prepare result response
             const result = {
                 success: workflowState.errors.length === 0,
@@ -98,6 +71,7 @@ export class WorkflowManager {
                 message: `WorkflowManager successfully executed ${workflowType} workflow`,
                 timestamp: Date.now(),
                 //dialogState: dialogState,
+                paused: !!workflowState.paused,
                 workflowState: workflowState,
                 completedActions: workflowState.completedActions,
                 errors: workflowState.errors
@@ -111,4 +85,378 @@ export class WorkflowManager {
             throw error;
         }
     }
+
+    /**
+     * Resume a workflow from the state stored on its chat message
+     * Continues at the stored resume index, the action after the last one that ran
+     * @param {string} messageId - ID of the chat message holding the workflow state
+     * @param {Object} [dialogStateUpdates={}] - Values merged into the stored dialog state
+     * @param {Object} [options={}] - Resume options
+     * @param {boolean} [options.force=false] - Resume even if the workflow was not paused (e.g. interrupted by a reload)
+     * @returns {Object} Workflow execution result
+     */
+    async resumeWorkflow(messageId, dialogStateUpdates = {}, options = {}) {
+        try {
+            let workflowState = this.loadWorkflowState(messageId);
+            if (!workflowState) {
+                throw new Error(`No workflow state stored on message: ${messageId}`);
+            }
+
+            const workflowType = workflowState.workflowType;
+            const workflow = getWorkflowConfig(workflowType);
+            if (!workflow) {
+                throw new Error(`Workflow configuration not found for type: ${workflowType}`);
+            }
+
+            if (!workflowState.paused && !options.force) {
+                API.log('warning', `WorkflowManager: Workflow ${workflowState.workflowId} on message ${messageId} is not paused`);
+                return {
+                    success: false,
+                    workflowType: workflowType,
+                    message: `WorkflowManager: ${workflowType} workflow is not waiting to be resumed`,
+                    timestamp: Date.now(),
+                    workflowState: workflowState,
+                    completedActions: workflowState.completedActions,
+                    errors: workflowState.errors
+                };
+            }
+
+            if (activeWorkflows.has(workflowState.workflowId)) {
+                throw new Error(`Workflow ${workflowState.workflowId} is already running`);
+            }
+
+            workflowState.dialogState = foundry.utils.mergeObject(workflowState.dialogState || {}, dialogStateUpdates, { inplace: false });
+            workflowState.paused = false;
+            workflowState.resumedAt = Date.now();
+
+            // Clear the paused flag on the message straight away so the card cannot resume twice
+            await saveWorkflowStateToMessage(messageId, workflowState);
+
+            // Names repeat (reaction) and failed actions are not completed, so the position is stored
+            const startIndex = workflowState.resumeIndex ?? 0;
+            if (startIndex >= workflow.workflowActions.length) {
+                API.log('info', `WorkflowManager: Workflow ${workflowState.workflowId} on message ${messageId} is already complete`);
+            } else {
+                if (logThisFile) API.log('debug', `WorkflowManager: Resuming ${workflowType} workflow at ${workflow.workflowActions[startIndex]}`);
+                workflowState = await this.runActions(workflow, workflowState, startIndex);
+            }
+
+            return {
+                success: workflowState.errors.length === 0,
+                workflowType: workflowType,
+                message: `WorkflowManager resumed ${workflowType} workflow`,
+                timestamp: Date.now(),
+                paused: !!workflowState.paused,
+                workflowState: workflowState,
+                completedActions: workflowState.completedActions,
+                errors: workflowState.errors
+            };
+
+        } catch (error) {
+            API.log('error', 'WorkflowManager: Failed to resume workflow:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Reroll an attack or damage roll of a workflow and update its chat card
+     * The superseded roll is kept in the state's roll history
+     * @param {string} messageId - ID of the chat message holding the workflow state
+     * @param {string} rollKey - Roll to reroll: attack.<index> or damage.<normalRoll|baseRoll|critRoll|brutalRoll|viciousRoll>,
+     * later rapid fire hits add their hit number (damage.normalRoll.2)
+     * @param {Object} [options={}] - Reroll options
+     * @param {number} [options.dieIndex] - Only reroll this die term of the roll
+     * @param {number} [options.resultIndex=0] - Result of the die term to reroll
+     * @returns {Object} Updated workflow state
+     */
+    async rerollWorkflowRoll(messageId, rollKey, options = {}) {
+        try {
+            const workflowState = this.loadWorkflowState(messageId);
+            if (!workflowState) {
+                throw new Error(`No workflow state stored on message: ${messageId}`);
+            }
+
+            const [rollGroup, rollName, hitKey] = rollKey.split('.');
+            const diceRoller = new DiceRoller();
+            const rerollSingleDie = Number.isInteger(options.dieIndex);
+            const rollHistory = workflowState.rollHistory || [];
+
+            if (rollGroup === 'attack') {
+                const rollIndex = Number(rollName);
+                const oldRoll = workflowState.attackRolls?.[rollIndex];
+                if (!oldRoll) {
+                    throw new Error(`Attack roll not found: ${rollKey}`);
+                }
+
+                workflowState.attackRolls[rollIndex] = rerollSingleDie
+                    ? await diceRoller.rerollDie(oldRoll, options.dieIndex, options.resultIndex ?? 0)
+                    : await diceRoller.rerollRoll(oldRoll);
+                rollHistory.push(this.createRollHistoryEntry(rollKey, oldRoll));
+
+                const AttackAction = await this.loadActionClass('attack');
+                await new AttackAction().recalculateResults(workflowState);
+            } else if (rollGroup === 'damage') {
+                // Later rapid fire hits keep their damage in extraHitDamageRolls
+                const hitNumber = Number(hitKey) || 1;
+                const hitRolls = hitNumber > 1 ? workflowState.extraHitDamageRolls?.[hitNumber - 2] : workflowState.damageRolls;
+                const oldRoll = hitRolls?.[rollName];
+                if (!oldRoll) {
+                    throw new Error(`Damage roll not found: ${rollKey}`);
+                }
+
+                let newRolls;
+                if (rerollSingleDie) {
+                    newRolls = { ...hitRolls, [rollName]: await diceRoller.rerollDie(oldRoll, options.dieIndex, options.resultIndex ?? 0) };
+                    rollHistory.push(this.createRollHistoryEntry(rollKey, oldRoll));
+                } else {
+                    // Critical damage is split over several rolls, so the whole damage of the hit is rolled again
+                    const formula = workflowState.damageDiceConfig?.formula;
+                    if (!formula) {
+                        throw new Error('No stored damage dice configuration to reroll');
+                    }
+                    for (const [name, roll] of Object.entries(hitRolls)) {
+                        const key = hitNumber > 1 ? `damage.${name}.${hitNumber}` : `damage.${name}`;
+                        if (roll) rollHistory.push(this.createRollHistoryEntry(key, roll));
+                    }
+                    newRolls = await diceRoller.createDamageRoll(formula, workflowState);
+                }
+
+                if (hitNumber > 1) {
+                    workflowState.extraHitDamageRolls[hitNumber - 2] = newRolls;
+                } else {
+                    workflowState.damageRolls = newRolls;
+                }
+            } else {
+                throw new Error(`Unknown roll key: ${rollKey}`);
+            }
+
+            // Damage depends on hits, so it is recalculated after any reroll
+            if (workflowState.damageRolls) {
+                const DamageAction = await this.loadActionClass('damage');
+                await new DamageAction().recalculateResults(workflowState);
+            }
+
+            workflowState.rollHistory = rollHistory;
+            await this.refreshWorkflowCard(workflowState, { saveState: true });
+
+            if (logThisFile) API.log('debug', `WorkflowManager: Rerolled ${rollKey} on message ${messageId}`, workflowState);
+            return workflowState;
+
+        } catch (error) {
+            API.log('error', 'WorkflowManager: Failed to reroll workflow roll:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add save results rolled from a card to its workflow and update the card
+     * A target saves once, results of targets that already have one are ignored
+     * @param {string} messageId - ID of the chat message holding the workflow state
+     * @param {Array} saveResults - Save results from SaveAction.rollSave
+     * @param {Object} saveConfig - Save configuration the saves were rolled against
+     * @returns {Object} Updated workflow state
+     */
+    async recordSaveResults(messageId, saveResults, saveConfig) {
+        return this.updateWorkflowState(messageId, workflowState => {
+            const recorded = workflowState.saveResults || [];
+            const savedTokenIds = recorded.map(result => result.tokenId);
+            workflowState.saveConfig = workflowState.saveConfig || saveConfig;
+            workflowState.saveResults = [
+                ...recorded,
+                ...saveResults.filter(result => !savedTokenIds.includes(result.tokenId))
+            ];
+        });
+    }
+
+    /**
+     * Change the workflow state stored on a chat message and re-render its card
+     * @param {string} messageId - ID of the chat message holding the workflow state
+     * @param {Function} updater - Receives the workflow state and changes it
+     * @returns {Object} Updated workflow state
+     */
+    async updateWorkflowState(messageId, updater) {
+        try {
+            const workflowState = this.loadWorkflowState(messageId);
+            if (!workflowState) {
+                throw new Error(`No workflow state stored on message: ${messageId}`);
+            }
+
+            await updater(workflowState);
+
+            await this.refreshWorkflowCard(workflowState, { saveState: true });
+
+            if (logThisFile) API.log('debug', `WorkflowManager: Updated workflow state on message ${messageId}`, workflowState);
+            return workflowState;
+
+        } catch (error) {
+            API.log('error', 'WorkflowManager: Failed to update workflow state:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Re-render the workflow's chat card from its state
+     * @param {Object} workflowState - Workflow state linked to a message
+     * @param {Object} [options={}] - Refresh options
+     * @param {boolean} [options.saveState=false] - Store the state on the message in the same update
+     */
+    async refreshWorkflowCard(workflowState, options = {}) {
+        const CompleteAction = await this.loadActionClass('complete');
+        const completeAction = new CompleteAction();
+        completeAction.state = workflowState;
+        await completeAction.refreshChatCard(workflowState.messageId, options);
+    }
+
+    /**
+     * Store the workflow state and re-render its card in one message update
+     * A card that cannot be rendered does not stop the workflow, the state is still saved
+     * @param {Object} workflowState - Workflow state linked to a message
+     */
+    async saveAndRefreshCard(workflowState) {
+        try {
+            await this.refreshWorkflowCard(workflowState, { saveState: true });
+        } catch (error) {
+            API.log('error', 'WorkflowManager: Failed to refresh workflow card:', error);
+            await saveWorkflowStateToMessage(workflowState.messageId, workflowState);
+        }
+    }
+
+    /**
+     * Create a roll history entry for a superseded roll
+     * @param {string} rollKey - Key of the roll
+     * @param {Roll} roll - Superseded roll
+     * @returns {Object} History entry
+     */
+    createRollHistoryEntry(rollKey, roll) {
+        return {
+            key: rollKey,
+            roll: roll,
+            userId: game.user.id,
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * Load the workflow state stored on a chat message
+     * @param {string} messageId - ID of the chat message
+     * @returns {Object|null} Rehydrated workflow state or null if none is stored
+     */
+    loadWorkflowState(messageId) {
+        return getWorkflowStateFromMessage(messageId);
+    }
+
+    /**
+     * Run workflow actions in order starting at the given index
+     * State is persisted to the workflow's chat message after each action once one exists
+     * @param {Object} workflow - Workflow configuration
+     * @param {Object} workflowState - Current workflow state
+     * @param {number} startIndex - Index of the first action to run
+     * @returns {Object} Updated workflow state
+     */
+    async runActions(workflow, workflowState, startIndex) {
+        activeWorkflows.add(workflowState.workflowId);
+
+        try {
+            workflowState = await this.runActionLoop(workflow, workflowState, startIndex);
+        } finally {
+            activeWorkflows.delete(workflowState.workflowId);
+        }
+
+        return workflowState;
+    }
+
+    /**
+     * Action loop used by runActions
+     * Stops early when an action pauses the workflow or a required action fails
+     * @param {Object} workflow - Workflow configuration
+     * @param {Object} workflowState - Current workflow state
+     * @param {number} startIndex - Index of the first action to run
+     * @returns {Object} Updated workflow state
+     */
+    async runActionLoop(workflow, workflowState, startIndex) {
+        const workflowType = workflowState.workflowType;
+
+        for (let actionIndex = startIndex; actionIndex < workflow.workflowActions.length; actionIndex++) {
+            const actionName = workflow.workflowActions[actionIndex];
+            let actionInstance = null;
+            let refreshCard = false;
+            try {
+                if (logThisFile) API.log('debug', `WorkflowManager: Processing action: ${actionName}`);
+
+                // Get action configuration
+                const actionConfig = getActionConfig(workflowType, actionName);
+                if (logThisFile) API.log('debug', `WorkflowManager: Action Config:`, actionConfig);
+
+                // Update current action in state
+                workflowState.currentAction = actionName;
+                workflowState.actionIndex = actionIndex;
+
+                // Dynamically import and execute the action
+                const ActionClass = await this.loadActionClass(actionName);
+
+                // Create action instance and execute
+                actionInstance = new ActionClass();
+                workflowState = await actionInstance.execute(workflowState);
+
+                // Mark action as completed
+                workflowState.completedActions.push(actionName);
+
+                // The action's results are shown on the workflow's card when the state is saved
+                refreshCard = !actionInstance.updatesCard;
+
+                if (logThisFile) API.log('debug', `WorkflowManager: Action ${actionName} completed successfully`);
+
+            } catch (error) {
+                API.log('error', `WorkflowManager: Failed to execute action ${actionName}:`, error);
+                workflowState.errors.push({
+                    action: actionName,
+                    error: error.message,
+                    timestamp: Date.now()
+                });
+
+                // Later actions depend on this one (e.g. a power that could not be cast)
+                if (actionInstance?.endsWorkflowOnError) {
+                    if (logThisFile) API.log('debug', `WorkflowManager: Workflow ended after failed ${actionName}`);
+                    workflowState.currentAction = null;
+                    return workflowState;
+                }
+            }
+
+            // Persist progress so the workflow can be resumed after a reload
+            workflowState.resumeIndex = actionIndex + 1;
+            if (workflowState.messageId) {
+                if (refreshCard) {
+                    await this.saveAndRefreshCard(workflowState);
+                } else {
+                    await saveWorkflowStateToMessage(workflowState.messageId, workflowState);
+                }
+            }
+
+            // A paused workflow continues later through resumeWorkflow
+            if (workflowState.paused) {
+                if (logThisFile) API.log('debug', `WorkflowManager: Workflow paused after ${actionName}`);
+                return workflowState;
+            }
+        }
+
+        workflowState.currentAction = null;
+        return workflowState;
+    }
+
+    /**
+     * Dynamically import an action class
+     * @param {string} actionName - Action name (e.g. 'attack' loads AttackAction)
+     * @returns {Function} Action class
+     */
+    async loadActionClass(actionName) {
+        const className = `${actionName.charAt(0).toUpperCase() + actionName.slice(1)}Action`;
+        const actionModule = await import(`./actions/${actionName}-action.js`);
+        const ActionClass = actionModule[className];
+
+        if (!ActionClass) {
+            throw new Error(`Action class not found: ${className}`);
+        }
+
+        return ActionClass;
+    }
 }
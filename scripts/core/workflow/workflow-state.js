@@ -0,0 +1,252 @@
+/**
+ * Workflow State Persistence
+ * Serializes workflow state into chat message flags and rehydrates it
+ * Location: scripts/core/workflow/workflow-state.js
+ */
+
+import { API } from '../../api.js';
+import { updateChatMessage } from './message-updater.js';
+
+const logThisFile = false;
+
+// Flag scope and keys used on chat messages
+export const WORKFLOW_FLAG_SCOPE = 'sw5e-qol';
+export const WORKFLOW_STATE_FLAG = 'workflowState';
+
+// Version of the serialized state shape, bump when the shape changes
+export const WORKFLOW_STATE_VERSION = 1;
+
+// Markers used to tag values that need special handling on rehydration
+const ROLL_MARKER = '__sw5eRoll';
+const DOCUMENT_MARKER = '__sw5eDocument';
+
+// Guard against runaway recursion on unexpected circular references
+const MAX_SERIALIZE_DEPTH = 20;
+
+/**
+ * Convert a workflow state object into plain data that can be stored in flags
+ * Rolls are stored with Roll#toJSON and documents (actors, tokens, items) by UUID
+ * @param {Object} state - Workflow state object
+ * @returns {Object} Serializable workflow state
+ */
+export function serializeWorkflowState(state) {
+    try {
+        const serialized = serializeWorkflowValue(state);
+        serialized.version = WORKFLOW_STATE_VERSION;
+        serialized.savedAt = Date.now();
+
+        if (logThisFile) API.log('debug', 'WorkflowState: Serialized state', serialized);
+        return serialized;
+    } catch (error) {
+        API.log('error', 'WorkflowState: Failed to serialize workflow state:', error);
+        throw error;
+    }
+}
+
+/**
+ * Rebuild a workflow state object from serialized flag data
+ * @param {Object} data - Serialized workflow state
+ * @returns {Object|null} Rehydrated workflow state or null if data is invalid
+ */
+export function deserializeWorkflowState(data) {
+    try {
+        if (!data || typeof data !== 'object' || !data.workflowType) {
+            API.log('warning', 'WorkflowState: No valid workflow state to deserialize');
+            return null;
+        }
+
+        if (data.version !== WORKFLOW_STATE_VERSION) {
+            API.log('warning', `WorkflowState: State version ${data.version} does not match ${WORKFLOW_STATE_VERSION}`);
+        }
+
+        const state = deserializeWorkflowValue(foundry.utils.deepClone(data));
+
+        // Guarantee the arrays the manager relies on
+        state.completedActions = state.completedActions || [];
+        state.errors = state.errors || [];
+        state.results = state.results || {};
+
+        if (logThisFile) API.log('debug', 'WorkflowState: Deserialized state', state);
+        return state;
+    } catch (error) {
+        API.log('error', 'WorkflowState: Failed to deserialize workflow state:', error);
+        return null;
+    }
+}
+
+/**
+ * Recursively convert a value into flag-safe data
+ * @param {*} value - Value to convert
+ * @param {number} [depth=0] - Current recursion depth
+ * @returns {*} Serializable value
+ */
+export function serializeWorkflowValue(value, depth = 0) {
+    if (depth > MAX_SERIALIZE_DEPTH) return null;
+    if (value === null || value === undefined) return value ?? null;
+
+    const valueType = typeof value;
+    if (valueType === 'function' || valueType === 'symbol') return undefined;
+    if (valueType !== 'object') return value;
+
+    // Rolls keep their full term data so they can be re-rendered and rerolled
+    if (value instanceof Roll) {
+        return { [ROLL_MARKER]: value.toJSON() };
+    }
+
+    // Documents are stored by reference, they are looked up again on rehydration
+    if (value instanceof foundry.abstract.Document) {
+        return { [DOCUMENT_MARKER]: value.uuid };
+    }
+
+    // Placeables (tokens on the canvas) are stored through their document
+    if (value.document instanceof foundry.abstract.Document) {
+        return { [DOCUMENT_MARKER]: value.document.uuid };
+    }
+
+    if (value instanceof Date) return value.toISOString();
+    if (value instanceof Set) return Array.from(value).map(entry => serializeWorkflowValue(entry, depth + 1));
+    if (value instanceof Map) return serializeWorkflowValue(Object.fromEntries(value), depth + 1);
+
+    if (Array.isArray(value)) {
+        return value.map(entry => {
+            const serializedEntry = serializeWorkflowValue(entry, depth + 1);
+            return serializedEntry === undefined ? null : serializedEntry;
+        });
+    }
+
+    const result = {};
+    for (const [key, entry] of Object.entries(value)) {
+        const serializedEntry = serializeWorkflowValue(entry, depth + 1);
+        if (serializedEntry !== undefined) {
+            result[key] = serializedEntry;
+        }
+    }
+    return result;
+}
+
+/**
+ * Recursively restore Rolls and documents from flag data
+ * @param {*} value - Serialized value
+ * @returns {*} Rehydrated value
+ */
+export function deserializeWorkflowValue(value) {
+    if (value === null || typeof value !== 'object') return value;
+
+    if (Array.isArray(value)) {
+        return value.map(entry => deserializeWorkflowValue(entry));
+    }
+
+    if (value[ROLL_MARKER]) {
+        try {
+            return Roll.fromData(value[ROLL_MARKER]);
+        } catch (error) {
+            API.log('warning', 'WorkflowState: Failed to rehydrate roll:', error);
+            return null;
+        }
+    }
+
+    if (value[DOCUMENT_MARKER]) {
+        const document = fromUuidSync(value[DOCUMENT_MARKER]);
+        if (!document) {
+            API.log('warning', `WorkflowState: Document no longer available: ${value[DOCUMENT_MARKER]}`);
+        }
+        return document ?? null;
+    }
+
+    for (const key of Object.keys(value)) {
+        value[key] = deserializeWorkflowValue(value[key]);
+    }
+    return value;
+}
+
+/**
+ * Read and rehydrate the workflow state stored on a chat message
+ * @param {ChatMessage|string} messageOrId - Chat message or its ID
+ * @returns {Object|null} Rehydrated workflow state or null if none is stored
+ */
+export function getWorkflowStateFromMessage(messageOrId) {
+    const message = typeof messageOrId === 'string' ? game.messages.get(messageOrId) : messageOrId;
+    if (!message) {
+        API.log('warning', `WorkflowState: Chat message not found: ${messageOrId}`);
+        return null;
+    }
+
+    const data = message.getFlag(WORKFLOW_FLAG_SCOPE, WORKFLOW_STATE_FLAG);
+    if (!data) {
+        if (logThisFile) API.log('debug', `WorkflowState: No workflow state on message ${message.id}`);
+        return null;
+    }
+
+    const state = deserializeWorkflowState(data);
+    if (state) {
+        state.messageId = message.id;
+    }
+    return state;
+}
+
+/**
+ * Build the update that replaces the workflow state stored on a chat message
+ * Keys of the stored state that the new state no longer has are deleted in the same update
+ * @param {ChatMessage} message - Chat message
+ * @param {Object} state - Workflow state object
+ * @returns {Object} Message update data
+ */
+export function buildWorkflowStateUpdate(message, state) {
+    const stored = message.getFlag(WORKFLOW_FLAG_SCOPE, WORKFLOW_STATE_FLAG);
+    return {
+        [`flags.${WORKFLOW_FLAG_SCOPE}.${WORKFLOW_STATE_FLAG}`]: buildReplaceData(stored, serializeWorkflowState(state))
+    };
+}
+
+/**
+ * Add deletion keys (-=key) for the keys of a stored object that new data does not have
+ * Arrays and other values replace the stored value as they are
+ * @param {*} stored - Stored value
+ * @param {*} data - New value
+ * @returns {*} New value with deletions for removed keys
+ */
+function buildReplaceData(stored, data) {
+    if (!isPlainObject(stored) || !isPlainObject(data)) return data;
+
+    const result = {};
+    for (const [key, value] of Object.entries(data)) {
+        result[key] = buildReplaceData(stored[key], value);
+    }
+    for (const key of Object.keys(stored)) {
+        if (!(key in data)) {
+            result[`-=${key}`] = null;
+        }
+    }
+    return result;
+}
+
+/**
+ * Check whether a value is a plain data object
+ * @param {*} value - Value
+ * @returns {boolean} True for objects that are not arrays
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Store the workflow state on a chat message
+ * @param {ChatMessage|string} messageOrId - Chat message or its ID
+ * @param {Object} state - Workflow state object
+ * @returns {Promise<ChatMessage|null>} Updated message or null on failure
+ */
+export async function saveWorkflowStateToMessage(messageOrId, state) {
+    try {
+        const message = typeof messageOrId === 'string' ? game.messages.get(messageOrId) : messageOrId;
+        if (!message) {
+            API.log('warning', `WorkflowState: Cannot save state, chat message not found: ${messageOrId}`);
+            return null;
+        }
+
+        // One update replaces the stored state, removed keys do not linger
+        return await updateChatMessage(message, buildWorkflowStateUpdate(message, state));
+    } catch (error) {
+        API.log('error', 'WorkflowState: Failed to save workflow state to message:', error);
+        return null;
+    }
+}
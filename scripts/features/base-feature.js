@@ -15,7 +15,18 @@ export class BaseFeature {
      * @param {Array} [config.affects=[]] - Array of what this feature affects
      * @param {string} [config.section='features'] - Section where this feature appears
      * @param {boolean} [config.isReactive=false] - Whether this feature is reactive
+     * @param {Array} [config.reactionTriggers=[]] - Workflow triggers a reactive feature responds to (attack-hit, damage-taken)
      * @param {boolean} [config.isActive=true] - Whether this feature is active
+     * @param {string|null} [config.damageAdvantageMode=null] - Damage advantage mode the feature uses when enabled (whole-roll, per-die), null keeps the world setting
+     * @param {Array} [config.minimumRolls=[]] - Minimum roll rules of the workflows the feature is enabled in ({ type: by-faces|fixed, value, faces, rollTypes })
+     * @param {Object} [config.prerequisites] - What an actor needs to have the feature
+     * @param {boolean} [config.prerequisites.requiresItem=true] - Whether the actor needs an item granting the feature
+     * @param {Array} [config.prerequisites.names=[]] - Other names of the granting feat (e.g. renamed or localized)
+     * @param {Array} [config.prerequisites.uuids=[]] - Compendium UUIDs the granting item was created from
+     * @param {Array} [config.prerequisites.classes=[]] - Classes with a minimum level ({ name, identifier, level }), any one is enough
+     * @param {Array} [config.prerequisites.archetypes=[]] - Archetype names or identifiers, any one is enough
+     * @param {Array} [config.prerequisites.effects=[]] - Active effect names or status IDs the actor needs, all of them
+     * @param {Array} [config.prerequisites.resources=[]] - Resources with a minimum value ({ type, min }), all of them
      * @param {Object} [config.injectionType] - Injection type per dialog type
      */
     constructor(config) {
@@ -29,7 +40,22 @@ export class BaseFeature {
         this.workflowSteps = config.workflowSteps || []; // New property for workflow step support
         this.section = config.section || "features";
         this.isReactive = config.isReactive || false;
+        this.reactionTriggers = config.reactionTriggers || [];
         this.isActive = config.isActive || true;
+        this.damageAdvantageMode = config.damageAdvantageMode || null;
+        this.minimumRolls = config.minimumRolls || [];
+
+        // Prerequisites evaluated by the feature manager
+        this.prerequisites = {
+            requiresItem: true,
+            names: [],
+            uuids: [],
+            classes: [],
+            archetypes: [],
+            effects: [],
+            resources: [],
+            ...(config.prerequisites || {})
+        };
         
         // Injection type per dialog type
         this.injectionType = config.injectionType || {
@@ -237,6 +263,53 @@ export class BaseFeature {
         return this.workflowSteps.includes(stepId);
     }
 
+    /**
+     * Check if a reactive feature responds to a workflow trigger
+     * @param {string} trigger - Reaction trigger (attack-hit, damage-taken)
+     * @returns {boolean} True if the target's owner is prompted with this feature
+     */
+    reactsTo(trigger) {
+        return this.isReactive && this.reactionTriggers.includes(trigger);
+    }
+
+    /**
+     * Reaction check - whether the target can react right now
+     * Override this method in reactive features (e.g. only against hits that deal damage)
+     * @param {Object} obj - Reaction context ({ actor, trigger, workflowState, tokenId })
+     * @returns {boolean} True if the feature is offered to the target's owner
+     */
+    canReact(obj) {
+        return true;
+    }
+
+    /**
+     * Reaction option shown in the target owner's prompt
+     * Override this method in reactive features for a more specific description
+     * @param {Object} obj - Reaction context ({ actor, trigger, workflowState, tokenId })
+     * @returns {Object} Option ({ featureId, name, description })
+     */
+    getReactionOption(obj) {
+        return {
+            featureId: this.id,
+            name: this.name,
+            description: this.description
+        };
+    }
+
+    /**
+     * Reaction response fed back into the workflow once the feature is chosen
+     * Override this method in reactive features
+     * @param {Object} obj - Reaction context ({ actor, trigger, workflowState, tokenId })
+     * @returns {Object} Response ({ acBonus, damageMultiplier, damageReduction })
+     */
+    applyReaction(obj) {
+        return {
+            acBonus: 0,
+            damageMultiplier: 1,
+            damageReduction: 0
+        };
+    }
+
     /**
      * Get injection type for dialog type
      */
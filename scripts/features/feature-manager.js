@@ -1,8 +1,17 @@
 import { API } from '../api.js';
+import { BaseFeature } from './base-feature.js';
 import { getDataPaths } from '../core/utils/reference/data-lookup.js';
+import { ResourceManager } from '../core/utils/resource-manager/resource-manager.js';
+import bundledPacks from './packs/manifest.json' assert { type: 'json' };
 
 const logThisFile = true;
 
+// Hook fired during init once the bundled packs are loaded, other modules and world scripts register their features from it
+export const REGISTER_FEATURES_HOOK = 'sw5e-qol.registerFeatures';
+
+// Item flag naming the feature an item grants (flags.sw5e-qol.featureId), matches renamed and localized items
+export const FEATURE_ITEM_FLAG = 'featureId';
+
 /**
  * Feature Manager
  * Simplified feature management with cached feature data
@@ -26,6 +35,9 @@ export class FeatureManager {
             if (logThisFile) API.log('info', 'Initializing Feature Manager...');
             await this.loadAndCacheFeatures();
             this.initialized = true;
+
+            // Features of other modules and world scripts, e.g. house rules
+            Hooks.callAll(REGISTER_FEATURES_HOOK, this);
             if (logThisFile) API.log('info', `Feature Manager initialized with ${this.featureCache.size} features`);
         } catch (error) {
             API.log('error', 'Failed to initialize Feature Manager', error);
@@ -33,26 +45,19 @@ export class FeatureManager {
     }
 
     /**
-     * Load and cache all feature data
+     * Load and cache the feature packs bundled with the module
+     * Packs are listed in packs/manifest.json, each file default-exports a BaseFeature subclass
      */
     async loadAndCacheFeatures() {
         try {
-            // Import all feature classes
-            const featureModules = [
-                await import('./packs/force-empowered-self.js'),
-                // Future features just add here:
-                // await import('./packs/action-surge.js'),
-                // await import('./packs/sneak-attack.js'),
-            ];
-
-            // Cache feature data
-            for (const module of featureModules) {
+            for (const pack of bundledPacks.packs || []) {
+                if (pack.enabled === false) continue;
+
                 try {
-                    const feature = new module.default();
-                    this.featureCache.set(feature.id, feature);
-                    if (logThisFile) API.log('debug', `Cached feature: ${feature.name} (${feature.id})`);
+                    const module = await import(`./packs/${pack.file}`);
+                    this.registerFeature(module.default);
                 } catch (error) {
-                    API.log('error', `Failed to cache feature from module:`, error);
+                    API.log('error', `Failed to load feature pack ${pack.file}:`, error);
                 }
             }
         } catch (error) {
@@ -60,6 +65,42 @@ export class FeatureManager {
         }
     }
 
+    /**
+     * Register a feature so dialogs and workflows can use it
+     * A feature with the same ID replaces the registered one
+     * @param {Function|BaseFeature} feature - BaseFeature subclass or instance
+     * @returns {BaseFeature|null} Registered feature or null if it is not a valid feature
+     */
+    registerFeature(feature) {
+        try {
+            const instance = typeof feature === 'function' ? new feature() : feature;
+            if (!(instance instanceof BaseFeature) || !instance.id) {
+                API.log('error', 'Cannot register feature, it must be a BaseFeature with an id:', feature);
+                return null;
+            }
+
+            if (this.featureCache.has(instance.id)) {
+                API.log('warning', `Feature ${instance.id} is already registered, replacing it`);
+            }
+
+            this.featureCache.set(instance.id, instance);
+            if (logThisFile) API.log('debug', `Cached feature: ${instance.name} (${instance.id})`);
+            return instance;
+        } catch (error) {
+            API.log('error', 'Failed to register feature:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Remove a registered feature
+     * @param {string} featureId - The feature ID
+     * @returns {boolean} True if the feature was registered
+     */
+    unregisterFeature(featureId) {
+        return this.featureCache.delete(featureId);
+    }
+
     /**
      * Get actor from tokenID using data lookup utility
      * @param {string} tokenId - The token ID
@@ -136,65 +177,236 @@ export class FeatureManager {
 
     /**
      * Check if feature is available to actor
+     * The actor needs an item granting the feature (unless the feature does not require one)
+     * and must meet every prerequisite the feature declares
      * @param {Object} actor - The actor object
      * @param {string} featureId - The feature ID
      * @returns {boolean} True if feature is available
      */
     isFeatureAvailable(actor, featureId) {
         try {
-            // Get the feature from cache to get its name
+            // Get the feature from cache to get its prerequisites
             const feature = this.featureCache.get(featureId);
             if (!feature) {
                 if (logThisFile) API.log('debug', `Feature ${featureId} not found in cache`);
                 return false;
             }
-            
-            const featureName = feature.name;
-            
-            // Check feats - exact name match
-            if (actor.itemTypes?.feat && Array.isArray(actor.itemTypes.feat)) {
-                const hasFeat = actor.itemTypes.feat.some(feat => 
-                    feat.name === featureName
-                );
-                if (hasFeat) {
-                    if (logThisFile) API.log('debug', `Feature ${featureId} found in feats for actor ${actor.name}`);
-                    return true;
-                } else {
-                    if (logThisFile) API.log('debug', `Feature ${featureId} not found in feats for actor ${actor.name}`);
-                }
+            if (!actor) return false;
+
+            if (feature.prerequisites.requiresItem !== false && !this.hasFeatureItem(actor, feature)) {
+                if (logThisFile) API.log('debug', `Feature ${featureId} not granted by any item of actor ${actor.name}`);
+                return false;
             }
 
-            // Check equipment properties
-            if (actor.itemTypes?.equipment && Array.isArray(actor.itemTypes.equipment)) {
-                const hasEquipment = actor.itemTypes.equipment.some(item => 
-                    item.system?.properties && 
-                    item.system.properties[featureId] === true
-                );
-                if (hasEquipment) {
-                    if (logThisFile) API.log('debug', `Feature ${featureId} found in equipment for actor ${actor.name}`);
-                    return true;
-                }
+            const unmet = this.getUnmetPrerequisites(actor, feature);
+            if (unmet.length > 0) {
+                if (logThisFile) API.log('debug', `Feature ${featureId} prerequisites not met for actor ${actor.name}:`, unmet);
+                return false;
             }
 
-            return false;
+            return true;
         } catch (error) {
             API.log('error', `Error checking feature availability for ${featureId}:`, error);
             return false;
         }
     }
 
+    /**
+     * Check if one of the actor's items grants a feature
+     * Items are matched by the module's feature flag, their compendium source, the feat's name
+     * or one of its other names, or an equipment property keyed by the feature ID
+     * @param {Object} actor - The actor object
+     * @param {Object} feature - The feature
+     * @returns {boolean} True if an item grants the feature
+     */
+    hasFeatureItem(actor, feature) {
+        const items = actor.items?.contents || [];
+        const uuids = feature.prerequisites.uuids;
+        const names = [feature.name, ...feature.prerequisites.names].map(name => this.normalizeName(name));
+
+        return items.some(item => {
+            // Flagged items match whatever they are called
+            if (item.getFlag?.('sw5e-qol', FEATURE_ITEM_FLAG) === feature.id) return true;
+
+            const sourceId = item.flags?.core?.sourceId;
+            if (sourceId && uuids.includes(sourceId)) return true;
+
+            if (item.type === 'feat' && names.includes(this.normalizeName(item.name))) return true;
+
+            return item.type === 'equipment' && item.system?.properties?.[feature.id] === true;
+        });
+    }
+
+    /**
+     * Get the prerequisites of a feature the actor does not meet
+     * @param {Object} actor - The actor object
+     * @param {Object} feature - The feature
+     * @returns {Array} Unmet prerequisites (class, archetype, effect, resource)
+     */
+    getUnmetPrerequisites(actor, feature) {
+        const { classes, archetypes, effects, resources } = feature.prerequisites;
+        const unmet = [];
+
+        if (classes.length > 0 && !classes.some(requirement => this.meetsClassPrerequisite(actor, requirement))) {
+            unmet.push('class');
+        }
+        if (archetypes.length > 0 && !archetypes.some(archetype => this.hasArchetype(actor, archetype))) {
+            unmet.push('archetype');
+        }
+        if (!effects.every(effect => this.hasActiveEffect(actor, effect))) {
+            unmet.push('effect');
+        }
+        if (!resources.every(requirement => this.hasResource(actor, requirement))) {
+            unmet.push('resource');
+        }
+
+        return unmet;
+    }
+
+    /**
+     * Check if the actor has levels in a class
+     * @param {Object} actor - The actor object
+     * @param {Object} requirement - Class requirement ({ name, identifier, level })
+     * @returns {boolean} True if the actor has at least the required levels in the class
+     */
+    meetsClassPrerequisite(actor, requirement) {
+        const pathConfig = getDataPaths('actor', 'class');
+        const actorClass = this.getActorPathItems(actor, pathConfig).find(cls =>
+            (requirement.identifier && this.getItemPathValue(cls, pathConfig, 'identifier') === requirement.identifier)
+            || (requirement.name && this.normalizeName(this.getItemPathValue(cls, pathConfig, 'name')) === this.normalizeName(requirement.name))
+        );
+        if (!actorClass) return false;
+
+        return (Number(this.getItemPathValue(actorClass, pathConfig, 'levels')) || 0) >= (Number(requirement.level) || 1);
+    }
+
+    /**
+     * Check if the actor has an archetype
+     * @param {Object} actor - The actor object
+     * @param {string} archetype - Archetype name or identifier
+     * @returns {boolean} True if the actor has the archetype
+     */
+    hasArchetype(actor, archetype) {
+        const pathConfig = getDataPaths('actor', 'archetype');
+        return this.getActorPathItems(actor, pathConfig).some(item =>
+            this.getItemPathValue(item, pathConfig, 'identifier') === archetype
+            || this.normalizeName(this.getItemPathValue(item, pathConfig, 'name')) === this.normalizeName(archetype)
+        );
+    }
+
+    /**
+     * Check if an active effect is on the actor
+     * @param {Object} actor - The actor object
+     * @param {string} effect - Effect name or status ID
+     * @returns {boolean} True if an enabled effect has the name or status
+     */
+    hasActiveEffect(actor, effect) {
+        return (actor.effects?.contents || []).some(activeEffect =>
+            !activeEffect.disabled && !activeEffect.isSuppressed
+            && (activeEffect.statuses?.has(effect) || this.normalizeName(activeEffect.name) === this.normalizeName(effect))
+        );
+    }
+
+    /**
+     * Check if the actor has enough of a resource left
+     * @param {Object} actor - The actor object
+     * @param {Object} requirement - Resource requirement ({ type, min }), type is a resource in data-paths.json
+     * @returns {boolean} True if the resource's value is at least the minimum
+     */
+    hasResource(actor, requirement) {
+        const value = Number(new ResourceManager(actor, 'resource', requirement.type).getCurrentValue('value')) || 0;
+        return value >= (requirement.min ?? 1);
+    }
+
+    /**
+     * Get the actor's items at a data path (e.g. its classes)
+     * @param {Object} actor - The actor object
+     * @param {Object} pathConfig - Data path configuration of the items
+     * @returns {Array} Items, empty if the path does not resolve
+     */
+    getActorPathItems(actor, pathConfig) {
+        if (!pathConfig) return [];
+        const items = getProperty(actor, pathConfig.basePath.replace(/^\{Actor\}\./, ''));
+        return Array.isArray(items) ? items : [];
+    }
+
+    /**
+     * Get a value of an item in a data path array
+     * @param {Object} item - The item
+     * @param {Object} pathConfig - Data path configuration of the items
+     * @param {string} subpath - Subpath name
+     * @returns {*} Value or undefined if the subpath does not exist
+     */
+    getItemPathValue(item, pathConfig, subpath) {
+        const path = pathConfig.subpaths?.[subpath];
+        return path ? getProperty(item, path.replace(/^\[\]\.?/, '')) : undefined;
+    }
+
+    /**
+     * Normalize a name for matching, case and surrounding spaces are ignored
+     * @param {string} name - Name to normalize
+     * @returns {string} Normalized name
+     */
+    normalizeName(name) {
+        return String(name ?? '').trim().toLowerCase();
+    }
+
     /**
      * Get all reactive features
+     * @param {string} [trigger=null] - Only features that respond to this workflow trigger
      * @returns {Array} Array of reactive features
      */
-    getReactiveFeatures() {
+    getReactiveFeatures(trigger = null) {
         if (!this.initialized) {
             if (logThisFile) API.log('warning', 'Feature Manager not initialized');
             return [];
         }
 
         return Array.from(this.featureCache.values())
-            .filter(feature => feature.isReactive);
+            .filter(feature => feature.isReactive && (!trigger || feature.reactsTo(trigger)));
+    }
+
+    /**
+     * Get the reactive features an actor can use against a workflow trigger
+     * @param {Object} actor - The reacting actor
+     * @param {string} trigger - Workflow trigger (attack-hit, damage-taken)
+     * @param {Object} context - Reaction context passed to the features ({ workflowState, tokenId })
+     * @returns {Array} Array of eligible reactive features
+     */
+    getEligibleReactions(actor, trigger, context = {}) {
+        if (!actor) return [];
+
+        return this.getReactiveFeatures(trigger).filter(feature => {
+            try {
+                return this.isFeatureAvailable(actor, feature.id)
+                    && feature.canReact({ ...context, actor: actor, trigger: trigger });
+            } catch (error) {
+                API.log('error', `Error checking reaction ${feature.id} for actor ${actor.name}:`, error);
+                return false;
+            }
+        });
+    }
+
+    /**
+     * Get the damage advantage mode chosen by enabled features
+     * @param {Array} featureIds - IDs of the features enabled in the workflow
+     * @returns {string|null} Mode of the first feature that chooses one, null if none does
+     */
+    getDamageAdvantageMode(featureIds = []) {
+        for (const featureId of featureIds) {
+            const mode = this.featureCache.get(featureId)?.damageAdvantageMode;
+            if (mode) return mode;
+        }
+        return null;
+    }
+
+    /**
+     * Get the minimum roll rules of enabled features
+     * @param {Array} featureIds - IDs of the features enabled in the workflow
+     * @returns {Array} Minimum roll rules of all the features
+     */
+    getMinimumRolls(featureIds = []) {
+        return featureIds.flatMap(featureId => this.featureCache.get(featureId)?.minimumRolls || []);
     }
 
     /**
@@ -1,4 +1,4 @@
 import { BaseFeature } from './base-feature.js';
-import { FeatureManager, featureManager } from './feature-manager.js';
+import { FeatureManager, featureManager, REGISTER_FEATURES_HOOK } from './feature-manager.js';
 
-export { BaseFeature, FeatureManager, featureManager };
+export { BaseFeature, FeatureManager, featureManager, REGISTER_FEATURES_HOOK };
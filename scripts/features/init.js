@@ -2,16 +2,17 @@ import { featureManager } from './feature-manager.js';
 import { API } from '../api.js';
 
 /**
- * Initialize the feature system using Foundry hooks
+ * Initialize the feature system
+ * Called from the module's init hook once the settings are registered, so the registration hook fires during init
  */
-Hooks.once('ready', async () => {
+export async function initFeatureSystem() {
     try {
         await featureManager.init();
         API.log('info', 'SW5E QoL: Feature system initialized');
     } catch (error) {
         API.log('error', 'SW5E QoL: Feature system initialization failed', error);
     }
-});
+}
 
 /**
  * Clear feature cache when actors are updated
@@ -14,10 +14,24 @@ export default class TemplateFeature extends BaseFeature {
             section: "features",
             isReactive: false,
             isActive: true,
+            // Optional, damage advantage of workflows the feature is enabled in: "whole-roll" or "per-die"
+            damageAdvantageMode: null,
+            // Optional, dice results of attack and damage rolls below a minimum count as the minimum, e.g.
+            // [{ type: "fixed", value: 2, faces: [6], rollTypes: ["damage"] }], { type: "by-faces" } or { type: "d20", value: 10, rollTypes: ["attack"] }
+            minimumRolls: [],
             injectionType: {
                 "attack": "simple",
                 "damage": "html", 
                 "save": "simple"
+            },
+            // Optional, every listed prerequisite is checked by the feature manager
+            prerequisites: {
+                names: ["Template Feat"],
+                uuids: ["Compendium.sw5e.classfeatures.Item.templateFeatureId"],
+                classes: [{ name: "Consular", identifier: "consular", level: 3 }],
+                archetypes: ["template-archetype"],
+                effects: ["Template Stance"],
+                resources: [{ type: "forcePoints", min: 1 }]
             }
         });
     }
@@ -19,6 +19,11 @@ export default class ForceEmpoweredSelfFeature extends BaseFeature {
             isActive: true,
             injectionType: {
                 "damage": "html"
+            },
+            // The kinetic die scales with Sentinel levels and each use costs a force point
+            prerequisites: {
+                classes: [{ name: "Sentinel", identifier: "sentinel", level: 1 }],
+                resources: [{ type: "forcePoints", min: 1 }]
             }
         });
         
@@ -0,0 +1,50 @@
+import { BaseFeature } from '../base-feature.js';
+import { API } from '../../api.js';
+
+/**
+ * Uncanny Dodge Feature Pack
+ * A reactive feature that halves the damage of an attack that hit the actor
+ */
+export default class UncannyDodgeFeature extends BaseFeature {
+    constructor() {
+        super({
+            id: "uncanny-dodge",
+            name: "Uncanny Dodge",
+            description: "Use your reaction to halve the damage of an attack that hits you",
+            affects: [],
+            workflowSteps: [],
+            section: "features",
+            isReactive: true,
+            reactionTriggers: ["damage-taken"],
+            isActive: true
+        });
+
+        this.damageMultiplier = 0.5;
+    }
+
+    /**
+     * Reaction check - only damage from an attack that hit the actor can be dodged
+     */
+    canReact(obj) {
+        const { workflowState, tokenId } = obj;
+
+        try {
+            const attackResults = (workflowState?.attackResults || []).filter(result => result.tokenId === tokenId);
+            return attackResults.some(result => result.success);
+        } catch (error) {
+            API.log('error', `Reaction check error for feature ${this.name}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Reaction response - the attack's damage is halved
+     */
+    applyReaction(obj) {
+        return {
+            acBonus: 0,
+            damageMultiplier: this.damageMultiplier,
+            damageReduction: 0
+        };
+    }
+}
@@ -5,3 +5,6 @@
 
 // Export features
 export * from './features/index.js';
+
+// Export item use interception
+export { ItemUseInterceptor, itemUseInterceptor, SYSTEM_HOOKS } from './item-use-interceptor.js';
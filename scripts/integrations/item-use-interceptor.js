@@ -0,0 +1,135 @@
+/**
+ * Item Use Interceptor
+ * Reroutes SW5E item/power usage and attack/damage rolls into the QoL dialogs (opt-in)
+ * Location: scripts/integrations/item-use-interceptor.js
+ */
+
+import { API } from '../api.js';
+import { GenericRollHandler } from '../ui/dialogs/generic-roll-handler.js';
+
+const logThisFile = false;
+
+// SW5E system hooks that can cancel the system's own handling by returning false
+export const SYSTEM_HOOKS = {
+    preUseItem: 'sw5e.preUseItem',
+    preRollAttack: 'sw5e.preRollAttack',
+    preRollDamage: 'sw5e.preRollDamage'
+};
+
+// Setting that enables interception for each item type
+const ITEM_TYPE_SETTINGS = {
+    weapon: 'intercept-weapons',
+    power: 'intercept-powers',
+    feat: 'intercept-features',
+    consumable: 'intercept-features'
+};
+
+/**
+ * Item Use Interceptor Class
+ * Hooks the system's item use paths and opens the QoL attack/damage dialog instead
+ */
+export class ItemUseInterceptor {
+    constructor() {
+        if (logThisFile) API.log('debug', 'ItemUseInterceptor: Constructor called');
+        this.hookIds = [];
+    }
+
+    /**
+     * Register the system hooks
+     */
+    register() {
+        if (this.hookIds.length > 0) return;
+
+        this.hookIds.push(['preUseItem', Hooks.on(SYSTEM_HOOKS.preUseItem, item => this.onItemUse(item, null))]);
+        this.hookIds.push(['preRollAttack', Hooks.on(SYSTEM_HOOKS.preRollAttack, item => this.onItemUse(item, 'attack'))]);
+        this.hookIds.push(['preRollDamage', Hooks.on(SYSTEM_HOOKS.preRollDamage, item => this.onItemUse(item, 'damage'))]);
+
+        if (logThisFile) API.log('debug', 'ItemUseInterceptor: Hooks registered');
+    }
+
+    /**
+     * Remove the system hooks
+     */
+    unregister() {
+        for (const [hookName, hookId] of this.hookIds) {
+            Hooks.off(SYSTEM_HOOKS[hookName], hookId);
+        }
+        this.hookIds = [];
+    }
+
+    /**
+     * Handle a system item use or roll
+     * Returning false cancels the system's handling
+     * @param {Item} item - Item being used
+     * @param {string|null} dialogType - Dialog to open, null to pick from the item
+     * @returns {boolean|void} False when the use was rerouted
+     */
+    onItemUse(item, dialogType) {
+        try {
+            if (!this.shouldIntercept(item)) return;
+
+            const type = dialogType || this.getDialogType(item);
+            if (!type) return;
+
+            // Hooks are synchronous, the dialog opens after the system call is cancelled
+            this.openDialog(item, type);
+            return false;
+        } catch (error) {
+            API.log('error', 'ItemUseInterceptor: Failed to intercept item use:', error);
+        }
+    }
+
+    /**
+     * Check whether the item's use should be rerouted
+     * @param {Item} item - Item being used
+     * @returns {boolean} True if the QoL workflow should handle the item
+     */
+    shouldIntercept(item) {
+        if (!item?.actor || !API.getSetting('intercept-item-use', false)) return false;
+
+        const typeSetting = ITEM_TYPE_SETTINGS[item.type];
+        if (!typeSetting || !API.getSetting(typeSetting, false)) return false;
+
+        // Holding the bypass key keeps the system roll
+        const bypassKey = API.getSetting('intercept-bypass-key', 'Alt');
+        if (game.keyboard?.isModifierActive(bypassKey)) {
+            if (logThisFile) API.log('debug', `ItemUseInterceptor: Bypassed for ${item.name}`);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Pick the dialog for an item
+     * @param {Item} item - Item being used
+     * @returns {string|null} Dialog type or null if the workflow does not cover the item
+     */
+    getDialogType(item) {
+        if (item.type === 'power') return 'power';
+        if (item.hasAttack) return 'attack';
+        if (item.hasDamage) return 'damage';
+        return null;
+    }
+
+    /**
+     * Open the QoL dialog for the item
+     * @param {Item} item - Item being used
+     * @param {string} dialogType - Dialog type
+     */
+    async openDialog(item, dialogType) {
+        try {
+            const actor = item.actor;
+            const ownerID = actor.token?.object?.id || actor.getActiveTokens()[0]?.id || actor.id;
+
+            if (logThisFile) API.log('debug', `ItemUseInterceptor: Opening ${dialogType} dialog for ${item.name}`);
+
+            const rollHandler = new GenericRollHandler();
+            await rollHandler.openDialog(ownerID, dialogType, { itemID: item.id });
+        } catch (error) {
+            API.log('error', 'ItemUseInterceptor: Failed to open dialog:', error);
+        }
+    }
+}
+
+export const itemUseInterceptor = new ItemUseInterceptor();
@@ -6,7 +6,8 @@
 console.log('SW5E QoL Module: main.js is loading...');
 
 // Don't import anything during the import phase - wait for FoundryVTT to be ready
-let API, GenericRollHandler, GenericRollRenderer, GenericInputHandler, themeManager, CardHandler, CardRenderer, WorkflowManager, featureManager, DiceRoller;
+let API, GenericRollHandler, GenericRollRenderer, GenericInputHandler, themeManager, CardHandler, CardRenderer, WorkflowManager, featureManager, BaseFeature, DiceRoller, initFeatureSystem;
+let cardHandler;
 
 /**
  * Initialize the module
@@ -96,15 +97,21 @@ Hooks.once('init', async function() {
             console.error('SW5E QoL Module: Failed to import DiceRoller', error);
         }
         
-        // Import feature system AFTER workflow (since it might depend on it)
+        // Feature registry, other modules and world scripts register their features with it
         try {
-            console.log('SW5E QoL Module: Feature system import starting...');
-            // Don't await the feature system if it's doing async initialization
-            import('./features/init.js').then(() => {
-                console.log('SW5E QoL Module: Feature system imported successfully');
-            }).catch(error => {
-                console.error('SW5E QoL Module: Failed to import feature system', error);
-            });
+            const featuresModule = await import('./features/index.js');
+            featureManager = featuresModule.featureManager;
+            BaseFeature = featuresModule.BaseFeature;
+            console.log('SW5E QoL Module: Feature registry imported successfully');
+        } catch (error) {
+            console.error('SW5E QoL Module: Failed to import feature registry', error);
+        }
+        
+        // Import feature system AFTER workflow (since it might depend on it), it starts once the settings are registered
+        try {
+            const featureSystemModule = await import('./features/init.js');
+            initFeatureSystem = featureSystemModule.initFeatureSystem;
+            console.log('SW5E QoL Module: Feature system imported successfully');
         } catch (error) {
             console.error('SW5E QoL Module: Failed to import feature system', error);
         }
@@ -122,6 +129,17 @@ Hooks.once('init', async function() {
             themeManager.init();
             console.log('SW5E QoL Module: Theme manager initialized');
         }
+
+        // Load the feature packs and fire the registration hook (after settings are registered)
+        if (initFeatureSystem) {
+            await initFeatureSystem();
+        }
+        
+        // Create the card handler so chat card buttons get their listeners
+        if (CardHandler) {
+            cardHandler = new CardHandler();
+            console.log('SW5E QoL Module: Card handler initialized');
+        }
         
         // Register module with FoundryVTT
         const module = game.modules.get('sw5e-qol');
@@ -133,10 +151,16 @@ Hooks.once('init', async function() {
                 ...(GenericInputHandler && { GenericInputHandler }),
                 ...(themeManager && { themeManager }),
                 ...(CardHandler && { CardHandler }),
+                ...(cardHandler && { cardHandler }),
                 ...(CardRenderer && { CardRenderer }),
                 ...(WorkflowManager && { WorkflowManager }),
                 ...(DiceRoller && { DiceRoller }),
                 
+                // Feature registration, e.g. game.modules.get('sw5e-qol').api.registerFeature(MyFeature)
+                ...(featureManager && { featureManager }),
+                ...(BaseFeature && { BaseFeature }),
+                ...(featureManager && { registerFeature: feature => featureManager.registerFeature(feature) }),
+                
                 // Utility functions (only if imported successfully)
                 ...(API && { API }),
                 
@@ -151,6 +175,7 @@ Hooks.once('init', async function() {
                         CardHandler: !!CardHandler,
                         CardRenderer: !!CardRenderer,
                         WorkflowManager: !!WorkflowManager,
+                        featureManager: !!featureManager,
                         DiceRoller: !!DiceRoller
                     }
                 }
@@ -173,6 +198,33 @@ Hooks.once('ready', async function() {
     try {
         console.log('SW5E QoL Module: Ready!');
         
+        // Let the GM perform operations for players who lack permission (cards, damage, resources)
+        try {
+            const socketModule = await import('./core/socket/socket-relay.js');
+            socketModule.socketRelay.register();
+            console.log('SW5E QoL Module: Socket relay registered');
+        } catch (error) {
+            console.error('SW5E QoL Module: Failed to register socket relay', error);
+        }
+        
+        // End the effects a concentration power keeps up when the caster stops concentrating
+        try {
+            const concentrationModule = await import('./core/actors/concentration-manager.js');
+            concentrationModule.concentrationManager.register();
+            console.log('SW5E QoL Module: Concentration tracking registered');
+        } catch (error) {
+            console.error('SW5E QoL Module: Failed to register concentration tracking', error);
+        }
+        
+        // Reroute sheet item use into QoL dialogs, the settings decide per item
+        try {
+            const interceptorModule = await import('./integrations/item-use-interceptor.js');
+            interceptorModule.itemUseInterceptor.register();
+            console.log('SW5E QoL Module: Item use interceptor registered');
+        } catch (error) {
+            console.error('SW5E QoL Module: Failed to register item use interceptor', error);
+        }
+        
         // Import test files
         try {
             await import('./test-create-damage-roll.js');
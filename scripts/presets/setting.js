@@ -42,6 +42,145 @@ export const DEFAULT_SETTINGS = {
         default: 'detailed'
     },
     
+    // Item use interception settings
+    'intercept-item-use': {
+        name: 'Intercept Item Use',
+        hint: 'Open the QoL attack/damage dialog when using weapons and powers from the character sheet',
+        scope: 'client',
+        config: true,
+        type: Boolean,
+        default: false
+    },
+    
+    'intercept-weapons': {
+        name: 'Intercept Weapons',
+        hint: 'Use the QoL workflow for weapons when interception is enabled',
+        scope: 'client',
+        config: true,
+        type: Boolean,
+        default: true
+    },
+    
+    'intercept-powers': {
+        name: 'Intercept Powers',
+        hint: 'Use the QoL workflow for force and tech powers when interception is enabled',
+        scope: 'client',
+        config: true,
+        type: Boolean,
+        default: true
+    },
+    
+    'intercept-features': {
+        name: 'Intercept Features',
+        hint: 'Use the QoL workflow for features and consumables with attacks or damage when interception is enabled',
+        scope: 'client',
+        config: true,
+        type: Boolean,
+        default: false
+    },
+    
+    'intercept-bypass-key': {
+        name: 'Interception Bypass Key',
+        hint: 'Hold this key while using an item to use the system roll instead of the QoL workflow',
+        scope: 'client',
+        config: true,
+        type: String,
+        choices: {
+            'Alt': 'Alt',
+            'Control': 'Ctrl',
+            'Shift': 'Shift'
+        },
+        default: 'Alt'
+    },
+    
+    // Power settings
+    'allow-overcasting': {
+        name: 'Allow Overcasting',
+        hint: 'Let casters cast powers above their maximum power level as long as they have the points to spend',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+    },
+    
+    // Ammunition settings
+    'ammo-tracking': {
+        name: 'Ammunition Tracking',
+        hint: 'Spend shots from the loaded power cell or magazine on each attack, and either warn or block the attack when the weapon is empty',
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: {
+            'off': 'Off',
+            'warn': 'Spend Shots, Warn When Empty',
+            'block': 'Spend Shots, Block When Empty'
+        },
+        default: 'warn'
+    },
+    
+    // Critical hit settings
+    'critical-rule': {
+        name: 'Critical Damage Rule',
+        hint: 'How critical hits add damage, attack dialogs can choose another rule for a single attack',
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: {
+            'sw5e': 'SW5E (Roll Damage Dice Twice, Weapon Properties Apply)',
+            'double-dice': 'Double Dice (Without Brutal, Vicious or Piercing)',
+            'max-plus-roll': 'Maximum Dice + Roll',
+            'double-total': 'Double Total'
+        },
+        default: 'sw5e'
+    },
+    
+    'fumble-rule': {
+        name: 'Fumbles',
+        hint: 'A natural 1 on an attack roll is a fumble, the attack misses whatever its total',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+    },
+    
+    // Dice settings
+    'damage-advantage-mode': {
+        name: 'Damage Advantage',
+        hint: 'How advantage and disadvantage apply to damage rolls, features can choose their own mode',
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: {
+            'whole-roll': 'Whole Roll (Roll the Damage Twice, Keep One Total)',
+            'per-die': 'Each Die (Roll Each Die Twice, Keep One Result)'
+        },
+        default: 'whole-roll'
+    },
+    
+    // Reaction settings
+    'reaction-prompts': {
+        name: 'Reaction Prompts',
+        hint: 'Pause attacks and damage to let the owner of a target use reactive features such as Uncanny Dodge',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: true
+    },
+    
+    'reaction-timeout': {
+        name: 'Reaction Time Limit',
+        hint: 'Seconds a target\'s owner has to choose a reaction before the workflow continues without one',
+        scope: 'world',
+        config: true,
+        type: Number,
+        range: {
+            min: 5,
+            max: 120,
+            step: 5
+        },
+        default: 30
+    },
+    
     // Debug settings
     'debug-level': {
         name: 'Debug Level',
@@ -80,6 +219,48 @@ export const SETTING_CATEGORIES = {
             'chat-card-style'
         ]
     },
+    'interception': {
+        name: 'Item Use Interception',
+        settings: [
+            'intercept-item-use',
+            'intercept-weapons',
+            'intercept-powers',
+            'intercept-features',
+            'intercept-bypass-key'
+        ]
+    },
+    'powers': {
+        name: 'Powers',
+        settings: [
+            'allow-overcasting'
+        ]
+    },
+    'ammunition': {
+        name: 'Ammunition',
+        settings: [
+            'ammo-tracking'
+        ]
+    },
+    'critical-hits': {
+        name: 'Critical Hits & Fumbles',
+        settings: [
+            'critical-rule',
+            'fumble-rule'
+        ]
+    },
+    'dice': {
+        name: 'Dice Rolls',
+        settings: [
+            'damage-advantage-mode'
+        ]
+    },
+    'reactions': {
+        name: 'Reactions',
+        settings: [
+            'reaction-prompts',
+            'reaction-timeout'
+        ]
+    },
     'debug': {
         name: 'Debug & Development',
         settings: [
@@ -5,13 +5,14 @@
  */
 
 import { API } from './api.js';
+import { applyDamageAdvantage, DAMAGE_ADVANTAGE_MODES } from './core/dice/damage-advantage.js';
 
 const logThisFile = true;
 
 /**
  * Test createDamageRoll with the specified formula and advantage type
  * @param {string} formula - The damage formula to test
- * @param {string} advantageType - The advantage type ('Advantage', 'Normal', 'Disadvantage')
+ * @param {string} advantageType - The advantage type as the dialog sends it ('advantage', 'normal', 'disadvantage')
  * @returns {Object} The damage roll result object
  */
 async function testCreateDamageRoll(formula, advantageType) {
@@ -83,7 +84,7 @@ async function displayDamageRolls(result, advantageType) {
  */
 async function runComprehensiveTest() {
     const defaultFormula = '1d8min4[energy] + 2d4r2[fire] + 5[ion]';
-    const advantageTypes = ['Advantage', 'Normal', 'Disadvantage'];
+    const advantageTypes = ['advantage', 'normal', 'disadvantage'];
     
     console.log('🚀 Starting comprehensive damage roll test...');
     console.log(`📋 Formula: ${defaultFormula}`);
@@ -105,15 +106,43 @@ async function runComprehensiveTest() {
     console.log('\n🎉 Comprehensive damage roll test completed!');
 }
 
+/**
+ * Check that the dialog's lower case advantage selection keeps the highest damage roll
+ * @returns {boolean} True if every check passed
+ */
+async function testLowercaseAdvantage() {
+    const checks = [
+        ['whole roll formula', applyDamageAdvantage('2d6', 'advantage', DAMAGE_ADVANTAGE_MODES.wholeRoll), '{2d6, 2d6}kh'],
+        ['per die formula', applyDamageAdvantage('2d6', 'advantage', DAMAGE_ADVANTAGE_MODES.perDie), '2d6kh + 2d6kh'],
+        ['disadvantage formula', applyDamageAdvantage('2d6', 'disadvantage', DAMAGE_ADVANTAGE_MODES.wholeRoll), '{2d6, 2d6}kl']
+    ];
+
+    const result = await testCreateDamageRoll('2d6[kinetic]', 'advantage');
+    checks.push(['createDamageRoll formula', /kh/.test(result?.normalRoll?.formula) ? 'kh' : result?.normalRoll?.formula, 'kh']);
+
+    let passed = true;
+    for (const [name, actual, expected] of checks) {
+        if (actual === expected) {
+            console.log(`✅ ${name}: ${actual}`);
+        } else {
+            console.error(`❌ ${name}: expected ${expected}, got ${actual}`);
+            passed = false;
+        }
+    }
+    return passed;
+}
+
 // Make functions available globally for console access
 window.testCreateDamageRoll = testCreateDamageRoll;
 window.displayDamageRolls = displayDamageRolls;
 window.runComprehensiveTest = runComprehensiveTest;
+window.testLowercaseAdvantage = testLowercaseAdvantage;
 
 // Log availability to console
 console.log('🎯 Damage roll test functions loaded:');
 console.log('  - testCreateDamageRoll(formula, advantageType) - Create damage roll and return result object');
 console.log('  - displayDamageRolls(result, advantageType) - Display rolls from result object');
 console.log('  - runComprehensiveTest() - Run test with all advantage types and 10-second delays');
-console.log('📝 Example: const result = testCreateDamageRoll("2d6[kinetic] + 1d4[fire]", "Advantage")');
-console.log('📝 Then: displayDamageRolls(result, "Advantage")');
+console.log('  - testLowercaseAdvantage() - Check that the dialog\'s "advantage" keeps the highest roll (kh)');
+console.log('📝 Example: const result = testCreateDamageRoll("2d6[kinetic] + 1d4[fire]", "advantage")');
+console.log('📝 Then: displayDamageRolls(result, "advantage")');
@@ -1,5 +1,22 @@
 import { API } from '../../api.js';
 import { CardRenderer } from './card-renderer.js';
+import { GenericRollHandler } from '../dialogs/generic-roll-handler.js';
+import { getWorkflowStateFromMessage, serializeWorkflowValue, deserializeWorkflowValue } from '../../core/workflow/workflow-state.js';
+import { updateChatMessage } from '../../core/workflow/message-updater.js';
+import { DamageApplicator } from '../../core/targets/damage-applicator.js';
+import { EffectApplicator, EFFECT_DRAG_TYPE } from '../../core/targets/effect-applicator.js';
+import { recordHitPointChange, recordOnMessage, addResourceChange, addEffectApplied, undoMessageChanges } from '../../core/workflow/undo-journal.js';
+import { ammoManager } from '../../core/utils/resource-manager/ammo-manager.js';
+import { getDataPaths } from '../../core/utils/reference/data-lookup.js';
+import { getActorFromTokenID } from '../../actors/actor-util.js';
+import { WorkflowManager } from '../../core/workflow/workflow-manager.js';
+import { SaveAction } from '../../core/workflow/actions/save-action.js';
+import { getReactionResponse, ReactionAction } from '../../core/workflow/actions/reaction-action.js';
+import { concentrationManager } from '../../core/actors/concentration-manager.js';
+import { socketRelay, SOCKET_OPERATIONS, fitsDamageResult, MAX_DAMAGE_MULTIPLIER } from '../../core/socket/socket-relay.js';
+
+// Milliseconds the owner of a target has to answer and roll its concentration save
+const CONCENTRATION_SAVE_TIMEOUT = 120000;
 
 /**
  * Card Handler
@@ -11,7 +28,85 @@ export class CardHandler {
      */
     constructor() {
         this.renderer = new CardRenderer();
+        this.damageApplicator = new DamageApplicator();
+        this.effectApplicator = new EffectApplicator();
         this.setupHooks();
+        this.registerSocketOperations();
+    }
+
+    /**
+     * Register the card actions the GM records for players who did not roll the card
+     * Only the GM and the card's author write the workflow state and undo journal,
+     * the GM checks each action against the card before recording it
+     */
+    registerSocketOperations() {
+        const canModify = (user, payload) => !!game.messages.get(payload.messageId)?.canUserModify(user, 'update');
+        const ownsTarget = (user, tokenId) => !!canvas.tokens.get(tokenId)?.actor?.testUserPermission(user, 'OWNER');
+
+        // Saves rolled by the owners of the card's targets, each target saves once
+        socketRelay.registerOperation(SOCKET_OPERATIONS.RECORD_SAVE_RESULTS, {
+            canRunLocally: canModify,
+            isPermitted: (user, payload) => {
+                const workflowState = getWorkflowStateFromMessage(payload.messageId);
+                const saveConfig = workflowState?.saveConfig || payload.saveConfig;
+                const targetIds = (workflowState?.damageResults || []).map(result => result.tokenId);
+                const savedTokenIds = (workflowState?.saveResults || []).map(result => result.tokenId);
+                const saveResults = payload.saveResults || [];
+
+                return saveResults.length > 0 && saveResults.every(result =>
+                    targetIds.includes(result.tokenId) && !savedTokenIds.includes(result.tokenId) && ownsTarget(user, result.tokenId)
+                    && result.ability === saveConfig?.ability && result.dc === saveConfig?.dc
+                );
+            },
+            execute: async payload => {
+                const saveResults = payload.saveResults.map(result => ({ ...result, target: canvas.tokens.get(result.tokenId)?.actor ?? null }));
+                await new WorkflowManager().recordSaveResults(payload.messageId, saveResults, payload.saveConfig);
+                return true;
+            }
+        });
+
+        // Damage or healing the owner of a target applied to it, the change has to fit the card's damage result
+        socketRelay.registerOperation(SOCKET_OPERATIONS.RECORD_DAMAGE_APPLIED, {
+            canRunLocally: canModify,
+            isPermitted: (user, payload) => {
+                const workflowState = getWorkflowStateFromMessage(payload.messageId);
+                const damageResult = workflowState?.damageResults?.find(result => result.tokenId === payload.tokenId);
+                if (!damageResult || !ownsTarget(user, payload.tokenId)) return false;
+
+                // The recorded change has to be the target's hit points now
+                const hp = this.damageApplicator.getHitPoints(canvas.tokens.get(payload.tokenId).actor);
+                const updated = payload.change?.updated;
+                if (Number(updated?.value) !== hp.value || Number(updated?.temp) !== hp.temp) return false;
+
+                const amount = Number(payload.amount);
+                const maxAmount = (Number(damageResult.damageTotal) || 0) * MAX_DAMAGE_MULTIPLIER;
+                return Number.isFinite(amount) && amount >= 0 && amount <= maxAmount
+                    && fitsDamageResult(damageResult, payload.change?.previous, payload.change?.updated);
+            },
+            execute: async payload => {
+                await this.recordDamageApplied(payload);
+                return true;
+            }
+        });
+
+        // Effects the owner of a target applied to it from the card
+        socketRelay.registerOperation(SOCKET_OPERATIONS.RECORD_EFFECTS_APPLIED, {
+            canRunLocally: canModify,
+            isPermitted: (user, payload) => {
+                const effects = getWorkflowStateFromMessage(payload.messageId)?.dialogState?.effects || [];
+                const applied = Object.entries(payload.applied || {});
+                const targetUuids = applied.map(([tokenId]) => canvas.tokens.get(tokenId)?.actor?.uuid);
+
+                return applied.length > 0
+                    && applied.every(([tokenId, indices]) => ownsTarget(user, tokenId)
+                        && Array.isArray(indices) && indices.every(index => Number.isInteger(index) && !!effects[index]))
+                    && (payload.undoEntries || []).every(entry => targetUuids.includes(fromUuidSync(entry.effectUuid)?.parent?.uuid));
+            },
+            execute: async payload => {
+                await this.recordEffectsApplied(payload);
+                return true;
+            }
+        });
     }
 
     /**
@@ -22,6 +117,13 @@ export class CardHandler {
         Hooks.on("renderChatMessage", (message, html, data) => {
             this.attachEventListeners(html, data);
         });
+
+        // Effects dragged from a card are applied to the token they are dropped on
+        Hooks.on("dropCanvasData", (canvas, data) => {
+            if (data?.type !== EFFECT_DRAG_TYPE) return;
+            this.handleEffectDrop(data);
+            return false;
+        });
     }
 
     /**
@@ -31,6 +133,11 @@ export class CardHandler {
         const card = html.find('.sw5e-qol-card');
         if (card.length === 0) return;
 
+        // GM only controls (e.g. Undo) are removed for players
+        if (!game.user.isGM) {
+            card.find('[data-gm-only]').remove();
+        }
+
         // Use event delegation on the card root
         card.on('click', '[data-action]', (event) => {
             event.preventDefault();
@@ -42,6 +149,16 @@ export class CardHandler {
             
             this.handleCardInteraction(action, messageId, button, data);
         });
+
+        // Effect chips carry the card and effect they come from when dragged
+        card.on('dragstart', '.effect-chip', (event) => {
+            const chip = event.currentTarget;
+            event.originalEvent.dataTransfer.setData('text/plain', JSON.stringify({
+                type: EFFECT_DRAG_TYPE,
+                messageId: chip.dataset.messageId || data.message._id,
+                effectIndex: Number(chip.dataset.effectIndex)
+            }));
+        });
     }
 
     /**
@@ -96,10 +213,23 @@ export class CardHandler {
 
     /**
      * Update an existing card
+     * The update is merged into the card data stored on the message and the card is rendered again
      */
     async updateCard(messageId, updateData) {
         try {
-            await this.renderer.updateCard(messageId, updateData);
+            const message = game.messages.get(messageId);
+            if (!message) {
+                throw new Error(`Chat message not found: ${messageId}`);
+            }
+
+            const storedCardData = deserializeWorkflowValue(message.getFlag('sw5e-qol', 'cardData') || {});
+            const cardData = { ...storedCardData, ...updateData, messageId: messageId };
+            const cardHtml = await this.renderer.renderCard(cardData);
+
+            await updateChatMessage(message, {
+                content: cardHtml,
+                'flags.sw5e-qol.cardData': serializeWorkflowValue(cardData)
+            });
             API.log('debug', `Updated card: ${messageId}`);
         } catch (error) {
             API.log('error', 'Failed to update card', error);
@@ -152,11 +282,29 @@ export class CardHandler {
                     await this.handleSaveRoll(messageId, button.dataset);
                     break;
                 case 'expand-roll':
-                    await this.toggleRollExpansion(messageId);
+                    await this.toggleRollExpansion(messageId, button);
                     break;
                 case 'reroll':
                     await this.handleReroll(messageId, button.dataset);
                     break;
+                case 'resume-workflow':
+                    await this.handleResumeWorkflow(messageId, button.dataset);
+                    break;
+                case 'apply-damage':
+                    await this.handleApplyDamage(messageId, button.dataset);
+                    break;
+                case 'undo-workflow':
+                    await this.handleUndo(messageId);
+                    break;
+                case 'reload-weapon':
+                    await this.handleReload(messageId, button.dataset);
+                    break;
+                case 'apply-effect':
+                    await this.applyEffectsToTargets(messageId, [button.dataset.tokenId], [Number(button.dataset.effectIndex)]);
+                    break;
+                case 'apply-effects':
+                    await this.applyEffectsToTargets(messageId, (button.dataset.tokenIds || '').split(',').filter(Boolean));
+                    break;
                 default:
                     API.log('warning', `Unknown card action: ${action}`);
             }
@@ -168,33 +316,422 @@ export class CardHandler {
 
     /**
      * Handle save roll from damage card
+     * Players roll for the card's targets they own, the GM rolls for the selected tokens
      */
     async handleSaveRoll(messageId, buttonData) {
         try {
-            API.log('info', `Save roll requested for message: ${messageId}`);
-            API.log('info', `Save type: ${buttonData.saveType}, DC: ${buttonData.dc}`);
-            
-            // For now, just show a notification
-            ui.notifications.info(`Save roll: ${buttonData.saveType.toUpperCase()} save vs DC ${buttonData.dc}`);
-            
-            // TODO: Implement actual save roll logic
+            API.log('debug', `Save roll requested for message: ${messageId}`, buttonData);
+
+            const workflowState = getWorkflowStateFromMessage(messageId);
+            if (!workflowState) {
+                ui.notifications.warn(API.localize('cards.noDamageResult'));
+                return null;
+            }
+
+            const saveConfig = {
+                ability: buttonData.saveType,
+                dc: Number(buttonData.dc),
+                onSave: buttonData.onSave === 'none' ? 'none' : 'half'
+            };
+
+            const tokenIds = this.getSaveTokenIds(workflowState);
+            if (tokenIds.length === 0) {
+                ui.notifications.warn(API.localize(game.user.isGM ? 'warn.selectAToken' : 'cards.noSaveTarget'));
+                return null;
+            }
+
+            // A target saves once, a failed save is not rolled again
+            const savedTokenIds = (workflowState.saveResults || []).map(result => result.tokenId);
+            const unsavedTokenIds = tokenIds.filter(tokenId => !savedTokenIds.includes(tokenId));
+            if (unsavedTokenIds.length === 0) {
+                ui.notifications.warn(API.localize('cards.saveAlreadyRolled'));
+                return null;
+            }
+
+            const saveAction = new SaveAction();
+            const saveResults = [];
+            for (const tokenId of unsavedTokenIds) {
+                const result = await saveAction.rollSave(tokenId, saveConfig);
+                if (result) {
+                    saveResults.push(result);
+                }
+            }
+
+            if (saveResults.length === 0) return null;
+
+            // Players who did not roll the card have the GM record their saves, rolls and actors stay here
+            return await socketRelay.execute(SOCKET_OPERATIONS.RECORD_SAVE_RESULTS, {
+                messageId: messageId,
+                saveConfig: saveConfig,
+                saveResults: saveResults.map(({ target, roll, ...result }) => result)
+            });
         } catch (error) {
             API.log('error', 'Failed to handle save roll', error);
+            return null;
         }
     }
 
     /**
-     * Toggle roll expansion
+     * Get the tokens the current user rolls saves for
+     * @param {Object} workflowState - Workflow state of the card
+     * @returns {Array} Token IDs
+     */
+    getSaveTokenIds(workflowState) {
+        if (game.user.isGM) {
+            return canvas.tokens.controlled.map(token => token.id);
+        }
+
+        // Players roll for the card's targets whose actor they own
+        const targetIds = (workflowState.damageResults || []).map(result => result.tokenId).filter(Boolean);
+        return targetIds.filter(tokenId => canvas.tokens.get(tokenId)?.actor?.isOwner);
+    }
+
+    /**
+     * Resume a paused workflow from its card
+     * Opens the dialog for the next step, rolling it resumes the stored workflow
+     */
+    async handleResumeWorkflow(messageId, buttonData) {
+        try {
+            const message = game.messages.get(messageId);
+            const workflowState = getWorkflowStateFromMessage(message);
+            if (!workflowState?.paused) {
+                ui.notifications.warn(API.localize('workflow.notPaused'));
+                return;
+            }
+
+            // Only the player who rolled the attack (or a GM) continues the workflow
+            if (!message.isAuthor && !game.user.isGM) {
+                ui.notifications.warn(API.localize('workflow.noPermission'));
+                return;
+            }
+
+            const dialogType = buttonData.dialogType || workflowState.resumeDialogType;
+            const dialogState = workflowState.dialogState || {};
+
+            API.log('debug', `Resuming workflow ${workflowState.workflowId} with ${dialogType} dialog`);
+
+            const rollHandler = new GenericRollHandler();
+            await rollHandler.openDialog(dialogState.ownerID, dialogType, {
+                itemID: dialogState.itemID,
+                // Power damage is scaled to the level the power was cast at
+                castLevel: dialogState.castLevel ?? null,
+                // Damage follows the fire mode the weapon attacked with
+                fireMode: dialogState.fireMode ?? 'single',
+                // Effects chosen in the attack dialog stay chosen
+                effects: dialogState.effects ?? null,
+                resumeMessageId: messageId
+            });
+        } catch (error) {
+            API.log('error', 'Failed to resume workflow', error);
+        }
+    }
+
+    /**
+     * Apply damage (or healing) from a damage card to one target
+     * Modes: full, half, double and heal
+     */
+    async handleApplyDamage(messageId, buttonData) {
+        try {
+            const workflowState = getWorkflowStateFromMessage(messageId);
+            const damageResult = workflowState?.damageResults?.find(result => result.tokenId === buttonData.tokenId);
+            if (!damageResult) {
+                ui.notifications.warn(API.localize('cards.noDamageResult'));
+                return null;
+            }
+
+            const target = await getActorFromTokenID(buttonData.tokenId);
+            if (!this.damageApplicator.canApply(target, messageId)) {
+                ui.notifications.warn(API.format('cards.noTargetPermission', { name: target?.name || buttonData.tokenId }));
+                return null;
+            }
+
+            const mode = buttonData.mode || 'full';
+            if (mode === 'heal') {
+                const change = await this.damageApplicator.applyHealing(target, damageResult.damageTotal, messageId);
+                await this.recordDamage(messageId, buttonData.tokenId, change, mode, change.amount);
+                ui.notifications.info(API.format('cards.healingApplied', { name: target.name, amount: change.amount }));
+                return change;
+            }
+
+            const multipliers = { full: 1, half: 0.5, double: 2 };
+            let multiplier = multipliers[mode] ?? 1;
+
+            // A successful save reduces full damage to half or none
+            const saveResult = workflowState.saveResults?.find(result => result.tokenId === buttonData.tokenId);
+            if (mode === 'full' && saveResult?.success) {
+                multiplier = workflowState.saveConfig?.onSave === 'none' ? 0 : 0.5;
+            }
+
+            // Reactions of the target (e.g. Uncanny Dodge) lower the damage it takes
+            const reaction = getReactionResponse(workflowState, buttonData.tokenId, 'damage-taken');
+            multiplier *= reaction.damageMultiplier;
+
+            const damage = this.damageApplicator.calculateDamage(target, damageResult.damageByType, damageResult.damageTotal, multiplier);
+            damage.total = Math.max(0, damage.total - reaction.damageReduction);
+            const change = await this.damageApplicator.applyDamage(target, damage.total, messageId);
+            await this.recordDamage(messageId, buttonData.tokenId, change, mode, damage.total);
+
+            API.log('debug', `Applied ${mode} damage to ${target.name}`, { damage, change });
+            ui.notifications.info(API.format('cards.damageApplied', { name: target.name, amount: damage.total }));
+
+            // Damage can break the target's concentration
+            if (damage.total > 0) {
+                await this.promptConcentrationSave(buttonData.tokenId, damage.total, messageId);
+            }
+            return change;
+        } catch (error) {
+            API.log('error', 'Failed to apply damage', error);
+            return null;
+        }
+    }
+
+    /**
+     * Ask for the concentration save of a target that took damage while concentrating
+     * The target's player, another active owner or the active GM is asked, like for reactions
+     * @param {string} tokenId - Target token ID
+     * @param {number} damage - Damage the target took
+     * @param {string} messageId - ID of the workflow card the damage was applied from
+     * @returns {Promise<Object|null>} Save result or null if no save was rolled
+     */
+    async promptConcentrationSave(tokenId, damage, messageId) {
+        try {
+            const target = canvas.tokens.get(tokenId)?.actor;
+            const concentration = concentrationManager.getConcentration(target);
+            if (!concentration) return null;
+
+            const promptData = { name: target.name, power: concentration.itemName, damage: damage, dc: concentrationManager.getConcentrationSaveDC(damage) };
+            const user = new ReactionAction().getReactingUser(target);
+            if (!user) {
+                ui.notifications.info(API.format('concentration.saveDue', promptData));
+                return null;
+            }
+            if (user.id !== game.user.id) {
+                ui.notifications.info(API.format('concentration.saveWaiting', { ...promptData, user: user.name }));
+            }
+
+            return await socketRelay.executeForUser(user.id, SOCKET_OPERATIONS.PROMPT_CONCENTRATION_SAVE, {
+                messageId: messageId,
+                tokenId: tokenId,
+                damage: damage
+            }, { timeout: CONCENTRATION_SAVE_TIMEOUT });
+        } catch (error) {
+            API.log('error', 'Failed to roll concentration save', error);
+            ui.notifications.warn(error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Record damage or healing applied to a target on its card, through the GM when the user did not roll the card
+     * @param {string} messageId - ID of the workflow card
+     * @param {string} tokenId - Target token ID
+     * @param {Object} change - HP change from DamageApplicator ({ previous, updated })
+     * @param {string} mode - Apply mode (full, half, double, heal)
+     * @param {number} amount - Damage or healing applied
+     */
+    async recordDamage(messageId, tokenId, change, mode, amount) {
+        await socketRelay.execute(SOCKET_OPERATIONS.RECORD_DAMAGE_APPLIED, {
+            messageId: messageId,
+            tokenId: tokenId,
+            change: { previous: change.previous, updated: change.updated },
+            mode: mode,
+            amount: amount
+        });
+    }
+
+    /**
+     * Record the hit point change for undo and show on the card that damage or healing was applied
+     * @param {Object} payload - Applied damage ({ messageId, tokenId, change, mode, amount })
+     */
+    async recordDamageApplied({ messageId, tokenId, change, mode, amount }) {
+        const target = canvas.tokens.get(tokenId)?.actor;
+        const hpPath = getDataPaths('actor', 'character').subpaths.hp;
+        await recordHitPointChange(messageId, target, change, hpPath);
+
+        const workflowManager = new WorkflowManager();
+        await workflowManager.updateWorkflowState(messageId, workflowState => {
+            const damageResult = workflowState.damageResults?.find(result => result.tokenId === tokenId);
+            if (damageResult) {
+                damageResult.applied = { mode: mode, amount: amount };
+            }
+        });
+    }
+
+    /**
+     * Apply a card's effects to targets
+     * Effects a target already has from the card are skipped, the applied ones are recorded for undo
+     * @param {string} messageId - ID of the workflow card
+     * @param {Array} tokenIds - Target token IDs
+     * @param {Array} [effectIndices=null] - Indices of the card's effects to apply, all of them by default
+     * @returns {Promise<Object|null>} Applied effect indices by token ID or null if nothing was applied
+     */
+    async applyEffectsToTargets(messageId, tokenIds, effectIndices = null) {
+        try {
+            const workflowState = getWorkflowStateFromMessage(messageId);
+            const effects = workflowState?.dialogState?.effects || [];
+            if (effects.length === 0) {
+                ui.notifications.warn(API.localize('effects.noEffects'));
+                return null;
+            }
+            if (tokenIds.length === 0) {
+                ui.notifications.warn(API.localize('effects.noTargets'));
+                return null;
+            }
+
+            const actor = await getActorFromTokenID(workflowState.dialogState.ownerID);
+            const options = {
+                originUuid: actor?.items?.get(workflowState.dialogState.itemID)?.uuid ?? null,
+                messageId: messageId,
+                castLevel: workflowState.dialogState.castLevel ?? null
+            };
+            const indices = effectIndices ?? effects.map((effect, index) => index);
+
+            const applied = {};
+            const undoEntries = [];
+            for (const tokenId of tokenIds) {
+                const target = canvas.tokens.get(tokenId)?.actor;
+                if (!this.effectApplicator.canApply(target, messageId)) {
+                    ui.notifications.warn(API.format('cards.noTargetPermission', { name: target?.name || tokenId }));
+                    continue;
+                }
+
+                const alreadyApplied = workflowState.appliedEffects?.[tokenId] || [];
+                const pending = indices.filter(index => effects[index] && !alreadyApplied.includes(index));
+                if (pending.length === 0) continue;
+
+                const results = await this.effectApplicator.applyEffects(tokenId, pending.map(index => effects[index]), options);
+                undoEntries.push(...results);
+                applied[tokenId] = pending;
+                ui.notifications.info(API.format('effects.appliedTo', {
+                    effects: pending.map(index => effects[index].name).join(', '),
+                    name: target.name
+                }));
+            }
+
+            if (Object.keys(applied).length === 0) return null;
+
+            // Players who did not roll the card have the GM record the effects
+            await socketRelay.execute(SOCKET_OPERATIONS.RECORD_EFFECTS_APPLIED, {
+                messageId: messageId,
+                applied: applied,
+                undoEntries: undoEntries
+            });
+
+            return applied;
+        } catch (error) {
+            API.log('error', 'Failed to apply effects', error);
+            ui.notifications.warn(error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Record effects applied from a card for undo, link them to the caster's concentration and mark them on the card
+     * @param {Object} payload - Applied effects ({ messageId, applied, undoEntries }), applied holds effect indices by token ID
+     */
+    async recordEffectsApplied({ messageId, applied, undoEntries }) {
+        await recordOnMessage(messageId, undoState => {
+            undoEntries.forEach(entry => addEffectApplied(undoState, entry));
+        });
+
+        // Effects of a concentration power end when the caster stops concentrating on it
+        const workflowState = getWorkflowStateFromMessage(messageId);
+        const actor = await getActorFromTokenID(workflowState.dialogState.ownerID);
+        if (workflowState.powerCast?.concentration && actor) {
+            await concentrationManager.linkEffects(actor, workflowState.workflowId, undoEntries.map(entry => entry.effectUuid));
+        }
+
+        const workflowManager = new WorkflowManager();
+        await workflowManager.updateWorkflowState(messageId, state => {
+            state.appliedEffects = state.appliedEffects || {};
+            for (const [tokenId, pending] of Object.entries(applied)) {
+                state.appliedEffects[tokenId] = [...new Set([...(state.appliedEffects[tokenId] || []), ...pending])];
+            }
+        });
+    }
+
+    /**
+     * Apply an effect dragged from a card to the token it was dropped on
+     * @param {Object} data - Drop data ({ messageId, effectIndex, x, y })
+     * @returns {Promise<Object|null>} Applied effect indices by token ID or null if nothing was applied
      */
-    async toggleRollExpansion(messageId) {
+    async handleEffectDrop(data) {
+        const token = canvas.tokens.placeables.find(placeable => placeable.visible && placeable.bounds?.contains(data.x, data.y));
+        if (!token) {
+            ui.notifications.warn(API.localize('effects.noTokenAtDrop'));
+            return null;
+        }
+        return this.applyEffectsToTargets(data.messageId, [token.id], [Number(data.effectIndex)]);
+    }
+
+    /**
+     * Reload the card's weapon with ammunition from the attacker's inventory
+     * The spent power cell or cartridge is recorded so the card's undo reverses it
+     */
+    async handleReload(messageId, buttonData) {
         try {
             const message = game.messages.get(messageId);
-            if (!message) return;
+            const workflowState = getWorkflowStateFromMessage(message);
+            if (!workflowState?.ammoUsage) return null;
+
+            // Only the player who made the attack (or a GM) reloads the weapon
+            if (!message.isAuthor && !game.user.isGM) {
+                ui.notifications.warn(API.localize('workflow.noPermission'));
+                return null;
+            }
+
+            const actor = await getActorFromTokenID(workflowState.dialogState.ownerID);
+            const result = await ammoManager.reload(actor, buttonData.itemId || workflowState.ammoUsage.itemId);
+
+            await recordOnMessage(messageId, undoState => {
+                result.undoEntries.forEach(entry => addResourceChange(undoState, entry));
+            });
+
+            const workflowManager = new WorkflowManager();
+            await workflowManager.updateWorkflowState(messageId, state => {
+                state.ammoUsage.remaining = result.value;
+            });
+
+            ui.notifications.info(API.format('cards.reloaded', { weapon: result.weaponName, ammunition: result.ammunitionName }));
+            return result;
+        } catch (error) {
+            API.log('error', 'Failed to reload weapon', error);
+            ui.notifications.warn(error.message);
+            return null;
+        }
+    }
 
-            const cardElement = message.element?.querySelector('.sw5e-qol-card');
-            if (!cardElement) return;
+    /**
+     * Undo every change recorded on a card (GM only)
+     */
+    async handleUndo(messageId) {
+        try {
+            if (!game.user.isGM) {
+                ui.notifications.warn(API.localize('cards.undoGMOnly'));
+                return null;
+            }
+
+            const summary = await undoMessageChanges(messageId);
+            if (summary.reverted === 0 && summary.failed === 0) {
+                ui.notifications.info(API.localize('cards.nothingToUndo'));
+            } else if (summary.success) {
+                ui.notifications.info(API.format('cards.undoComplete', { count: summary.reverted }));
+            } else {
+                ui.notifications.warn(API.format('cards.undoPartial', { count: summary.reverted, failed: summary.failed }));
+            }
+            return summary;
+        } catch (error) {
+            API.log('error', 'Failed to undo workflow changes', error);
+            return null;
+        }
+    }
 
-            const rollElement = cardElement.querySelector('.roll-visualization');
+    /**
+     * Toggle roll expansion
+     */
+    async toggleRollExpansion(messageId, button) {
+        try {
+            const rollElement = button?.closest('.roll-visualization');
             if (!rollElement) return;
 
             const isCollapsed = rollElement.classList.contains('collapsed');
@@ -202,10 +739,12 @@ export class CardHandler {
             if (isCollapsed) {
                 rollElement.classList.remove('collapsed');
                 rollElement.classList.add('expanded');
+                rollElement.querySelector('.expand-toggle i')?.classList.replace('fa-chevron-right', 'fa-chevron-down');
                 API.log('debug', `Expanded roll for message: ${messageId}`);
             } else {
                 rollElement.classList.remove('expanded');
                 rollElement.classList.add('collapsed');
+                rollElement.querySelector('.expand-toggle i')?.classList.replace('fa-chevron-down', 'fa-chevron-right');
                 API.log('debug', `Collapsed roll for message: ${messageId}`);
             }
 
@@ -216,17 +755,32 @@ export class CardHandler {
 
     /**
      * Handle reroll
+     * Rerolls the whole roll, or a single die when the button carries a die index
      */
     async handleReroll(messageId, buttonData) {
         try {
-            API.log('info', `Reroll requested for message: ${messageId}`);
-            
-            // For now, just show a notification
-            ui.notifications.info('Reroll functionality not yet implemented');
-            
-            // TODO: Implement actual reroll logic
+            API.log('debug', `Reroll requested for message: ${messageId}`, buttonData);
+
+            const message = game.messages.get(messageId);
+            if (!message) return null;
+
+            // Only the player who made the roll (or a GM) may reroll it
+            if (!message.isAuthor && !game.user.isGM) {
+                ui.notifications.warn(API.localize('workflow.noPermission'));
+                return null;
+            }
+
+            const options = {};
+            if (buttonData.dieIndex !== undefined) {
+                options.dieIndex = Number(buttonData.dieIndex);
+                options.resultIndex = Number(buttonData.resultIndex) || 0;
+            }
+
+            const workflowManager = new WorkflowManager();
+            return await workflowManager.rerollWorkflowRoll(messageId, buttonData.rollKey, options);
         } catch (error) {
             API.log('error', 'Failed to handle reroll', error);
+            return null;
         }
     }
 }
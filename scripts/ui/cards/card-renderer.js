@@ -6,6 +6,8 @@
 
 import { API } from '../../api.js';
 import { themeManager } from '../theme-manager.js';
+import { DiceRoller, getDamageRollLabel } from '../../core/dice/index.js';
+import { getDiscardedPoolDice } from '../../core/dice/damage-advantage.js';
 
 const logThisFile = true;
 
@@ -16,6 +18,20 @@ const logThisFile = true;
 export class CardRenderer {
     constructor() {
         if (logThisFile) API.log('debug', 'CardRenderer: Constructor called');
+
+        // Component templates inserted into the card body and footer
+        const componentPath = 'modules/sw5e-qol/templates/cards/components';
+        this.componentTemplates = new Map([
+            ['power-cast', `${componentPath}/power-cast.hbs`],
+            ['ammo-status', `${componentPath}/ammo-status.hbs`],
+            ['attack-results', `${componentPath}/attack-results.hbs`],
+            ['damage-results', `${componentPath}/damage-results.hbs`],
+            ['save-results', `${componentPath}/save-results.hbs`],
+            ['effects', `${componentPath}/effects.hbs`],
+            ['roll-visualization', `${componentPath}/roll-visualization.hbs`],
+            ['action-buttons', `${componentPath}/action-buttons.hbs`]
+        ]);
+        this.diceRoller = new DiceRoller();
     }
 
     /**
@@ -87,6 +103,24 @@ export class CardRenderer {
             // Results data
             attackResults: cardData.attackResults || null,
             damageResults: cardData.damageResults || null,
+            saveResults: cardData.saveResults || null,
+            
+            // Power cast of the workflow
+            powerCast: cardData.powerCast || null,
+            
+            // Shots spent by the attack and the fire mode it was made in
+            ammoUsage: cardData.ammoUsage || null,
+            fireMode: cardData.fireMode || null,
+            
+            // Effects and conditions applied to the targets
+            effects: cardData.effects || null,
+            
+            // Reactions the targets used, by token ID
+            reactions: cardData.reactions || {},
+            
+            // Roll breakdown
+            rolls: cardData.rolls || [],
+            rollHistory: cardData.rollHistory || [],
             
             // Actions
             actions: cardData.actions || [],
@@ -209,9 +243,17 @@ export class CardRenderer {
             const template = 'modules/sw5e-qol/templates/cards/base-card.hbs';
             const html = await renderTemplate(template, data);
             
+            // Create temporary container to insert components
+            const tempDiv = document.createElement('div');
+            tempDiv.innerHTML = html;
+            
+            // Power casts and spent shots are listed above the roll results, effects to apply below them
+            await this.insertComponents(tempDiv.querySelector('#card-body'), ['power-cast', 'ammo-status', ...this.getComponentOrder(data.cardType), 'effects', 'roll-visualization'], data);
+            await this.insertComponents(tempDiv.querySelector('#card-footer'), ['action-buttons'], data);
+            
             if (logThisFile) API.log('debug', 'CardRenderer: Template rendered successfully');
             
-            return html;
+            return tempDiv.innerHTML;
 
         } catch (error) {
             API.log('error', 'CardRenderer: Failed to render template:', error);
@@ -221,6 +263,255 @@ export class CardRenderer {
         }
     }
 
+    /**
+     * Get the body components shown for a card type
+     * @param {string} cardType - Card type
+     * @returns {Array} Ordered component names
+     */
+    getComponentOrder(cardType) {
+        switch (cardType) {
+            case 'attack':
+                return ['attack-results'];
+            case 'damage':
+                // Saves rolled from the card's Roll Save button are listed below the damage
+                return ['attack-results', 'damage-results', 'save-results'];
+            case 'save':
+                return ['attack-results', 'damage-results', 'save-results'];
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Render components into a card section
+     * @param {HTMLElement} container - Card body or footer element
+     * @param {Array} components - Component names to render
+     * @param {Object} data - Prepared card data
+     */
+    async insertComponents(container, components, data) {
+        if (!container) {
+            API.log('warning', 'CardRenderer: Component container not found in card template');
+            return;
+        }
+
+        for (const componentName of components) {
+            const template = this.componentTemplates.get(componentName);
+            if (!template) {
+                API.log('warning', `CardRenderer: Component template not found: ${componentName}`);
+                continue;
+            }
+
+            // A component can render several times (e.g. once per target) or not at all
+            const componentData = this.prepareComponentData(componentName, data);
+            for (const entry of componentData) {
+                const componentHtml = await renderTemplate(template, entry);
+                container.insertAdjacentHTML('beforeend', componentHtml);
+            }
+        }
+    }
+
+    /**
+     * Get the note shown for a burst or rapid fire attack
+     * @param {Object} fireMode - Fire mode card data ({ mode, attackCount, saveDC })
+     * @returns {string} Label, empty for single shots
+     */
+    getFireModeLabel(fireMode) {
+        switch (fireMode?.mode) {
+            case 'burst':
+                return fireMode.saveDC
+                    ? API.format('cards.burstSaveDC', { dc: fireMode.saveDC })
+                    : API.localize('interface.burstFire');
+            case 'rapid':
+                return API.format('cards.rapidAttacks', { count: fireMode.attackCount });
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Get the note of the reactions a target used against a trigger
+     * @param {Array} reactions - Reactions of the target ({ name, trigger })
+     * @param {string} trigger - Reaction trigger (attack-hit, damage-taken)
+     * @returns {string} Label, empty if the target did not react
+     */
+    getReactionLabel(reactions, trigger) {
+        const names = (reactions || []).filter(reaction => reaction.trigger === trigger).map(reaction => reaction.name);
+        return names.length > 0 ? API.format('reactions.used', { reactions: names.join(', ') }) : '';
+    }
+
+    /**
+     * Get the label of why a target is (or is not) affected by the card's effects
+     * @param {Object} target - Effects target card data ({ saved, hit })
+     * @returns {string} Localized label
+     */
+    getEffectTargetStatus(target) {
+        if (target.saved !== null) {
+            return API.localize(target.saved ? 'effects.saved' : 'effects.failedSave');
+        }
+        if (target.hit !== null) {
+            return API.localize(target.hit ? 'effects.hit' : 'effects.missed');
+        }
+        return '';
+    }
+
+    /**
+     * Prepare template data for a component
+     * @param {string} componentName - Component name
+     * @param {Object} data - Prepared card data
+     * @returns {Array} Template data for each rendering of the component
+     */
+    prepareComponentData(componentName, data) {
+        switch (componentName) {
+            case 'power-cast':
+                if (!data.powerCast) return [];
+                return [{
+                    levelLabel: data.powerCast.castLevel === 0
+                        ? API.localize('interface.atWill')
+                        : API.format('cards.castAtLevel', { level: data.powerCast.castLevel }),
+                    costLabel: data.powerCast.cost > 0
+                        ? API.format('cards.pointsSpent', { cost: data.powerCast.cost, resource: API.localize(`resources.${data.powerCast.resourceType}`) })
+                        : '',
+                    isOvercast: data.powerCast.isOvercast,
+                    overcastLabel: API.localize('interface.overcast'),
+                    concentrationLabel: data.powerCast.concentration ? API.localize('concentration.title') : ''
+                }];
+            case 'ammo-status':
+                if (!data.ammoUsage && !data.fireMode) return [];
+                return [{
+                    modeLabel: this.getFireModeLabel(data.fireMode),
+                    hasShots: !!data.ammoUsage,
+                    shotsLabel: data.ammoUsage ? API.format('cards.shotsSpent', { spent: data.ammoUsage.spent }) : '',
+                    remainingLabel: data.ammoUsage ? API.format('cards.shotsRemaining', { remaining: data.ammoUsage.remaining, max: data.ammoUsage.max }) : '',
+                    isEmpty: data.ammoUsage?.remaining === 0,
+                    isShort: data.ammoUsage ? data.ammoUsage.spent < data.ammoUsage.cost : false
+                }];
+            case 'attack-results':
+                return (data.attackResults || []).map(result => ({
+                    results: {
+                        total: result.rollTotal,
+                        success: result.success,
+                        isCritical: result.isCritical,
+                        isFumble: !!result.isFumble
+                    },
+                    target: result.target?.name ? { name: result.target.name } : null,
+                    reactionLabel: this.getReactionLabel(data.reactions[result.tokenId], 'attack-hit')
+                }));
+            case 'damage-results':
+                return (data.damageResults || []).map(result => ({
+                    messageId: data.messageId,
+                    results: {
+                        TotalDam: result.damageTotal,
+                        TotalDamByType: Object.keys(result.damageByType || {}).length > 0 ? result.damageByType : null
+                    },
+                    targets: result.target?.name ? [{
+                        name: result.target.name,
+                        tokenId: result.tokenId,
+                        crit: result.isCritical,
+                        miss: result.missed,
+                        applied: result.applied ? API.format(result.applied.mode === 'heal' ? 'cards.healed' : 'cards.applied', { amount: result.applied.amount }) : null,
+                        reactionLabel: this.getReactionLabel(data.reactions[result.tokenId], 'damage-taken')
+                    }] : null,
+                    labels: {
+                        apply: API.localize('cards.apply'),
+                        applyHalf: API.localize('cards.applyHalf'),
+                        applyDouble: API.localize('cards.applyDouble'),
+                        heal: API.localize('cards.heal')
+                    }
+                }));
+            case 'save-results':
+                return (data.saveResults || []).map(result => ({
+                    saveType: CONFIG.SW5E?.abilities?.[result.ability]?.label || result.ability?.toUpperCase(),
+                    results: {
+                        total: result.saveTotal,
+                        dc: result.dc,
+                        success: result.success
+                    },
+                    target: result.target?.name ? { name: result.target.name } : null
+                }));
+            case 'effects':
+                if (!data.effects) return [];
+                return [{
+                    messageId: data.messageId,
+                    entries: data.effects.entries,
+                    targets: data.effects.targets.map(target => ({
+                        tokenId: target.tokenId,
+                        name: target.name,
+                        affected: target.affected,
+                        statusLabel: this.getEffectTargetStatus(target),
+                        effects: data.effects.entries.map(entry => ({
+                            index: entry.index,
+                            icon: entry.icon,
+                            applied: target.applied.includes(entry.index),
+                            title: API.format(target.applied.includes(entry.index) ? 'effects.applied' : 'effects.applyEffect', { effect: entry.name, name: target.name })
+                        }))
+                    })),
+                    labels: {
+                        title: API.localize('effects.title'),
+                        drag: API.localize('effects.dragToToken')
+                    }
+                }];
+            case 'roll-visualization':
+                if (data.rolls.length === 0) return [];
+                return [{
+                    messageId: data.messageId,
+                    collapsed: true,
+                    rolls: data.rolls.map(entry => this.prepareRollData(entry.roll, entry.key, entry.label)),
+                    history: data.rollHistory.map(entry => this.prepareRollData(entry.roll, entry.key, this.getRollLabel(entry.key, entry.roll))),
+                    labels: {
+                        rollDetails: API.localize('cards.rollDetails'),
+                        reroll: API.localize('cards.reroll'),
+                        rollHistory: API.localize('cards.rollHistory'),
+                        noRollData: API.localize('cards.noRollData')
+                    }
+                }];
+            case 'action-buttons':
+                return data.actions?.length > 0 ? [{ actions: data.actions, messageId: data.messageId }] : [];
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Prepare a roll for the roll breakdown
+     * @param {Roll} roll - Evaluated roll
+     * @param {string} key - Roll key used for rerolls
+     * @param {string} label - Display label
+     * @returns {Object} Roll template data
+     */
+    prepareRollData(roll, key, label) {
+        // Dice of the roll an advantage pool did not keep are shown as discarded
+        const discardedDice = getDiscardedPoolDice(roll);
+        return {
+            key: key,
+            label: label,
+            formula: roll?.formula || '',
+            total: roll?.total ?? 0,
+            canRerollDice: this.diceRoller.canRerollDice(roll),
+            dice: (roll?.dice || []).map((die, dieIndex) => ({
+                faces: die.faces,
+                results: die.results.map((result, resultIndex) => ({
+                    result: result.result,
+                    active: result.active && !discardedDice.has(die),
+                    rerolled: !!result.rerolled,
+                    discarded: !!result.discarded || discardedDice.has(die),
+                    dieIndex: dieIndex,
+                    resultIndex: resultIndex
+                }))
+            }))
+        };
+    }
+
+    /**
+     * Get the display label for a roll key
+     * @param {string} key - Roll key (attack.<index>, damage.<rollName> or damage.<rollName>.<hit>)
+     * @param {Roll} [roll] - Roll, damage rolls name their weapon property
+     * @returns {string} Localized label
+     */
+    getRollLabel(key, roll = null) {
+        const [rollGroup, rollName, hitNumber] = (key || '').split('.');
+        return rollGroup === 'damage' ? getDamageRollLabel(rollName, roll, Number(hitNumber) || 1) : API.localize(`cards.${rollGroup}`);
+    }
+
     /**
      * Create fallback HTML if template rendering fails
      * @param {Object} data - Card data
@@ -1,6 +1,12 @@
 import { API } from '../../api.js';
-import { getWeaponDamageData, getAllWeaponDamageParts, isSmartWeapon, getSmartWeaponData } from '../../actors/item-util.js';
-import { getAbilityModifier, getWeaponAbility, getProficiencyBonus } from '../../actors/actor-util.js';
+import { getWeaponDamageData, getAllWeaponDamageParts, isSmartWeapon, getSmartWeaponData, getItemSaveData, getPowerCastData, getPowerRollType, damageAddsAbilityModifier, getWeaponAmmoData, getAmmoCost } from '../../actors/item-util.js';
+import { getAbilityModifier, getWeaponAbility, getProficiencyBonus, getWeaponSaveDC } from '../../actors/actor-util.js';
+import { ammoManager } from '../../core/utils/resource-manager/ammo-manager.js';
+import { EffectApplicator } from '../../core/targets/effect-applicator.js';
+import { concentrationManager } from '../../core/actors/concentration-manager.js';
+import { WORLD_CRITICAL_RULE } from '../../core/dice/critical-rules.js';
+import { FormulaParser } from '../../core/dice/formula-parser.js';
+import { NO_MINIMUM_ROLL } from '../../core/dice/minimum-rolls.js';
 
 const logThisFile = false;
 
@@ -23,8 +29,14 @@ export class GenericInputHandler {
         this.selectedItem = '';
         this.selectedPreset = '';
         this.selectedAttribute = 'dex';
+        this.castLevel = handler?.currentOptions?.castLevel ?? null;
+        this.fireMode = handler?.currentOptions?.fireMode ?? 'single';
+        this.criticalRule = handler?.currentOptions?.criticalRule ?? WORLD_CRITICAL_RULE;
+        this.minimumRoll = handler?.currentOptions?.minimumRoll ?? NO_MINIMUM_ROLL;
+        this.useSmartStats = null; // Smart weapon stats are used by default when they beat the wielder's
         this.rollForEachTarget = false;
         this.featureStates = {}; // Initialize feature states
+        this.formulaParser = new FormulaParser();
         this.setupEventListeners();
     }
 
@@ -34,10 +46,15 @@ export class GenericInputHandler {
     setupEventListeners() {
         try {
             this.setupItemSelection();
+            this.setupFireModeSelect();
+            this.setupCriticalRuleSelect();
+            this.setupPowerLevelSelect();
+            this.setupAmmoStatus();
             this.setupModifierToggles();
             this.setupAddModifierButtons();
             this.setupAdvantageRadios();
             this.setupRollModeSelect();
+            this.setupMinimumRollSelect();
             this.setupRollButton();
             this.setupCollapsibleSections();
             this.setupAttributeSelect();
@@ -162,6 +179,13 @@ export class GenericInputHandler {
                 return;
             }
 
+            // Handle special case for casting focus row
+            if (modifierId === 'casting-focus') {
+                this.toggleRowState(row, isChecked);
+                this.updateRollButtonLabel();
+                return;
+            }
+
             // Handle special case for weapon damage row
             if (modifierId === 'weapon-damage') {
                 // For weapon damage row, we don't have a modifier object, just update the row state
@@ -324,8 +348,20 @@ export class GenericInputHandler {
             itemSelect.addEventListener('change', async (event) => {
                 this.selectedItem = event.target.value;
                 
+                // Powers differ in cast levels and first roll, their sections are rebuilt
+                if (this.getDialogType() === 'power') {
+                    this.castLevel = null;
+                    await this.refreshPowerSections();
+                    await this.refreshEffectsSection();
+                    return;
+                }
+                
                 // Update weapon-related rows when item selection changes
                 if (this.handler && this.handler.currentOptions && this.handler.currentOptions.actor) {
+                    this.useSmartStats = null;
+                    this.refreshFireModes();
+                    await this.refreshAmmoSection();
+                    await this.refreshEffectsSection();
                     await this.updateWeaponRows(this.handler.currentOptions.actor, this.selectedItem);
                     // Update roll button label after weapon change
                     this.updateRollButtonLabel();
@@ -382,6 +418,165 @@ export class GenericInputHandler {
         }
     }
 
+    /**
+     * Setup the fire mode select of weapons with burst or rapid fire
+     */
+    setupFireModeSelect() {
+        const fireModeSelect = this.dialogElement.querySelector('#fire-mode-select');
+        if (fireModeSelect) {
+            fireModeSelect.addEventListener('change', async (event) => {
+                this.fireMode = event.target.value;
+                // The fire mode changes the shots the attack uses
+                await this.refreshAmmoSection();
+                this.updateRollButtonLabel();
+            });
+        }
+    }
+
+    /**
+     * Setup the critical rule select of attack dialogs
+     */
+    setupCriticalRuleSelect() {
+        const criticalRuleSelect = this.dialogElement.querySelector('#critical-rule-select');
+        if (criticalRuleSelect) {
+            criticalRuleSelect.addEventListener('change', (event) => {
+                this.criticalRule = event.target.value;
+            });
+        }
+    }
+
+    /**
+     * Rebuild the fire mode options for the selected weapon
+     * The selected mode falls back to single shots when the weapon cannot fire it
+     */
+    refreshFireModes() {
+        const fireModeRow = this.dialogElement.querySelector('.fire-mode-row');
+        const fireModeSelect = fireModeRow?.querySelector('#fire-mode-select');
+        const renderer = this.handler?.renderer;
+        if (!fireModeSelect || !renderer) return;
+
+        const { fireModes, hasFireModes } = renderer.prepareFireModeData(this.handler.currentOptions.actor, this.getSelectedItemID(), this.fireMode);
+        fireModeSelect.innerHTML = fireModes
+            .map(mode => `<option value="${mode.value}" ${mode.selected ? 'selected' : ''}>${mode.label}</option>`)
+            .join('');
+        fireModeRow.classList.toggle('hidden', !hasFireModes);
+        this.fireMode = fireModes.find(mode => mode.selected)?.value || 'single';
+    }
+
+    /**
+     * Setup the cast level select of power dialogs
+     */
+    setupPowerLevelSelect() {
+        const powerLevelSelect = this.dialogElement.querySelector('#power-level-select');
+        if (powerLevelSelect) {
+            powerLevelSelect.addEventListener('change', async (event) => {
+                this.castLevel = Number(event.target.value);
+                await this.refreshPowerSections();
+            });
+        }
+    }
+
+    /**
+     * Re-render the sections of a power dialog that depend on the power and its cast level
+     */
+    async refreshPowerSections() {
+        try {
+            const renderer = this.handler?.renderer;
+            const options = this.handler?.currentOptions;
+            if (!renderer || !options?.actor) return;
+
+            const sectionData = {
+                ...options,
+                itemID: this.getSelectedItemID(),
+                castLevel: this.castLevel,
+                modifiers: this.modifiers
+            };
+
+            for (const [sectionName, selector] of [['power-level', '.power-level-section'], ['modifiers-table', '.modifiers-table-section']]) {
+                const section = this.dialogElement.querySelector(selector);
+                const sectionHtml = section ? await renderer.renderSection(sectionName, sectionData) : null;
+                if (sectionHtml !== null) {
+                    section.outerHTML = sectionHtml;
+                }
+            }
+
+            this.setupPowerLevelSelect();
+            this.setupAttributeSelect();
+            await this.initializeWeaponRows();
+            this.updateRollButtonLabel();
+        } catch (error) {
+            API.log('error', 'Failed to refresh power sections', error);
+        }
+    }
+
+    /**
+     * Setup the reload button of the ammo status section
+     */
+    setupAmmoStatus() {
+        const reloadButton = this.dialogElement.querySelector('.reload-weapon-btn');
+        if (reloadButton) {
+            reloadButton.addEventListener('click', async () => {
+                try {
+                    const actor = this.handler?.currentOptions?.actor;
+                    const result = await ammoManager.reload(actor, this.getSelectedItemID());
+                    ui.notifications.info(API.format('cards.reloaded', { weapon: result.weaponName, ammunition: result.ammunitionName }));
+                } catch (error) {
+                    API.log('error', 'Failed to reload weapon', error);
+                    ui.notifications.warn(error.message);
+                }
+                await this.refreshAmmoSection();
+            });
+        }
+    }
+
+    /**
+     * Re-render the ammo status section for the selected weapon
+     */
+    async refreshAmmoSection() {
+        try {
+            const renderer = this.handler?.renderer;
+            const options = this.handler?.currentOptions;
+            const section = this.dialogElement.querySelector('.ammo-status-section');
+            if (!renderer || !options?.actor || !section) return;
+
+            const sectionHtml = await renderer.renderSection('ammo-status', {
+                ...options,
+                itemID: this.getSelectedItemID(),
+                fireMode: this.fireMode
+            });
+            if (sectionHtml !== null) {
+                section.outerHTML = sectionHtml;
+                this.setupAmmoStatus();
+            }
+        } catch (error) {
+            API.log('error', 'Failed to refresh ammo section', error);
+        }
+    }
+
+    /**
+     * Re-render the effects section for the selected item
+     * The effects of the newly selected item start out chosen
+     */
+    async refreshEffectsSection() {
+        try {
+            const renderer = this.handler?.renderer;
+            const options = this.handler?.currentOptions;
+            const section = this.dialogElement.querySelector('.effects-section');
+            if (!renderer || !options?.actor || !section) return;
+
+            const sectionHtml = await renderer.renderSection('effects', {
+                ...options,
+                itemID: this.getSelectedItemID(),
+                effects: null
+            });
+            if (sectionHtml !== null) {
+                section.outerHTML = sectionHtml;
+            }
+        } catch (error) {
+            API.log('error', 'Failed to refresh effects section', error);
+        }
+    }
+
     /**
      * Setup roll mode select
      */
@@ -394,6 +589,18 @@ export class GenericInputHandler {
         }
     }
 
+    /**
+     * Setup the minimum roll select
+     */
+    setupMinimumRollSelect() {
+        const minimumRollSelect = this.dialogElement.querySelector('#minimum-roll-select');
+        if (minimumRollSelect) {
+            minimumRollSelect.addEventListener('change', (event) => {
+                this.minimumRoll = event.target.value;
+            });
+        }
+    }
+
     /**
      * Setup roll button click handler
      */
@@ -405,6 +612,16 @@ export class GenericInputHandler {
                     // Get the dialog state
                     const dialogState = await this.getDialogState();
                     
+                    // Keep the dialog open when the power cannot be cast
+                    if (dialogState.dialogType === 'power' && !(await this.validatePowerCast(dialogState))) {
+                        return;
+                    }
+                    
+                    // Keep the dialog open so the empty weapon can be reloaded
+                    if (dialogState.dialogType === 'attack' && !this.validateAmmo(dialogState)) {
+                        return;
+                    }
+                    
                     // Log the dialog state for debugging
                     console.log('=== WORKFLOW START ===');
                     console.log('Dialog State:', dialogState);
@@ -484,8 +701,17 @@ export class GenericInputHandler {
             // Get dialog type
             const dialogType = this.getDialogType();
             
-            // Launch attack workflow
-            const result = await executor.executeWorkflow(dialogType, dialogState);
+            // Dialogs opened from a paused card continue that workflow
+            const resumeMessageId = this.handler?.currentOptions?.resumeMessageId;
+            let result;
+            if (resumeMessageId) {
+                // Keep the targets the workflow started with
+                delete dialogState.targetIDs;
+                result = await executor.resumeWorkflow(resumeMessageId, dialogState);
+            } else {
+                // Launch workflow
+                result = await executor.executeWorkflow(this.getWorkflowType(dialogType, dialogState), dialogState);
+            }
             
             // Log the final result
             console.log('=== WORKFLOW END ===');
@@ -497,6 +723,114 @@ export class GenericInputHandler {
         }
     }
 
+    /**
+     * Get the workflow to launch for a dialog
+     * Weapon attacks chain into damage, the damage roll is requested from the attack card
+     * @param {string} dialogType - Dialog type
+     * @param {Object} dialogState - Dialog state
+     * @returns {string} Workflow type
+     */
+    getWorkflowType(dialogType, dialogState) {
+        const hasItem = dialogState.itemID && dialogState.itemID !== 'none';
+        if (dialogType === 'power') {
+            return this.getPowerWorkflowType(dialogState);
+        }
+        if (dialogType === 'attack' && hasItem) {
+            // Burst fire has the targets in the area save instead of an attack roll
+            return dialogState.fireMode === 'burst' ? 'burst-damage-save' : 'attack-damage';
+        }
+
+        // Damage from an item with a save has the targets save against it
+        if (dialogType === 'damage' && hasItem && getItemSaveData(this.handler?.currentOptions?.actor, dialogState.itemID)) {
+            return 'damage-save';
+        }
+        return dialogType;
+    }
+
+    /**
+     * Get the workflow to launch for a power
+     * The power is cast first, then its attack, damage and save follow
+     * @param {Object} dialogState - Dialog state
+     * @returns {string} Workflow type
+     */
+    getPowerWorkflowType(dialogState) {
+        const item = this.handler?.currentOptions?.actor?.items?.get(dialogState.itemID);
+        const hasSave = !!getItemSaveData(this.handler?.currentOptions?.actor, dialogState.itemID);
+
+        if (item?.hasAttack) {
+            return item.hasDamage ? 'power-attack-damage' : 'power-attack';
+        }
+        if (item?.hasDamage) {
+            return hasSave ? 'power-damage-save' : 'power-damage';
+        }
+        return hasSave ? 'power-save' : 'power';
+    }
+
+    /**
+     * Check that the selected power can be cast at the selected level
+     * Casting a concentration power while concentrating asks before the earlier power ends
+     * @param {Object} dialogState - Dialog state
+     * @returns {Promise<boolean>} True if the power can be cast
+     */
+    async validatePowerCast(dialogState) {
+        const actor = this.handler?.currentOptions?.actor;
+        const castData = getPowerCastData(actor, dialogState.itemID, dialogState.castLevel);
+        if (!castData) {
+            ui.notifications.warn(API.localize('powers.noPower'));
+            return false;
+        }
+
+        if (castData.isOvercast && !API.getSetting('allow-overcasting', false)) {
+            ui.notifications.warn(API.format('powers.overcastNotAllowed', { level: castData.castLevel, maxLevel: castData.maxLevel }));
+            return false;
+        }
+
+        if (castData.cost > castData.pointsAvailable) {
+            ui.notifications.warn(API.format('powers.insufficientPoints', {
+                cost: castData.cost,
+                available: castData.pointsAvailable,
+                resource: API.localize(`resources.${castData.resourceType}`)
+            }));
+            return false;
+        }
+
+        const concentration = castData.concentration ? concentrationManager.getConcentration(actor) : null;
+        if (concentration) {
+            return Dialog.confirm({
+                title: API.localize('concentration.title'),
+                content: `<p>${API.format('concentration.replacePrompt', { name: actor.name, power: concentration.itemName, newPower: castData.name })}</p>`,
+                defaultYes: false
+            });
+        }
+
+        return true;
+    }
+
+    /**
+     * Check that the selected weapon has the attack's shots loaded when empty weapons are blocked
+     * @param {Object} dialogState - Dialog state
+     * @returns {boolean} True if the attack can be made
+     */
+    validateAmmo(dialogState) {
+        if (API.getSetting('ammo-tracking', 'warn') !== 'block') {
+            return true;
+        }
+
+        const actor = this.handler?.currentOptions?.actor;
+        const ammoData = getWeaponAmmoData(actor, dialogState.itemID);
+        const cost = getAmmoCost(actor, dialogState.itemID, dialogState.fireMode || 'single');
+        if (ammoData && ammoData.value < cost) {
+            ui.notifications.warn(API.format(ammoData.value === 0 ? 'ammo.empty' : 'ammo.notEnough', {
+                weapon: ammoData.name,
+                cost: cost,
+                value: ammoData.value
+            }));
+            return false;
+        }
+
+        return true;
+    }
+
     /**
      * Add a new modifier from the input fields
      */
@@ -534,10 +868,14 @@ export class GenericInputHandler {
                 const dieType = diceTypeSelect.value;
                 modifier = `${quantity}${dieType}`;
                 isDice = true;
-            } else if (valueInput && valueInput.value) {
-                // This is a number modifier row
-                modifier = parseInt(valueInput.value) >= 0 ? `${valueInput.value}` : valueInput.value;
-                isDice = false;
+            } else if (valueInput && valueInput.value.trim()) {
+                // This is a value modifier row, the value can be any formula the dice builder reads (2, 1d4[energy], @prof)
+                modifier = valueInput.value.trim();
+                if (!this.formulaParser.isValid(modifier)) {
+                    API.notify(API.format('interface.invalidFormula', { formula: modifier }), 'warning');
+                    return;
+                }
+                isDice = this.formulaParser.parse(modifier).some(term => term.kind !== 'flat');
             } else {
                 API.notify('Please enter a modifier value or select dice quantity and type', 'warning');
                 return;
@@ -613,51 +951,6 @@ export class GenericInputHandler {
         if (diceTypeSelect) diceTypeSelect.selectedIndex = 0; // Reset to first option
     }
 
-    /**
-     * Helper function to combine dice modifiers into a sorted string
-     * @param {Array} diceArray - Array of dice strings (e.g., ["1d8", "1d4", "1d4", "1d6", "4d6"])
-     * @returns {string} Combined dice string (e.g., "1d8+5d6+2d4")
-     */
-    combineDiceModifiers(diceArray) {
-        if (!diceArray || diceArray.length === 0) {
-            return '';
-        }
-
-        // Parse and group dice by type
-        const diceGroups = {};
-        
-        diceArray.forEach(diceString => {
-            // Parse dice string (e.g., "2d8" -> quantity: 2, type: "d8")
-            const match = diceString.match(/^(\d+)(d\d+)$/);
-            if (match) {
-                const quantity = parseInt(match[1]);
-                const dieType = match[2];
-                
-                if (diceGroups[dieType]) {
-                    diceGroups[dieType] += quantity;
-                } else {
-                    diceGroups[dieType] = quantity;
-                }
-            }
-        });
-
-        // Sort die types from highest to lowest (d20, d12, d10, d8, d6, d4)
-        const dieTypeOrder = ['d20', 'd12', 'd10', 'd8', 'd6', 'd4'];
-        const sortedDieTypes = Object.keys(diceGroups).sort((a, b) => {
-            const indexA = dieTypeOrder.indexOf(a);
-            const indexB = dieTypeOrder.indexOf(b);
-            return indexA - indexB; // Lower index = higher die type
-        });
-
-        // Build combined string
-        const combinedParts = sortedDieTypes.map(dieType => {
-            const quantity = diceGroups[dieType];
-            return `${quantity}${dieType}`;
-        });
-
-        return combinedParts.join('+');
-    }
-
     /**
      * Get the current dialog type from the handler
      */
@@ -671,6 +964,63 @@ export class GenericInputHandler {
         }
     }
 
+    /**
+     * Get the roll the dialog makes
+     * Power dialogs roll the power's first roll, damage for powers without an attack
+     * @returns {string} Roll type (attack, damage, skill, save)
+     */
+    getRollType() {
+        const dialogType = this.getDialogType();
+        if (dialogType !== 'power') {
+            return dialogType;
+        }
+        return getPowerRollType(this.handler?.currentOptions?.actor, this.getSelectedItemID()) === 'damage' ? 'damage' : 'attack';
+    }
+
+    /**
+     * Get the item currently selected in the dialog
+     * @returns {string} Item ID or an empty string if none is selected
+     */
+    getSelectedItemID() {
+        const itemSelect = this.dialogElement?.querySelector('#item-select');
+        return this.handler?.currentOptions?.itemID || itemSelect?.value || this.selectedItem || '';
+    }
+
+    /**
+     * Get the level the selected power is cast at
+     * Dialogs resumed from a power card keep the level the power was cast at
+     * @returns {number|null} Cast level or null if no power is cast
+     */
+    getCastLevel() {
+        if (this.getDialogType() === 'power') {
+            return getPowerCastData(this.handler?.currentOptions?.actor, this.getSelectedItemID(), this.castLevel)?.castLevel ?? null;
+        }
+        return this.castLevel;
+    }
+
+    /**
+     * Get the fire mode of the attack
+     * Dialogs resumed from an attack card keep the mode the weapon was fired in
+     * @returns {string} Fire mode (single, burst, rapid)
+     */
+    getFireMode() {
+        return this.fireMode || 'single';
+    }
+
+    /**
+     * Get the save targets make against a burst
+     * @param {Object} actor - The actor object
+     * @param {string} itemID - The weapon item ID
+     * @returns {Promise<Object>} Save object ({ ability, dc, onSave })
+     */
+    async getBurstSaveObj(actor, itemID) {
+        return {
+            ability: 'dex',
+            dc: await getWeaponSaveDC(actor, itemID),
+            onSave: 'none'
+        };
+    }
+
     /**
      * Get damage type icon placeholder
      */
@@ -798,6 +1148,15 @@ export class GenericInputHandler {
                 };
             }
             
+            if (modifierId === 'casting-focus') {
+                const modifierElement = row.querySelector('.casting-focus-modifier');
+                return {
+                    name: modifierName,
+                    modifier: modifierElement?.textContent?.trim() || '',
+                    modifierType: 'Untyped'
+                };
+            }
+
             if (modifierId === 'attribute') {
                 const modifierElement = row.querySelector('.attribute-modifier, .smart-weapon-attribute-modifier');
                 const text = modifierElement?.textContent?.trim() || '';
@@ -853,7 +1212,8 @@ export class GenericInputHandler {
                 modifier: featureData.modifier,
                 modifierType: featureData.modifierType,
                 isDice: featureData.isDice || true, // Use stored isDice or default to true
-                featureName: featureData.featureName || featureId
+                featureName: featureData.featureName || featureId,
+                minimumRoll: featureData.minimumRoll || null // Minimum roll rule of the modifier's own dice
             };
             
         } catch (error) {
@@ -944,49 +1304,21 @@ export class GenericInputHandler {
 
     /**
      * Combine a group of modifiers
+     * Like dice and flat values are merged, e.g. 1d6, 1d6, 2 and -1 into 2d6+1
      */
     combineModifierGroup(modifiers) {
         if (!modifiers || modifiers.length === 0) return '';
         
-        // Separate dice and number modifiers
-        const diceModifiers = [];
-        const numberModifiers = [];
-        
-        modifiers.forEach(mod => {
-            if (mod.isDice || mod.modifier.includes('d')) {
-                diceModifiers.push(mod.modifier);
-            } else {
-                numberModifiers.push(mod.modifier);
+        const terms = modifiers.flatMap(mod => {
+            try {
+                return this.formulaParser.parse(mod.modifier);
+            } catch (error) {
+                API.log('warning', `Skipping invalid modifier ${mod.modifier}`, error);
+                return [];
             }
         });
         
-        // Combine dice modifiers
-        const combinedDice = this.combineDiceModifiers(diceModifiers);
-        
-        // Sum number modifiers
-        const numberSum = numberModifiers.reduce((sum, mod) => {
-            const value = parseInt(mod) || 0;  // Parse directly, preserving sign
-            return sum + value;
-        }, 0);
-        
-        // Build combined string
-        let combined = '';
-        
-        if (combinedDice) {
-            combined += combinedDice;
-        }
-        
-        if (numberSum !== 0) {
-            if (combined) {
-                // Add + or - sign based on the number sum
-                combined += numberSum >= 0 ? `+${numberSum}` : `${numberSum}`;
-            } else {
-                // If no dice, just add the number
-                combined += `${numberSum}`;
-            }
-        }
-        
-        return combined;
+        return this.formulaParser.stringify(this.formulaParser.merge(terms, { byType: false }), { flavors: false });
     }
 
     /**
@@ -994,7 +1326,12 @@ export class GenericInputHandler {
      */
     buildRollButtonLabel() {
         try {
-            const dialogType = this.getDialogType();
+            // Burst fire makes no attack roll, the targets save against it
+            if (this.getDialogType() === 'attack' && this.getFireMode() === 'burst') {
+                return `${API.localize('interface.roll_button')}: ${API.localize('interface.burstFire')}`;
+            }
+
+            const dialogType = this.getRollType();
             const isDamageDialog = dialogType?.toLowerCase() === 'damage';
             
             // Collect all modifiers
@@ -1078,6 +1415,8 @@ export class GenericInputHandler {
             const selectedAbility = attributeSelect?.value || this.selectedAttribute || 'dex';
             const abilityModifier = actor ? await getAbilityModifier(actor, selectedAbility) : '+0';
             const abilityDisplayName = this.getAbilityDisplayName(selectedAbility);
+            const fireMode = this.getFireMode();
+            const isBurst = dialogType === 'attack' && fireMode === 'burst';
             
             return {
                 ownerID: this.handler?.currentOptions?.ownerID || 'unknown',
@@ -1086,14 +1425,19 @@ export class GenericInputHandler {
                 rollMode: this.rollMode,
                 advantageSelection: this.advantageType || 'Normal',
                 rollSeparate: this.getRollSeparateSetting(),
+                castLevel: this.getCastLevel(),
+                fireMode: fireMode,
+                criticalRule: this.criticalRule || WORLD_CRITICAL_RULE,
+                minimumRoll: this.minimumRoll || NO_MINIMUM_ROLL,
                 selectedAbility: selectedAbility,
                 abilityModifier: abilityModifier,
                 abilityDisplayName: abilityDisplayName,
-                saveObj: {}, // Placeholder for later
+                saveObj: isBurst ? await this.getBurstSaveObj(actor, itemID) : {}, // Burst fire sets the save its targets make
                 skillObj: {}, // Placeholder for later
                 modifiers: this.collectAllEnabledModifiers(),
                 resourceCosts: this.collectResourceCosts(),
                 enabledFeatures: this.collectEnabledFeatures(),
+                effects: this.collectEffects(),
                 targetIDs: this.collectTargetIDs()
             };
         } catch (error) {
@@ -1110,6 +1454,7 @@ export class GenericInputHandler {
                 modifiers: [],
                 resourceCosts: [],
                 enabledFeatures: [],
+                effects: [],
                 targetIDs: []
             };
         }
@@ -1133,7 +1478,7 @@ export class GenericInputHandler {
      */
     collectAllEnabledModifiers() {
         const modifiers = [];
-        const dialogType = this.getDialogType();
+        const dialogType = this.getRollType();
         const isDamageDialog = dialogType?.toLowerCase() === 'damage';
         
         // Collect from regular modifier table rows (non-feature modifiers)
@@ -1172,7 +1517,8 @@ export class GenericInputHandler {
                         modifierName: modifierData.featureName || featureId,
                         modifier: modifierData.modifier,
                         modifierType: modifierData.modifierType,
-                        featureName: modifierData.featureName
+                        featureName: modifierData.featureName,
+                        minimumRoll: modifierData.minimumRoll
                     });
                 }
             }
@@ -1245,6 +1591,28 @@ export class GenericInputHandler {
         return enabledFeatures;
     }
 
+    /**
+     * Collect the item effects and condition chosen for the workflow's targets
+     * @returns {Array} Effect entries ({ type: 'item', effectId, uuid, name, icon } or { type: 'condition', statusId, name, icon })
+     */
+    collectEffects() {
+        const effects = Array.from(this.dialogElement.querySelectorAll('.item-effect-toggle:checked')).map(toggle => ({
+            type: 'item',
+            effectId: toggle.dataset.effectId,
+            uuid: toggle.dataset.uuid,
+            name: toggle.dataset.name,
+            icon: toggle.dataset.icon
+        }));
+
+        const statusId = this.dialogElement.querySelector('#condition-select')?.value;
+        const condition = statusId ? new EffectApplicator().getConditionEntry(statusId) : null;
+        if (condition) {
+            effects.push(condition);
+        }
+
+        return effects;
+    }
+
     /**
      * Collect all targeted tokens by the user
      */
@@ -1385,7 +1753,7 @@ export class GenericInputHandler {
      */
     updateWeaponDamageRow(actor, itemID) {
         try {
-            const weaponDamageData = getWeaponDamageData(actor, itemID);
+            const weaponDamageData = getWeaponDamageData(actor, itemID, this.getCastLevel());
             const weaponDamageRow = this.dialogElement.querySelector('.weapon-damage-row');
             
             if (!weaponDamageRow) return;
@@ -1410,7 +1778,7 @@ export class GenericInputHandler {
      */
     updateAdditionalDamageParts(actor, itemID) {
         try {
-            const additionalDamageParts = getAllWeaponDamageParts(actor, itemID).filter(part => !part.isBaseDamage);
+            const additionalDamageParts = getAllWeaponDamageParts(actor, itemID, this.getCastLevel()).filter(part => !part.isBaseDamage);
             const tbody = this.dialogElement.querySelector('#modifiers-tbody');
             
             if (!tbody) return;
@@ -1503,12 +1871,62 @@ export class GenericInputHandler {
         }
     }
 
+    /**
+     * Get the stats of the selected smart weapon
+     * @param {Object} actor - The actor object
+     * @param {string} itemID - The weapon item ID
+     * @returns {Promise<Object|null>} Smart weapon data or null if the weapon is not smart
+     */
+    async getSmartWeaponStats(actor, itemID) {
+        return isSmartWeapon(actor, itemID) ? await getSmartWeaponData(actor, itemID) : null;
+    }
+
+    /**
+     * Check whether the attack uses the smart weapon's Dexterity and proficiency instead of the wielder's
+     * The weapon's stats are only offered when they beat the wielder's, the user can switch back
+     * @param {Object|null} smartWeaponData - Smart weapon data
+     * @returns {boolean} True if the smart weapon's stats are used
+     */
+    shouldUseSmartStats(smartWeaponData) {
+        if (!smartWeaponData?.beatsWielder || this.getRollType() !== 'attack') {
+            return false;
+        }
+        return this.useSmartStats !== false;
+    }
+
+    /**
+     * Build the checkbox that switches between the smart weapon's and the wielder's stats
+     * @param {boolean} checked - Whether the smart weapon's stats are used
+     * @returns {string} Checkbox HTML
+     */
+    buildSmartStatsToggle(checked) {
+        return `<label class="smart-weapon-stats-label"><input type="checkbox" class="smart-weapon-stats-toggle" ${checked ? 'checked' : ''}> ${API.localize('interface.useSmartStats')}</label>`;
+    }
+
+    /**
+     * Setup the smart weapon stats checkbox of the attribute row
+     */
+    setupSmartStatsToggle() {
+        const smartToggle = this.dialogElement.querySelector('.smart-weapon-stats-toggle');
+        if (smartToggle) {
+            smartToggle.addEventListener('change', async (event) => {
+                this.useSmartStats = event.target.checked;
+                const actor = this.handler?.currentOptions?.actor;
+                const itemID = this.getSelectedItemID();
+                await this.updateProficiencyRow(actor, itemID);
+                await this.updateAttributeRow(actor, itemID);
+                this.updateRollButtonLabel();
+            });
+        }
+    }
+
     /**
      * Update proficiency row
      */
     async updateProficiencyRow(actor, itemID) {
         try {
-            const isSmart = isSmartWeapon(actor, itemID);
+            const smartWeaponData = await this.getSmartWeaponStats(actor, itemID);
+            const useSmartStats = this.shouldUseSmartStats(smartWeaponData);
             const proficiencyBonus = await getProficiencyBonus(actor);
             const proficiencyRow = this.dialogElement.querySelector('.proficiency-row');
             
@@ -1516,19 +1934,22 @@ export class GenericInputHandler {
 
             const descriptionElement = proficiencyRow.querySelector('.proficiency-description');
             const modifierElement = proficiencyRow.querySelector('.proficiency-modifier');
-            const smartInput = proficiencyRow.querySelector('.smart-weapon-proficiency-input');
+            let smartInput = proficiencyRow.querySelector('.smart-weapon-proficiency-input');
 
             if (descriptionElement) {
-                descriptionElement.textContent = isSmart ? 'Smart Weapon' : '';
+                descriptionElement.textContent = useSmartStats ? API.localize('interface.smartWeapon') : '';
             }
 
             if (modifierElement) {
-                if (isSmart) {
+                if (useSmartStats) {
                     modifierElement.style.display = 'none';
-                    if (smartInput) {
-                        smartInput.style.display = 'inline-block';
-                        smartInput.value = proficiencyBonus;
+                    // The input is only rendered when the dialog opened with a smart weapon
+                    if (!smartInput) {
+                        modifierElement.insertAdjacentHTML('afterend', '<input type="number" class="smart-weapon-proficiency-input">');
+                        smartInput = proficiencyRow.querySelector('.smart-weapon-proficiency-input');
                     }
+                    smartInput.style.display = 'inline-block';
+                    smartInput.value = smartWeaponData.proficiency;
                 } else {
                     modifierElement.style.display = 'inline-block';
                     modifierElement.textContent = `+${proficiencyBonus}`;
@@ -1547,7 +1968,8 @@ export class GenericInputHandler {
      */
     async updateAttributeRow(actor, itemID) {
         try {
-            const isSmart = isSmartWeapon(actor, itemID);
+            const smartWeaponData = await this.getSmartWeaponStats(actor, itemID);
+            const useSmartStats = this.shouldUseSmartStats(smartWeaponData);
             const attributeRow = this.dialogElement.querySelector('.attribute-row');
             
             if (!attributeRow) return;
@@ -1556,27 +1978,31 @@ export class GenericInputHandler {
             const modifierCell = attributeRow.querySelector('td:nth-child(3)');
             const toggle = attributeRow.querySelector('.modifier-toggle');
 
-            if (isSmart) {
-                const smartWeaponData = await getSmartWeaponData(actor, itemID);
-                if (smartWeaponData) {
-                    // Replace dropdown with smart weapon display
-                    attributeCell.innerHTML = `
-                        <span class="smart-weapon-attribute-description">Smart Weapon Dex: ${smartWeaponData.dex}</span>
+            if (useSmartStats) {
+                // Replace dropdown with smart weapon display
+                attributeCell.innerHTML = `
+                    ${this.buildSmartStatsToggle(true)}
+                    <span class="smart-weapon-attribute-description">${API.format('interface.smartWeaponDex', { dex: smartWeaponData.dex })}</span>
+                `;
+                
+                if (modifierCell) {
+                    modifierCell.innerHTML = `
+                        <span class="smart-weapon-attribute-modifier">${smartWeaponData.dexModifier >= 0 ? '+' : ''}${smartWeaponData.dexModifier}</span>
                     `;
-                    
-                    if (modifierCell) {
-                        modifierCell.innerHTML = `
-                            <span class="smart-weapon-attribute-modifier">${smartWeaponData.dexModifier >= 0 ? '+' : ''}${smartWeaponData.dexModifier}</span>
-                        `;
-                    }
+                }
+
+                if (toggle) {
+                    toggle.checked = true;
                 }
             } else {
                 // Get weapon ability and determine if attribute should be disabled
                 const weaponAbility = await getWeaponAbility(actor, itemID);
-                const attributeDisabled = weaponAbility === 'none';
+                // Powers only add their casting ability to damage when the formula uses it
+                const attributeDisabled = weaponAbility === 'none' || (this.getRollType() === 'damage' && !damageAddsAbilityModifier(actor, itemID));
                 
-                // Restore normal attribute dropdown
+                // Restore normal attribute dropdown, smart weapons that beat the wielder can switch back
                 attributeCell.innerHTML = `
+                    ${smartWeaponData?.beatsWielder && this.getRollType() === 'attack' ? this.buildSmartStatsToggle(false) : ''}
                     <label class="attribute-label">${game.i18n.localize("SW5E-QOL.interface.attribute")}:</label>
                     <select class="attribute-select" id="attribute-select">
                         <option value="str" ${weaponAbility === 'str' ? 'selected' : ''}>${game.i18n.localize("SW5E-QOL.attributes.str")}</option>
@@ -1603,6 +2029,8 @@ export class GenericInputHandler {
                 // Re-setup the attribute select event listener
                 this.setupAttributeSelect();
             }
+
+            this.setupSmartStatsToggle();
         } catch (error) {
             API.log('error', 'Failed to update attribute row', error);
         }
@@ -1616,7 +2044,7 @@ export class GenericInputHandler {
             this.updateWeaponDamageRow(actor, itemID);
             
             // Only update additional damage parts for damage dialogs
-            const dialogType = this.getDialogType();
+            const dialogType = this.getRollType();
             if (dialogType?.toLowerCase() === 'damage') {
                 this.updateAdditionalDamageParts(actor, itemID);
             }
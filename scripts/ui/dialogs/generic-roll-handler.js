@@ -24,7 +24,7 @@ export class GenericRollHandler {
     /**
      * Open a generic roll dialog
      * @param {string} ownerID - The ID of the actor/token making the check
-     * @param {string} dialogType - The type of dialog to open (attack, skill, save, damage, ability)
+     * @param {string} dialogType - The type of dialog to open (attack, skill, save, damage, ability, power)
      * @param {Object} options - Optional dialog configuration (will be created if not provided)
      * @returns {Promise<Object|null>} Dialog result or null on error
      */
@@ -39,7 +39,7 @@ export class GenericRollHandler {
             }
                 
             if (!this.validateDialogType(dialogType)) {
-                    ui.notifications.warn(`Invalid dialog type: ${dialogType}. Must be one of: attack, skill, save, damage, ability`);                
+                    ui.notifications.warn(`Invalid dialog type: ${dialogType}. Must be one of: attack, skill, save, damage, ability, power`);                
                     API.log('warning', `Invalid dialogType provided: ${dialogType}`);                
                     return null;  
                 }
@@ -377,7 +377,7 @@ export class GenericRollHandler {
      * Validate dialog type
      */
     validateDialogType(dialogType) {
-        const validTypes = ['attack', 'skill', 'save', 'damage', 'ability'];
+        const validTypes = ['attack', 'skill', 'save', 'damage', 'ability', 'power'];
         return validTypes.includes(dialogType.toLowerCase());
     }
 
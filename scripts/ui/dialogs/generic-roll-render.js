@@ -1,7 +1,10 @@
 import { API } from '../../api.js';
 import { featureManager } from '../../features/feature-manager.js';
-import { buildItemSelectionList, getWeaponDamageData, getAllWeaponDamageParts, isSmartWeapon, getSmartWeaponData } from '../../actors/item-util.js';
+import { buildItemSelectionList, getWeaponDamageData, getAllWeaponDamageParts, isSmartWeapon, getSmartWeaponData, getPowerCastData, getPowerCastLevels, getPowerRollType, damageAddsAbilityModifier, getCastingFocusBonus, getWeaponAmmoData, getAmmoCost, getReloadAmmunition, getWeaponFireModes, FIRE_MODE_LABELS } from '../../actors/item-util.js';
 import { getAbilityModifier, getWeaponAbility, getProficiencyBonus } from '../../actors/actor-util.js';
+import { EffectApplicator } from '../../core/targets/effect-applicator.js';
+import { CRITICAL_RULES, WORLD_CRITICAL_RULE, getCriticalRule } from '../../core/dice/critical-rules.js';
+import { MINIMUM_ROLL_TYPES, NO_MINIMUM_ROLL } from '../../core/dice/minimum-rolls.js';
 
 const logThisFile = false;
 
@@ -38,9 +41,12 @@ export class GenericRollRenderer {
         try {
             const sections = [
                 'item-selection',
+                'ammo-status',
+                'power-level',
                 'modifiers-table',
                 'add-modifier-inputs',
                 'features',
+                'effects',
                 'advantage-radio',
                 'roll-mode-dropdown',
                 'roll-button'
@@ -136,25 +142,10 @@ export class GenericRollRenderer {
                     continue;
                 }
 
-                const template = this.sectionTemplates.get(sectionName);
-                if (!template) {
-                    API.log('warning', `Section template not found: ${sectionName}`);
+                const sectionHtml = await this.renderSection(sectionName, dialogData);
+                if (sectionHtml === null) {
                     continue;
                 }
-
-                // Prepare section data
-               // // API.log('debug', `Preparing section data for ${sectionName}`, dialogData);
-                const sectionData = await this.prepareSectionData(sectionName, dialogData);
-                
-                // Check if FoundryVTT templates are available
-                if (typeof renderTemplate === 'undefined') {
-                    throw new Error('FoundryVTT templates not ready. Please wait for the game to fully load.');
-                }
-                
-                // Render section
-               // // API.log('debug', `Rendering section ${sectionName} with data:`, sectionData);
-               // // API.log('debug', `Template path: ${template}`);
-                const sectionHtml = await renderTemplate(template, sectionData);
                 
                 // Insert section with divider
                 if (dialogBody.children.length > 0) {
@@ -169,6 +160,31 @@ export class GenericRollRenderer {
         }
     }
 
+    /**
+     * Render a single section
+     * Also used by the input handler to re-render sections that depend on the selected item
+     * @param {string} sectionName - Section name
+     * @param {Object} dialogData - Dialog data
+     * @returns {string|null} Section HTML or null if the section has no template
+     */
+    async renderSection(sectionName, dialogData) {
+        const template = this.sectionTemplates.get(sectionName);
+        if (!template) {
+            API.log('warning', `Section template not found: ${sectionName}`);
+            return null;
+        }
+
+        // Prepare section data
+        const sectionData = await this.prepareSectionData(sectionName, dialogData);
+        
+        // Check if FoundryVTT templates are available
+        if (typeof renderTemplate === 'undefined') {
+            throw new Error('FoundryVTT templates not ready. Please wait for the game to fully load.');
+        }
+        
+        return await renderTemplate(template, sectionData);
+    }
+
     /**
      * Get section order based on dialog type
      */
@@ -177,10 +193,12 @@ export class GenericRollRenderer {
             case 'attack':
                 return [
                     'item-selection',
+                    'ammo-status',
                     //'save-attack',
                     'modifiers-table',
                     'add-modifier-inputs',
                     'features',
+                    'effects',
                     'advantage-radio',
                     'roll-mode-dropdown',
                     'roll-button'
@@ -211,6 +229,19 @@ export class GenericRollRenderer {
                     'modifiers-table',
                     'add-modifier-inputs',
                     'features',
+                    'effects',
+                    'roll-mode-dropdown',
+                    'roll-button'
+                ];
+            case 'power':
+                return [
+                    'item-selection',
+                    'power-level',
+                    'modifiers-table',
+                    'add-modifier-inputs',
+                    'features',
+                    'effects',
+                    'advantage-radio',
                     'roll-mode-dropdown',
                     'roll-button'
                 ];
@@ -223,10 +254,6 @@ export class GenericRollRenderer {
      * Prepare section-specific data
      */
     async prepareSectionData(sectionName, dialogData) {
-        const baseData = {
-            modifiers: dialogData.modifiers || [],
-            modifierTypes: this.getModifierTypes(dialogData.type)
-        };
         const { actor, itemID } = dialogData;
         
         // Calculate selection data once for reuse across sections
@@ -234,6 +261,11 @@ export class GenericRollRenderer {
         const selectionData = actor ? buildItemSelectionList(actor, itemType, { itemID }) : null;
         const effectiveItemID = itemID || selectionData?.defaultSelection || '';
         
+        const baseData = {
+            modifiers: dialogData.modifiers || [],
+            modifierTypes: this.getModifierTypes(this.getRollType(dialogData.type, actor, effectiveItemID))
+        };
+        
         switch (sectionName) {
             case 'item-selection':
                 return {
@@ -242,7 +274,9 @@ export class GenericRollRenderer {
                     presets: this.getPresetsForType(dialogData.type),
                     selectionData: selectionData,
                     isLocked: selectionData?.isLocked || false,
-                    defaultSelection: selectionData?.defaultSelection || ''
+                    defaultSelection: selectionData?.defaultSelection || '',
+                    ...this.prepareFireModeData(actor, dialogData.type === 'attack' ? effectiveItemID : null, dialogData.fireMode),
+                    ...this.prepareCriticalRuleData(dialogData.type, dialogData.criticalRule)
                 };
         case 'modifiers-table':
             // Add weapon-related data for the template
@@ -257,12 +291,18 @@ export class GenericRollRenderer {
             };
            // // API.log('debug', 'Final modifiers-table data:', finalData);
             return finalData;
+            case 'power-level':
+                return this.preparePowerLevelData(actor, effectiveItemID, dialogData.castLevel);
+            case 'ammo-status':
+                return this.prepareAmmoData(actor, effectiveItemID, dialogData.fireMode);
+            case 'effects':
+                return this.prepareEffectsData(actor, effectiveItemID, dialogData.effects);
             case 'add-modifier-inputs':
                 return baseData;
             case 'advantage-radio':
                 return {};
             case 'roll-mode-dropdown':
-                return {};
+                return this.prepareMinimumRollData(dialogData.minimumRoll);
             case 'roll-button':
                 return {};
             default:
@@ -278,6 +318,8 @@ export class GenericRollRenderer {
             case 'attack':
             case 'damage':
                 return 'weapon';
+            case 'power':
+                return 'power';
             case 'skill':
             case 'save':
                 return 'weapon'; // These might use different types in the future
@@ -286,6 +328,164 @@ export class GenericRollRenderer {
         }
     }
 
+    /**
+     * Get the roll a dialog makes
+     * Power dialogs roll the power's first roll, damage for powers without an attack
+     * @param {string} dialogType - Dialog type
+     * @param {Object} actor - The actor object
+     * @param {string} itemID - Selected item ID
+     * @returns {string} Roll type (attack, damage, skill, save)
+     */
+    getRollType(dialogType, actor, itemID) {
+        if (dialogType?.toLowerCase() !== 'power') {
+            return dialogType;
+        }
+        return getPowerRollType(actor, itemID) === 'damage' ? 'damage' : 'attack';
+    }
+
+    /**
+     * Prepare the cast level options of the selected power
+     * @param {Object} actor - The actor object
+     * @param {string} itemID - Selected power ID
+     * @param {number} [castLevel=null] - Selected cast level
+     * @returns {Object} Power level section data
+     */
+    preparePowerLevelData(actor, itemID, castLevel = null) {
+        const castData = actor ? getPowerCastData(actor, itemID, castLevel) : null;
+        if (!castData) {
+            return { levels: [], costLabel: '', isOvercast: false, insufficientPoints: false };
+        }
+
+        const allowOvercasting = API.getSetting('allow-overcasting', false);
+        const levels = getPowerCastLevels(actor, itemID).map(option => ({
+            level: option.level,
+            label: option.level === 0
+                ? API.localize('interface.atWill')
+                : API.format('interface.powerLevelOption', { level: option.level, cost: option.cost }),
+            selected: option.level === castData.castLevel,
+            disabled: option.isOvercast && !allowOvercasting
+        }));
+
+        return {
+            levels: levels,
+            costLabel: API.format('interface.powerPointCost', {
+                cost: castData.cost,
+                available: castData.pointsAvailable,
+                resource: API.localize(`resources.${castData.resourceType}`)
+            }),
+            isOvercast: castData.isOvercast,
+            insufficientPoints: castData.cost > castData.pointsAvailable
+        };
+    }
+
+    /**
+     * Prepare the fire modes of the selected weapon
+     * @param {Object} actor - The actor object
+     * @param {string} itemID - Selected weapon ID
+     * @param {string} [fireMode='single'] - Selected fire mode
+     * @returns {Object} Fire mode data ({ fireModes, hasFireModes })
+     */
+    prepareFireModeData(actor, itemID, fireMode = 'single') {
+        const available = itemID ? getWeaponFireModes(actor, itemID) : ['single'];
+        const selected = available.includes(fireMode) ? fireMode : 'single';
+        return {
+            fireModes: available.map(mode => ({
+                value: mode,
+                label: API.localize(FIRE_MODE_LABELS[mode]),
+                selected: mode === selected
+            })),
+            // Weapons without burst or rapid fire only shoot single shots
+            hasFireModes: available.length > 1
+        };
+    }
+
+    /**
+     * Prepare the critical rules an attack can use instead of the world's rule
+     * @param {string} dialogType - Dialog type
+     * @param {string} [criticalRule='default'] - Selected critical rule
+     * @returns {Object} Critical rule data ({ criticalRules, hasCriticalRules })
+     */
+    prepareCriticalRuleData(dialogType, criticalRule = WORLD_CRITICAL_RULE) {
+        const worldLabel = API.localize(`criticalRules.${getCriticalRule()}`);
+        const rules = [WORLD_CRITICAL_RULE, ...Object.values(CRITICAL_RULES)];
+        const selected = rules.includes(criticalRule) ? criticalRule : WORLD_CRITICAL_RULE;
+        return {
+            criticalRules: rules.map(rule => ({
+                value: rule,
+                label: rule === WORLD_CRITICAL_RULE
+                    ? API.format('interface.criticalRuleDefault', { rule: worldLabel })
+                    : API.localize(`criticalRules.${rule}`),
+                selected: rule === selected
+            })),
+            // Only attacks can score a critical hit
+            hasCriticalRules: dialogType === 'attack'
+        };
+    }
+
+    /**
+     * Prepare the minimum roll rules a roll can use
+     * Fixed minimums come from features and modifiers, the dialog offers the die size minimum
+     * @param {string} [minimumRoll='none'] - Selected minimum roll rule
+     * @returns {Object} Minimum roll data ({ minimumRolls })
+     */
+    prepareMinimumRollData(minimumRoll = NO_MINIMUM_ROLL) {
+        const rules = [NO_MINIMUM_ROLL, MINIMUM_ROLL_TYPES.byFaces];
+        const selected = rules.includes(minimumRoll) ? minimumRoll : NO_MINIMUM_ROLL;
+        return {
+            minimumRolls: rules.map(rule => ({
+                value: rule,
+                label: API.localize(`minimumRolls.${rule}`),
+                selected: rule === selected
+            }))
+        };
+    }
+
+    /**
+     * Prepare the loaded shots of the selected weapon
+     * @param {Object} actor - The actor object
+     * @param {string} itemID - Selected weapon ID
+     * @param {string} [fireMode='single'] - Fire mode of the attack
+     * @returns {Object} Ammo status section data
+     */
+    prepareAmmoData(actor, itemID, fireMode = 'single') {
+        const tracking = API.getSetting('ammo-tracking', 'warn');
+        const ammoData = actor && tracking !== 'off' ? getWeaponAmmoData(actor, itemID) : null;
+        if (!ammoData) {
+            return { hasAmmo: false, shotsLabel: '', isShort: false, canReload: false };
+        }
+
+        return {
+            hasAmmo: true,
+            shotsLabel: API.format('cards.shotsRemaining', { remaining: ammoData.value, max: ammoData.max }),
+            isShort: ammoData.value < getAmmoCost(actor, itemID, fireMode || 'single'),
+            canReload: ammoData.value < ammoData.max && getReloadAmmunition(actor, itemID).length > 0
+        };
+    }
+
+    /**
+     * Prepare the item effects and conditions the workflow can apply to its targets
+     * @param {Object} actor - The actor object
+     * @param {string} itemID - Selected item ID
+     * @param {Array} [selectedEffects=null] - Effect entries already chosen, the item's effects are chosen by default
+     * @returns {Object} Effects section data ({ itemEffects, conditions })
+     */
+    prepareEffectsData(actor, itemID, selectedEffects = null) {
+        const effectApplicator = new EffectApplicator();
+        const item = itemID ? actor?.items?.get(itemID) : null;
+
+        const isSelected = (key, value) => selectedEffects?.some(entry => entry[key] === value);
+        return {
+            itemEffects: effectApplicator.getItemEffects(item).map(effect => ({
+                ...effect,
+                selected: selectedEffects ? isSelected('effectId', effect.effectId) : true
+            })),
+            conditions: effectApplicator.getConditions().map(condition => ({
+                ...condition,
+                selected: isSelected('statusId', condition.statusId)
+            }))
+        };
+    }
+
     /**
      * Get modifier types based on dialog type
      */
@@ -315,6 +515,8 @@ export class GenericRollRenderer {
                 return 'SW5E-QOL.interface.save';
             case 'damage':
                 return 'SW5E-QOL.interface.weapon';
+            case 'power':
+                return 'SW5E-QOL.interface.power';
             default:
                 return 'SW5E-QOL.interface.item';
         }
@@ -339,6 +541,9 @@ export class GenericRollRenderer {
                 case 'damage':
                     itemType = 'weapon';
                     break;
+                case 'power':
+                    itemType = 'power';
+                    break;
                 case 'skill':
                 case 'save':
                     // These might use different item types in the future
@@ -506,12 +711,13 @@ export class GenericRollRenderer {
      */
     async prepareWeaponData(dialogData) {
         try {
-            const { actor, itemID, type: dialogType } = dialogData;
+            const { actor, itemID, castLevel, type: dialogType } = dialogData;
            // // API.log('debug', `prepareWeaponData called with itemID: ${itemID}, dialogType: ${dialogType}`);
             
-            // Determine which rows to show based on dialog type
-            const isDamageDialog = dialogType?.toLowerCase() === 'damage';
-            const showProficiencyRow = dialogType?.toLowerCase() === 'attack' || dialogType?.toLowerCase() === 'save';
+            // Determine which rows to show based on the roll the dialog makes
+            const rollType = this.getRollType(dialogType, actor, itemID)?.toLowerCase();
+            const isDamageDialog = rollType === 'damage';
+            const showProficiencyRow = rollType === 'attack' || rollType === 'save';
             // API.log('debug', `prepareWeaponData called with Actor:`, actor);
             if (!actor) {
                 return {
@@ -535,17 +741,22 @@ export class GenericRollRenderer {
             const item = itemID ? actor.items.get(itemID) : null;
            // // API.log('debug', `Item found: ${item ? item.name : 'null'}`);
             const isSmart = item && item.type === 'weapon' && isSmartWeapon(actor, itemID);
-            const weaponDamageData = getWeaponDamageData(actor, itemID);
-            const additionalDamageParts = isDamageDialog ? getAllWeaponDamageParts(actor, itemID).filter(part => !part.isBaseDamage) : [];
+            const weaponDamageData = getWeaponDamageData(actor, itemID, castLevel);
+            const additionalDamageParts = isDamageDialog ? getAllWeaponDamageParts(actor, itemID, castLevel).filter(part => !part.isBaseDamage) : [];
            // // API.log('debug', 'Weapon damage data:', weaponDamageData);
            // // API.log('debug', 'Additional damage parts:', additionalDamageParts);
             const proficiencyBonus = await getProficiencyBonus(actor);
             const smartWeaponData = isSmart ? await getSmartWeaponData(actor, itemID) : null;
+            // The weapon's own stats are offered when they beat the wielder's
+            const useSmartStats = !!smartWeaponData?.beatsWielder && rollType === 'attack';
             
             // Determine weapon ability and set attribute
             const weaponAbility = await getWeaponAbility(actor, itemID);
             const abilityModifier = await getAbilityModifier(actor, weaponAbility);
-            const attributeDisabled = weaponAbility === 'none';
+            // Powers only add their casting ability to damage when the formula uses it
+            const attributeDisabled = weaponAbility === 'none' || (isDamageDialog && !damageAddsAbilityModifier(actor, itemID));
+            // Equipped casting focus adds its bonus to tech power attacks
+            const focus = rollType === 'attack' ? getCastingFocusBonus(actor, itemID) : null;
            // // API.log('debug', `Weapon ability: ${weaponAbility}, ability modifier: ${abilityModifier}, disabled: ${attributeDisabled}`);
 
             return {
@@ -554,15 +765,18 @@ export class GenericRollRenderer {
                 weaponDamageType: weaponDamageData.type,
                 weaponDamageModifier: weaponDamageData.modifier,
                 additionalDamageParts: additionalDamageParts,
-                proficiencyDescription: isSmart ? 'Smart Weapon' : '',
-                proficiencyModifier: isSmart ? '' : `${proficiencyBonus}`,
+                proficiencyDescription: useSmartStats ? API.localize('interface.smartWeapon') : '',
+                proficiencyModifier: `${proficiencyBonus}`,
                 isSmartWeapon: isSmart,
+                useSmartStats: useSmartStats,
                 smartWeaponDex: smartWeaponData?.dex || 0,
-                smartWeaponDexModifier: smartWeaponData?.dexModifier || 0,
+                smartWeaponDexLabel: API.format('interface.smartWeaponDex', { dex: smartWeaponData?.dex || 0 }),
+                smartWeaponDexModifier: smartWeaponData ? `${smartWeaponData.dexModifier >= 0 ? '+' : ''}${smartWeaponData.dexModifier}` : 0,
                 smartWeaponProficiency: smartWeaponData?.proficiency || proficiencyBonus,
                 abilityModifier,
                 selectedAttribute: weaponAbility,
-                attributeDisabled
+                attributeDisabled,
+                castingFocus: focus ? { name: focus.name, modifier: focus.bonus >= 0 ? `+${focus.bonus}` : `${focus.bonus}` } : null
             };
         } catch (error) {
             API.log('error', 'Failed to prepare weapon data', error);
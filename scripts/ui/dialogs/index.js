@@ -2,3 +2,4 @@
 export { GenericRollHandler } from './generic-roll-handler.js';
 export { GenericRollRenderer } from './generic-roll-render.js';
 export { GenericInputHandler } from './generic-input-handler.js';
+export { ReactionDialog } from './reaction-dialog.js';
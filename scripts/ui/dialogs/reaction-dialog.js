@@ -0,0 +1,96 @@
+/**
+ * Reaction Dialog
+ * Timed prompt offering the owner of a workflow target its eligible reactive features
+ * Location: scripts/ui/dialogs/reaction-dialog.js
+ */
+
+import { API } from '../../api.js';
+
+const logThisFile = false;
+
+// Seconds the prompt stays open when no time limit is given
+export const DEFAULT_REACTION_TIMEOUT = 30;
+
+/**
+ * Reaction Dialog Class
+ * One button per reactive feature and one to decline, the prompt declines by itself
+ * once its time runs out
+ */
+export class ReactionDialog {
+    constructor() {
+        if (logThisFile) API.log('debug', 'ReactionDialog: Constructor called');
+        this.template = 'modules/sw5e-qol/templates/dialogs/reaction-prompt.hbs';
+    }
+
+    /**
+     * Show the prompt and wait for the owner's choice
+     * @param {Object} data - Prompt data
+     * @param {string} data.actorName - Name of the reacting target
+     * @param {string} data.attackerName - Name of the actor whose workflow triggered the reaction
+     * @param {string} data.trigger - Reaction trigger (attack-hit, damage-taken)
+     * @param {Array} data.options - Reaction options ({ featureId, name, description })
+     * @param {number} [data.timeout] - Seconds before the prompt declines by itself
+     * @returns {Promise<string|null>} Chosen feature ID or null if no reaction was used
+     */
+    async prompt(data) {
+        try {
+            const options = data.options || [];
+            if (options.length === 0) return null;
+
+            let remaining = Math.max(1, Math.round(Number(data.timeout) || DEFAULT_REACTION_TIMEOUT));
+            const content = await renderTemplate(this.template, {
+                triggerLabel: API.format(`reactions.triggers.${data.trigger}`, { name: data.actorName, attacker: data.attackerName }),
+                options: options,
+                countdownLabel: API.format('reactions.timeLeft', { seconds: remaining })
+            });
+
+            return await new Promise(resolve => {
+                let timer = null;
+                let settled = false;
+                const settle = featureId => {
+                    if (settled) return;
+                    settled = true;
+                    clearInterval(timer);
+                    resolve(featureId);
+                };
+
+                const buttons = {};
+                for (const option of options) {
+                    buttons[option.featureId] = {
+                        icon: '<i class="fas fa-shield-halved"></i>',
+                        label: option.name,
+                        callback: () => settle(option.featureId)
+                    };
+                }
+                buttons.decline = {
+                    icon: '<i class="fas fa-times"></i>',
+                    label: API.localize('reactions.decline'),
+                    callback: () => settle(null)
+                };
+
+                const dialog = new Dialog({
+                    title: API.format('reactions.title', { name: data.actorName }),
+                    content: content,
+                    buttons: buttons,
+                    default: 'decline',
+                    close: () => settle(null)
+                });
+                dialog.render(true);
+
+                // Count down on the prompt and decline once the time is up
+                timer = setInterval(() => {
+                    remaining--;
+                    dialog.element?.find('.reaction-countdown').text(API.format('reactions.timeLeft', { seconds: remaining }));
+                    if (remaining <= 0) {
+                        if (logThisFile) API.log('debug', `ReactionDialog: Prompt for ${data.actorName} timed out`);
+                        settle(null);
+                        dialog.close();
+                    }
+                }, 1000);
+            });
+        } catch (error) {
+            API.log('error', 'ReactionDialog: Failed to show reaction prompt:', error);
+            return null;
+        }
+    }
+}